@@ -0,0 +1,59 @@
+describe('grade scale', () => {
+  const original = process.env.GRADE_SCALE;
+
+  // config/grades.js reads GRADE_SCALE once, when first required
+  function loadGrades(scale) {
+    if (scale === undefined) {
+      delete process.env.GRADE_SCALE;
+    } else {
+      process.env.GRADE_SCALE = scale;
+    }
+    let grades;
+    jest.isolateModules(() => {
+      grades = require('../../config/grades');
+    });
+    return grades;
+  }
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.GRADE_SCALE;
+    } else {
+      process.env.GRADE_SCALE = original;
+    }
+  });
+
+  test('default scale grades band boundaries inclusively', () => {
+    const { gradeFor } = loadGrades();
+
+    expect(gradeFor(100)).toBe('A1');
+    expect(gradeFor(90)).toBe('A1');
+    expect(gradeFor(89.99)).toBe('A2');
+    expect(gradeFor(60)).toBe('B2');
+    expect(gradeFor(33)).toBe('D');
+    expect(gradeFor(32.5)).toBe('E');
+    expect(gradeFor(0)).toBe('E');
+  });
+
+  test('GRADE_SCALE overrides the default and is sorted highest band first', () => {
+    const { GRADE_SCALE, gradeFor } = loadGrades(
+      '[{"grade":"F","min":0},{"grade":"A","min":80},{"grade":"B","min":60}]'
+    );
+
+    expect(GRADE_SCALE.map(band => band.grade)).toEqual(['A', 'B', 'F']);
+    expect(gradeFor(80)).toBe('A');
+    expect(gradeFor(79)).toBe('B');
+    expect(gradeFor(10)).toBe('F');
+  });
+
+  test('scores under the lowest band get the lowest grade', () => {
+    const { gradeFor } = loadGrades('[{"grade":"Pass","min":40},{"grade":"Low","min":20}]');
+
+    expect(gradeFor(5)).toBe('Low');
+  });
+
+  test('rejects a malformed GRADE_SCALE', () => {
+    expect(() => loadGrades('[]')).toThrow('GRADE_SCALE must be a list of { grade, min } bands');
+    expect(() => loadGrades('[{"grade":"A","min":"80"}]')).toThrow('GRADE_SCALE must be a list');
+  });
+});
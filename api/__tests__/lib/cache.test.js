@@ -0,0 +1,72 @@
+const { createMemoryStore, setStore, getStore, tagVersion, invalidate } = require('../../lib/cache');
+
+const entry = body => ({ body, etag: `W/"${body}"` });
+
+describe('createMemoryStore', () => {
+  test('invalidate drops every entry carrying any of the tags', () => {
+    const store = createMemoryStore();
+    store.set('schools', entry('a'), { ttl: 60, tags: ['schools'] });
+    store.set('students', entry('b'), { ttl: 60, tags: ['students', 'schools'] });
+    store.set('fees', entry('c'), { ttl: 60, tags: ['fees'] });
+
+    store.invalidate(['schools']);
+
+    expect(store.get('schools')).toBeUndefined();
+    expect(store.get('students')).toBeUndefined();
+    expect(store.get('fees')).toEqual(entry('c'));
+    expect(store.size).toBe(1);
+  });
+
+  test('entries expire after their ttl', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const store = createMemoryStore();
+    store.set('key', entry('a'), { ttl: 5, tags: [] });
+
+    now.mockReturnValue(5999);
+    expect(store.get('key')).toEqual(entry('a'));
+    now.mockReturnValue(6000);
+    expect(store.get('key')).toBeUndefined();
+
+    now.mockRestore();
+  });
+
+  test('evicts the least recently used entry past maxEntries', () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    store.set('a', entry('a'), { ttl: 60, tags: [] });
+    store.set('b', entry('b'), { ttl: 60, tags: [] });
+    store.get('a');
+    store.set('c', entry('c'), { ttl: 60, tags: [] });
+
+    expect(store.get('a')).toEqual(entry('a'));
+    expect(store.get('b')).toBeUndefined();
+    expect(store.get('c')).toEqual(entry('c'));
+  });
+});
+
+describe('invalidate', () => {
+  const original = getStore();
+  afterEach(() => setStore(original));
+
+  test('bumps the version of each tag and clears the active store', async () => {
+    const store = createMemoryStore();
+    setStore(store);
+    store.set('key', entry('a'), { ttl: 60, tags: ['teachers'] });
+    const before = tagVersion(['teachers', 'fees']);
+
+    await invalidate(['teachers']);
+
+    expect(tagVersion(['teachers', 'fees'])).not.toBe(before);
+    expect(tagVersion(['fees'])).toBe(before.split('.')[1]);
+    expect(store.get('key')).toBeUndefined();
+  });
+
+  test('logs rather than throws when the store fails', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    setStore({ invalidate: async () => { throw new Error('down'); } });
+
+    await expect(invalidate(['schools'])).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalledWith('Cache invalidation error:', expect.any(Error));
+
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,91 @@
+const { encodeCursor, decodeCursor, keysetPage } = require('../../lib/pagination');
+
+const KEYS = [{ column: 's.last_name', field: 'last_name' }, { column: 's.student_id', field: 'student_id' }];
+
+// A client answering every query with rows, recording what it was asked
+function fakeClient(rows) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows };
+    }
+  };
+}
+
+describe('cursors', () => {
+  test('round-trip through encodeCursor and decodeCursor', () => {
+    const text = encodeCursor('prev', ['Sahu', '42']);
+
+    expect(text).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(text, 2)).toEqual({ dir: 'prev', key: ['Sahu', '42'] });
+  });
+
+  test('reject cursors with the wrong shape', () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    expect(decodeCursor(encodeCursor('next', ['Sahu']), 2)).toBeNull();
+    expect(decodeCursor(encode({ dir: 'up', key: ['Sahu', 1] }), 2)).toBeNull();
+    expect(decodeCursor(encode({ dir: 'next', key: 'Sahu' }), 1)).toBeNull();
+    expect(decodeCursor(encode({ dir: 'next', key: [null, 1] }), 2)).toBeNull();
+    expect(decodeCursor(encode({ dir: 'next', key: [{}, 1] }), 2)).toBeNull();
+    expect(decodeCursor('not a cursor', 2)).toBeNull();
+  });
+});
+
+describe('keysetPage', () => {
+  const rows = [
+    { last_name: 'Das', student_id: 1 },
+    { last_name: 'Mishra', student_id: 2 },
+    { last_name: 'Sahu', student_id: 3 }
+  ];
+
+  test('first page fetches one extra row to find the next page', async () => {
+    const client = fakeClient(rows);
+    const page = await keysetPage(client, 'SELECT * FROM students s WHERE s.school_id = $1', [9], {
+      keys: KEYS, limit: 2
+    });
+
+    expect(client.calls[0].sql).toBe(
+      'SELECT * FROM students s WHERE s.school_id = $1 ORDER BY s.last_name ASC, s.student_id ASC LIMIT $2'
+    );
+    expect(client.calls[0].params).toEqual([9, 3]);
+    expect(page.rows).toEqual(rows.slice(0, 2));
+    expect(decodeCursor(page.next, 2)).toEqual({ dir: 'next', key: ['Mishra', 2] });
+    expect(page.prev).toBeNull();
+  });
+
+  test('a next cursor continues after its key', async () => {
+    const client = fakeClient(rows.slice(2));
+    const page = await keysetPage(client, 'SELECT * FROM students s WHERE TRUE', [], {
+      keys: KEYS, limit: 2, cursor: { dir: 'next', key: ['Mishra', 2] }
+    });
+
+    expect(client.calls[0].sql).toContain('AND (s.last_name, s.student_id) > ($1, $2)');
+    expect(client.calls[0].params).toEqual(['Mishra', 2, 3]);
+    expect(page.next).toBeNull();
+    expect(decodeCursor(page.prev, 2)).toEqual({ dir: 'prev', key: ['Sahu', 3] });
+  });
+
+  test('a prev cursor reads backwards and returns rows in order', async () => {
+    const client = fakeClient([rows[1], rows[0]]);
+    const page = await keysetPage(client, 'SELECT * FROM students s WHERE TRUE', [], {
+      keys: KEYS, limit: 2, cursor: { dir: 'prev', key: ['Sahu', 3] }
+    });
+
+    expect(client.calls[0].sql).toContain('AND (s.last_name, s.student_id) < ($1, $2)');
+    expect(client.calls[0].sql).toContain('ORDER BY s.last_name DESC, s.student_id DESC');
+    expect(page.rows).toEqual([rows[0], rows[1]]);
+    expect(page.prev).toBeNull();
+    expect(decodeCursor(page.next, 2)).toEqual({ dir: 'next', key: ['Mishra', 2] });
+  });
+
+  test('an empty page has no cursors', async () => {
+    const page = await keysetPage(fakeClient([]), 'SELECT * FROM students s WHERE TRUE', [], {
+      keys: KEYS, limit: 2, cursor: { dir: 'next', key: ['Zz', 99] }
+    });
+
+    expect(page).toEqual({ rows: [], next: null, prev: null });
+  });
+});
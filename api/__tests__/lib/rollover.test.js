@@ -0,0 +1,126 @@
+jest.mock('../../config/database', () => ({}));
+
+const { planRollover } = require('../../lib/rollover');
+
+const SCHOOL = { school_id: 1 };
+// pg returns DATE columns as local midnight
+const YEAR_2024 = { ay_id: 1, name: '2024-25', start_date: new Date(2024, 3, 1), end_date: new Date(2025, 2, 31) };
+const YEAR_2025 = { ay_id: 2, name: '2025-26', start_date: new Date(2025, 3, 1), end_date: new Date(2026, 2, 31) };
+
+// A client answering planRollover's queries from canned rows. The first
+// matching pattern wins, so the more specific ones come first.
+function fakeClient({ current = [YEAR_2024], from = [YEAR_2024], target = [], classes = [], students = [], results = [] }) {
+  const answers = [
+    ['WHERE is_current', current],
+    ['WHERE ay.ay_id IN', from],
+    ['WHERE start_date >', target],
+    ['FROM exam_results', results],
+    ['FROM classes', classes],
+    ['FROM students', students]
+  ];
+  return {
+    query: async sql => ({ rows: answers.find(([pattern]) => sql.includes(pattern))[1] })
+  };
+}
+
+const section = (class_number, section, max_students = 40) => ({
+  class_id: class_number * 10 + section.charCodeAt(0), class_number, section, max_students
+});
+
+const student = (student_id, class_number, section) => ({
+  student_id: String(student_id), admission_no: `A${student_id}`, first_name: 'Test', last_name: `Student ${student_id}`,
+  class_id: class_number * 10 + section.charCodeAt(0), class_number, section
+});
+
+const result = (student_id, subjects, failed) => ({
+  student_id: String(student_id), subjects: String(subjects), failed: String(failed)
+});
+
+function outcomes(plan) {
+  return Object.fromEntries(plan.students.map(s => [s.student_id, [s.outcome, s.to_class_number, s.to_section]]));
+}
+
+describe('planRollover', () => {
+  test('refuses without a current academic year', async () => {
+    expect(await planRollover(fakeClient({ current: [] }), SCHOOL))
+      .toEqual({ status: 400, error: 'No current academic year is set' });
+  });
+
+  test('refuses when the school has no classes', async () => {
+    expect(await planRollover(fakeClient({ from: [] }), SCHOOL))
+      .toEqual({ status: 400, error: 'School has no classes set up to roll over' });
+  });
+
+  test('refuses when the school is already in a later year', async () => {
+    expect(await planRollover(fakeClient({ from: [YEAR_2025] }), SCHOOL))
+      .toEqual({ status: 409, error: 'School has already rolled over into 2025-26' });
+  });
+
+  test('promotes, detains and passes students on their final exam results', async () => {
+    const { plan } = await planRollover(fakeClient({
+      target: [YEAR_2025],
+      classes: [section(5, 'A'), section(5, 'B'), section(6, 'A'), section(6, 'B'), section(12, 'A')],
+      students: [student(1, 5, 'B'), student(2, 5, 'A'), student(3, 5, 'A'), student(4, 6, 'A'), student(5, 12, 'A')],
+      results: [result(1, 6, 0), result(2, 6, 2), result(4, 6, 0), result(5, 6, 0)]
+    }), SCHOOL);
+
+    expect(plan.from).toBe(YEAR_2024);
+    expect(plan.to).toBe(YEAR_2025);
+    expect(outcomes(plan)).toEqual({
+      1: ['Promoted', 6, 'B'],
+      2: ['Detained', 5, 'A'],
+      3: ['Promoted', 6, 'A'],
+      4: ['Passed', null, null],
+      5: ['Passed', null, null]
+    });
+
+    const reasons = Object.fromEntries(plan.students.map(s => [s.student_id, s.reason]));
+    expect(reasons).toEqual({
+      1: 'Passed the final exam',
+      2: 'Failed 2 of 6 subjects in the final exam',
+      3: 'No final exam result',
+      4: 'Completed class 6, the highest class offered',
+      5: 'Completed class 12'
+    });
+    expect(plan.summary).toEqual({ classes_to_clone: 5, promoted: 2, detained: 1, passed: 2, no_result: 1 });
+  });
+
+  test('school overrides win over exam results', async () => {
+    const { plan } = await planRollover(fakeClient({
+      classes: [section(3, 'A'), section(4, 'A')],
+      students: [student(1, 3, 'A'), student(2, 3, 'A')],
+      results: [result(1, 5, 0), result(2, 5, 3)]
+    }), SCHOOL, { detain: ['1'], promote: [2] });
+
+    expect(outcomes(plan)).toEqual({ 1: ['Detained', 3, 'A'], 2: ['Promoted', 4, 'A'] });
+    expect(plan.students.map(s => s.reason)).toEqual(['Detained by the school', 'Promoted by the school']);
+  });
+
+  test('promotes into the first section when the same one does not exist next year', async () => {
+    const { plan } = await planRollover(fakeClient({
+      classes: [section(7, 'C'), section(8, 'A'), section(8, 'B')],
+      students: [student(1, 7, 'C')]
+    }), SCHOOL);
+
+    expect(outcomes(plan)).toEqual({ 1: ['Promoted', 8, 'A'] });
+  });
+
+  test('names the next year when it has not been created', async () => {
+    const { plan } = await planRollover(fakeClient({ classes: [section(1, 'A')] }), SCHOOL);
+
+    expect(plan.to).toEqual({ ay_id: null, name: '2025-26', start_date: '2025-04-01', end_date: '2026-03-31' });
+  });
+
+  test('warns about overfull and missing sections', async () => {
+    const { plan } = await planRollover(fakeClient({
+      classes: [section(2, 'A', 1), section(3, 'A', 1)],
+      students: [student(1, 2, 'A'), student(2, 2, 'A'), student(3, 4, 'D')],
+      results: [result(1, 4, 1), result(2, 4, 1), result(3, 4, 2)]
+    }), SCHOOL);
+
+    expect(plan.warnings).toEqual([
+      'Class 2-A will have 2 students (max 1)',
+      'A3 is in class 4-D, which is not set up; it will be cloned empty'
+    ]);
+  });
+});
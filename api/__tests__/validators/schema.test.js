@@ -0,0 +1,109 @@
+const { checkSchema, pagination, cursorPagination, MAX_PAGE_SIZE, ID } = require('../../validators/schema');
+const { encodeCursor } = require('../../lib/pagination');
+
+describe('checkSchema', () => {
+  test('coerces query strings to the declared types', () => {
+    const { values, errors } = checkSchema({
+      id: ID,
+      count: { type: 'int' },
+      ratio: { type: 'number' },
+      active: { type: 'boolean' }
+    }, { id: '42', count: ' 7 ', ratio: '0.5', active: 'false' });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ id: 42, count: 7, ratio: 0.5, active: false });
+  });
+
+  test('reports required fields and fills defaults', () => {
+    const { values, errors } = checkSchema({
+      school_id: ID,
+      status: { type: 'string', default: 'Active' }
+    }, { school_id: '   ' });
+
+    expect(values).toEqual({ status: 'Active' });
+    expect(errors).toEqual([{ field: 'school_id', code: 'required', message: 'school_id is required' }]);
+  });
+
+  test('rejects ids that are not positive whole numbers', () => {
+    ['0', '-3', '1.5', 'abc', '9007199254740993'].forEach(raw => {
+      const { errors } = checkSchema({ id: ID }, { id: raw });
+      expect(errors).toEqual([expect.objectContaining({ field: 'id', code: 'invalid_type' })]);
+    });
+  });
+
+  test('checks int and number ranges, capping when asked', () => {
+    const schema = {
+      month: { type: 'int', min: 1, max: 12 },
+      limit: { type: 'int', min: 1, max: 100, cap: true },
+      threshold: { type: 'number', min: 0, max: 100 }
+    };
+
+    expect(checkSchema(schema, { month: '13', limit: '500', threshold: '-1' })).toEqual({
+      values: { limit: 100 },
+      errors: [
+        expect.objectContaining({ field: 'month', code: 'out_of_range' }),
+        expect.objectContaining({ field: 'threshold', code: 'out_of_range' })
+      ]
+    });
+    expect(checkSchema(schema, { month: 2.5 }).errors)
+      .toEqual([expect.objectContaining({ field: 'month', code: 'invalid_type' })]);
+  });
+
+  test('checks strings, enums, dates and months', () => {
+    const schema = {
+      section: { type: 'string', maxLength: 2, pattern: /^[A-Z]+$/ },
+      type: { type: 'enum', values: ['Unit', 'Final'] },
+      date: { type: 'date' },
+      month: { type: 'month' }
+    };
+
+    expect(checkSchema(schema, { section: 'A', type: 'Final', date: '2025-02-28', month: '2025-02' }))
+      .toEqual({ values: { section: 'A', type: 'Final', date: '2025-02-28', month: '2025-02' }, errors: [] });
+
+    const { errors } = checkSchema(schema, { section: 'abc', type: 'final', date: '28-02-2025', month: '2025-13' });
+    expect(errors.map(error => [error.field, error.code])).toEqual([
+      ['section', 'too_long'],
+      ['type', 'invalid_value'],
+      ['date', 'invalid_format'],
+      ['month', 'invalid_format']
+    ]);
+  });
+
+  test('checks array sizes and reports bad items by index', () => {
+    const schema = { student_ids: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'id' } } };
+
+    expect(checkSchema(schema, { student_ids: ['1', 2] })).toEqual({ values: { student_ids: [1, 2] }, errors: [] });
+    expect(checkSchema(schema, { student_ids: [] }).errors)
+      .toEqual([expect.objectContaining({ field: 'student_ids', code: 'out_of_range' })]);
+    expect(checkSchema(schema, { student_ids: 'nope' }).errors)
+      .toEqual([expect.objectContaining({ field: 'student_ids', code: 'invalid_type' })]);
+    expect(checkSchema(schema, { student_ids: [1, 'x', -4] }).errors).toEqual([
+      expect.objectContaining({ field: 'student_ids[1]', code: 'invalid_type', index: 1 }),
+      expect.objectContaining({ field: 'student_ids[2]', code: 'invalid_type', index: 2 })
+    ]);
+  });
+
+  test('decodes cursors with the expected number of keys', () => {
+    const schema = { cursor: { type: 'cursor', keys: 2 } };
+
+    expect(checkSchema(schema, { cursor: encodeCursor('next', ['Das', 7]) }).values)
+      .toEqual({ cursor: { dir: 'next', key: ['Das', 7] } });
+    expect(checkSchema(schema, { cursor: encodeCursor('next', [7]) }).errors)
+      .toEqual([expect.objectContaining({ field: 'cursor', code: 'invalid_value' })]);
+  });
+
+  test('throws on an unknown rule type', () => {
+    expect(() => checkSchema({ field: { type: 'uuid' } }, { field: 'x' })).toThrow('Unknown schema type uuid');
+  });
+});
+
+describe('pagination rules', () => {
+  test('default page and limit, with limit capped at MAX_PAGE_SIZE', () => {
+    expect(checkSchema(pagination(25), {}).values).toEqual({ page: 1, limit: 25 });
+    expect(checkSchema(pagination(), { limit: '1000' }).values.limit).toBe(MAX_PAGE_SIZE);
+  });
+
+  test('cursor pagination defaults to an estimated total', () => {
+    expect(checkSchema(cursorPagination(50, 3), {}).values).toEqual({ limit: 50, total: 'estimate' });
+  });
+});
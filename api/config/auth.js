@@ -0,0 +1,10 @@
+// Token settings for login sessions
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET || 'dev-only-secret-change-me',
+  accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+  refreshTokenTtlDays: parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 7
+};
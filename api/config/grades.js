@@ -0,0 +1,34 @@
+// Grade scale applied to exam_results.percentage
+// Override with GRADE_SCALE, e.g. '[{"grade":"A","min":80},{"grade":"B","min":60},{"grade":"F","min":0}]'
+const DEFAULT_SCALE = [
+  { grade: 'A1', min: 90 },
+  { grade: 'A2', min: 80 },
+  { grade: 'B1', min: 70 },
+  { grade: 'B2', min: 60 },
+  { grade: 'C1', min: 50 },
+  { grade: 'C2', min: 40 },
+  { grade: 'D', min: 33 },
+  { grade: 'E', min: 0 }
+];
+
+function loadScale() {
+  if (!process.env.GRADE_SCALE) return DEFAULT_SCALE;
+
+  const scale = JSON.parse(process.env.GRADE_SCALE);
+  const valid = Array.isArray(scale) && scale.length > 0 &&
+    scale.every(band => typeof band.grade === 'string' && typeof band.min === 'number');
+  if (!valid) {
+    throw new Error('GRADE_SCALE must be a list of { grade, min } bands');
+  }
+  return scale;
+}
+
+const GRADE_SCALE = loadScale().slice().sort((a, b) => b.min - a.min);
+
+// Grade for a percentage; anything under the lowest band gets that band's grade
+function gradeFor(percentage) {
+  const band = GRADE_SCALE.find(b => percentage >= b.min);
+  return (band || GRADE_SCALE[GRADE_SCALE.length - 1]).grade;
+}
+
+module.exports = { GRADE_SCALE, gradeFor };
@@ -0,0 +1,50 @@
+// Role-based access control
+// Roles mirror the CHECK constraint on users.role in sql/schema.sql
+
+const ROLES = [
+  'student', 'parent', 'teacher', 'headmaster',
+  'block_officer', 'district_officer', 'secretary', 'admin'
+];
+
+const STAFF = ['teacher', 'headmaster', 'block_officer', 'district_officer', 'secretary', 'admin'];
+const OFFICERS = ['headmaster', 'block_officer', 'district_officer', 'secretary', 'admin'];
+
+// Permission -> roles allowed to use it
+const PERMISSIONS = {
+  'dashboard:read': OFFICERS,
+  'schools:read': STAFF,
+  'schools:export': OFFICERS,
+  'students:read': STAFF,
+  'students:write': ['headmaster', 'admin'],
+  'students:import': OFFICERS,
+  'students:export': OFFICERS,
+  'teachers:read': STAFF,
+  'teachers:write': ['headmaster', 'district_officer', 'secretary', 'admin'],
+  'teachers:post': ['district_officer', 'secretary', 'admin'],
+  'transfers:read': OFFICERS,
+  'transfers:write': ['headmaster', 'admin'],
+  'attendance:read': STAFF,
+  'attendance:write': ['teacher', 'headmaster', 'admin'],
+  'exams:read': STAFF,
+  'exams:write': ['headmaster', 'admin'],
+  'results:write': ['teacher', 'headmaster', 'admin'],
+  'reportcards:read': STAFF,
+  'fees:read': OFFICERS,
+  'fees:write': ['headmaster', 'admin'],
+  'schools:import': ['block_officer', 'district_officer', 'secretary', 'admin'],
+  'academic_years:read': STAFF,
+  'academic_years:write': ['secretary', 'admin'],
+  'rollover:read': OFFICERS,
+  'rollover:write': ['headmaster', 'admin'],
+  'classes:read': STAFF,
+  'classes:write': ['headmaster', 'admin'],
+  'audit:read': ['block_officer', 'district_officer', 'secretary', 'admin'],
+  'monitoring:read': ['admin']
+};
+
+function hasPermission(role, permission) {
+  const allowed = PERMISSIONS[permission];
+  return Array.isArray(allowed) && allowed.includes(role);
+}
+
+module.exports = { ROLES, PERMISSIONS, hasPermission };
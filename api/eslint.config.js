@@ -0,0 +1,26 @@
+const globals = require('globals');
+
+// Catches references to names that were never defined or imported, which
+// otherwise only surface as a ReferenceError when the route is hit
+module.exports = [
+  {
+    ignores: ['node_modules/']
+  },
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      'no-undef': 'error'
+    }
+  },
+  {
+    files: ['__tests__/**/*.js'],
+    languageOptions: {
+      globals: globals.jest
+    }
+  }
+];
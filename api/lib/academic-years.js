@@ -0,0 +1,17 @@
+const pool = require('../config/database');
+
+// Academic year by id, or the current one when no id is given
+async function loadAcademicYear(ayId, client = pool) {
+  const result = ayId
+    ? await client.query('SELECT * FROM academic_years WHERE ay_id = $1', [ayId])
+    : await client.query('SELECT * FROM academic_years WHERE is_current');
+  return result.rows[0];
+}
+
+// The year that follows one starting in startYear: 2024 -> '2025-26'
+function nextYearName(startYear) {
+  const next = startYear + 1;
+  return `${next}-${String((next + 1) % 100).padStart(2, '0')}`;
+}
+
+module.exports = { loadAcademicYear, nextYearName };
@@ -0,0 +1,21 @@
+const pool = require('../config/database');
+
+// Name of the monthly student_attendance partition covering a date, or null
+async function findAttendancePartition(date) {
+  const result = await pool.query(`
+    SELECT c.relname AS partition
+    FROM pg_inherits i
+    JOIN pg_class c ON c.oid = i.inhrelid
+    CROSS JOIN LATERAL regexp_match(
+      pg_get_expr(c.relpartbound, c.oid),
+      'FROM \\(''([^'']+)''\\) TO \\(''([^'']+)''\\)'
+    ) AS bounds
+    WHERE i.inhparent = 'student_attendance'::regclass
+      AND $1::date >= bounds[1]::date
+      AND $1::date < bounds[2]::date
+  `, [date]);
+
+  return result.rows[0] ? result.rows[0].partition : null;
+}
+
+module.exports = { findAttendancePartition };
@@ -0,0 +1,32 @@
+const pool = require('../config/database');
+
+// Tag the current transaction with the acting user so the audit_row_change()
+// triggers (sql/schema.sql) can record who made each change. The settings are
+// transaction-local: call this right after BEGIN, on the same client.
+function setAuditContext(client, req) {
+  return client.query(`
+    SELECT set_config('app.user_id', $1, true),
+           set_config('app.user_role', $2, true),
+           set_config('app.client_ip', $3, true)
+  `, [String(req.user.user_id), req.user.role, req.ip || '']);
+}
+
+// Run fn(client) in its own transaction tagged with req's user. For writes
+// that would otherwise go straight through pool.query.
+async function audited(req, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { setAuditContext, audited };
@@ -0,0 +1,83 @@
+// Server-side response cache shared by every user and tab hitting this API
+// instance. Entries carry tags naming the data they were built from
+// ('schools', 'students', ...); invalidate(tags) drops every entry built from
+// any of them.
+//
+// The backend is pluggable: a store is any object with
+//   get(key)                     -> entry or undefined
+//   set(key, entry, { ttl, tags }) (ttl in seconds)
+//   invalidate(tags)
+// each of which may return a promise. The in-process store below is the
+// default; setStore() swaps in another (e.g. one backed by Redis) at startup.
+
+const DEFAULT_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000;
+
+// Least-recently-used store held in this process
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const item = entries.get(key);
+      if (!item) return undefined;
+
+      if (item.expires <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, item);
+      return item.entry;
+    },
+
+    set(key, entry, { ttl, tags = [] }) {
+      entries.delete(key);
+      entries.set(key, { entry, tags, expires: Date.now() + ttl * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    invalidate(tags) {
+      for (const [key, item] of entries) {
+        if (item.tags.some(tag => tags.includes(tag))) entries.delete(key);
+      }
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+let store = createMemoryStore();
+
+// Bumped on every invalidation so a response computed while a write landed
+// is not stored after the invalidation that should have removed it
+const tagVersions = new Map();
+
+function setStore(next) {
+  store = next;
+}
+
+function getStore() {
+  return store;
+}
+
+function tagVersion(tags) {
+  return tags.map(tag => tagVersions.get(tag) || 0).join('.');
+}
+
+async function invalidate(tags) {
+  tags.forEach(tag => tagVersions.set(tag, (tagVersions.get(tag) || 0) + 1));
+  try {
+    await store.invalidate(tags);
+  } catch (error) {
+    console.error('Cache invalidation error:', error);
+  }
+}
+
+module.exports = { createMemoryStore, setStore, getStore, tagVersion, invalidate };
@@ -0,0 +1,60 @@
+const { isBlank } = require('../validators/students');
+
+// Resolve class_id or class_number + section to a section of the school and
+// check it has room. Locks the class row so concurrent admissions queue up.
+// Returns { cls } or { status, error }.
+async function resolveClass(client, schoolId, data, excludeStudentId = null) {
+  let result;
+
+  if (!isBlank(data.class_id)) {
+    result = await client.query(`
+      SELECT class_id, class_number, section, max_students
+      FROM classes
+      WHERE class_id = $1 AND school_id = $2
+      FOR UPDATE
+    `, [data.class_id, schoolId]);
+
+    if (result.rows.length === 0) {
+      return { status: 400, error: 'class_id does not belong to this school' };
+    }
+  } else if (!isBlank(data.class_number) || !isBlank(data.section)) {
+    if (isBlank(data.class_number) || isBlank(data.section)) {
+      return { status: 400, error: 'class_number and section must be given together' };
+    }
+
+    result = await client.query(`
+      SELECT c.class_id, c.class_number, c.section, c.max_students
+      FROM classes c
+      JOIN academic_years ay ON ay.ay_id = c.ay_id AND ay.is_current
+      WHERE c.school_id = $1 AND c.class_number = $2 AND c.section = $3
+      FOR UPDATE OF c
+    `, [schoolId, data.class_number, data.section]);
+
+    if (result.rows.length === 0) {
+      return {
+        status: 400,
+        error: `Class ${data.class_number}-${data.section} has not been set up for the current academic year`
+      };
+    }
+  } else {
+    return { cls: null };
+  }
+
+  const cls = result.rows[0];
+  const countResult = await client.query(`
+    SELECT COUNT(*) FROM students
+    WHERE class_id = $1 AND status = 'Active'
+      AND ($2::bigint IS NULL OR student_id <> $2)
+  `, [cls.class_id, excludeStudentId]);
+
+  if (parseInt(countResult.rows[0].count) >= cls.max_students) {
+    return {
+      status: 409,
+      error: `Class ${cls.class_number}-${cls.section} is full (max ${cls.max_students} students)`
+    };
+  }
+
+  return { cls };
+}
+
+module.exports = { resolveClass };
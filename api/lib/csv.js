@@ -0,0 +1,70 @@
+// Minimal RFC 4180 CSV reader: quoted fields, escaped quotes ("") and
+// line breaks inside quotes. Returns { headers, rows } where each row is an
+// object keyed by the lower-cased header and carries the spreadsheet line
+// number it started on as `line` (the header is line 1).
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = String(text || '').replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(r => r.values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = nonEmpty[0].values.map(header => header.trim().toLowerCase());
+  const rows = nonEmpty.slice(1).map(({ line: rowLine, values }) => {
+    const row = { line: rowLine };
+    headers.forEach((header, index) => {
+      const value = (values[index] || '').trim();
+      row[header] = value === '' ? undefined : value;
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+module.exports = { parseCsv };
@@ -0,0 +1,11 @@
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// YYYY-MM-DD of a date in server local time. DATE columns come back from pg
+// at local midnight, so toISOString() would shift them a day east of UTC.
+function localDate(value = new Date()) {
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+module.exports = { localDate };
@@ -0,0 +1,49 @@
+const { EventEmitter } = require('events');
+const { inScope } = require('../middleware/scope');
+
+const EVENT_TYPES = ['enrollment', 'attendance', 'transfer', 'alert'];
+
+// In-process hub: events reach the streams held open by this API instance
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+let lastEventId = 0;
+
+// Publish a dashboard event. places lists the schools it concerns, each with
+// school_id/block_id/district_id; a subscriber receives the event when any of
+// them falls inside its jurisdiction.
+function publish(type, places, data) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type ${type}`);
+  }
+
+  hub.emit('event', {
+    id: ++lastEventId,
+    type,
+    places,
+    data: { ...data, at: new Date().toISOString() }
+  });
+}
+
+// Call listener with every event inside scope. Returns the unsubscribe function.
+function subscribe(scope, listener) {
+  const handler = event => {
+    if (event.places.some(place => inScope(scope, place))) {
+      listener(event);
+    }
+  };
+
+  hub.on('event', handler);
+  return () => hub.off('event', handler);
+}
+
+// Name fields events carry so clients can show either language
+function schoolLabel(school) {
+  return {
+    school_id: school.school_id,
+    school_name: school.name,
+    school_name_od: school.name_od
+  };
+}
+
+module.exports = { EVENT_TYPES, publish, subscribe, schoolLabel };
@@ -0,0 +1,79 @@
+const { Transform, pipeline } = require('stream');
+const ExcelJS = require('exceljs');
+const QueryStream = require('pg-query-stream');
+const pool = require('../config/database');
+const { localDate } = require('./dates');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+function cellValue(value) {
+  if (value instanceof Date) {
+    return localDate(value);
+  }
+  return value === null || value === undefined ? '' : value;
+}
+
+function csvCell(value) {
+  const text = String(cellValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// Stream every row of a query to the response as CSV or XLSX without
+// buffering the result set. columns is a list of { header, key, width }.
+async function streamExport(res, { query, params, columns, filename, format = 'csv' }) {
+  const client = await pool.connect();
+  const rows = client.query(new QueryStream(query, params, { batchSize: 1000 }));
+  const date = localDate();
+  let failed;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${date}.${format}"`);
+
+  try {
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+      const sheet = workbook.addWorksheet(filename);
+      sheet.columns = columns.map(({ header, key, width = 18 }) => ({ header, key, width }));
+      sheet.getRow(1).font = { bold: true };
+
+      for await (const row of rows) {
+        const values = {};
+        columns.forEach(({ key }) => { values[key] = cellValue(row[key]); });
+        sheet.addRow(values).commit();
+      }
+
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // BOM so Excel reads the Odia columns as UTF-8
+      res.write('﻿' + csvLine(columns.map(column => column.header)));
+
+      const toCsv = new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+          callback(null, csvLine(columns.map(({ key }) => row[key])));
+        }
+      });
+
+      await new Promise((resolve, reject) => {
+        pipeline(rows, toCsv, res, error => (error ? reject(error) : resolve()));
+      });
+    }
+  } catch (error) {
+    // Headers are already out, so the only signal left is a cut-off download
+    console.error('Export stream error:', error);
+    res.destroy(error);
+    failed = error;
+  } finally {
+    // A half-read cursor leaves the connection unusable; drop it from the pool
+    client.release(failed);
+  }
+}
+
+module.exports = { EXPORT_FORMATS, streamExport };
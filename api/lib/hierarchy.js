@@ -0,0 +1,55 @@
+const { scopeClause } = require('../middleware/scope');
+
+// CTE yielding one row per active school in scope (school_stats) with its live
+// student and teacher counts, rolled up per block (block_stats). Blocks with no
+// schools in scope are kept with zero counts; callers filter blocks as needed.
+function hierarchyStatsCte(scope, params) {
+  const schoolScope = scopeClause(scope, 's.school_id', params);
+
+  return `
+    WITH student_counts AS (
+      SELECT school_id, COUNT(*) as students
+      FROM students
+      WHERE status = 'Active'
+      GROUP BY school_id
+    ),
+    teacher_counts AS (
+      SELECT school_id, COUNT(*) as teachers
+      FROM teachers
+      WHERE status = 'Active'
+      GROUP BY school_id
+    ),
+    school_stats AS (
+      SELECT s.school_id, s.school_code, s.name, s.name_od, s.block_id,
+             COALESCE(sc.students, 0) as students,
+             COALESCE(tc.teachers, 0) as teachers
+      FROM schools s
+      LEFT JOIN student_counts sc ON sc.school_id = s.school_id
+      LEFT JOIN teacher_counts tc ON tc.school_id = s.school_id
+      WHERE s.status = 'Active'${schoolScope}
+    ),
+    block_stats AS (
+      SELECT b.block_id, b.district_id, b.name, b.name_od, b.budget_allocated,
+             COUNT(ss.school_id) as schools,
+             COALESCE(SUM(ss.students), 0) as students,
+             COALESCE(SUM(ss.teachers), 0) as teachers
+      FROM blocks b
+      LEFT JOIN school_stats ss ON ss.block_id = b.block_id
+      GROUP BY b.block_id
+    )
+  `;
+}
+
+// Parse the aggregate columns pg returns as strings
+function parseCounts(row) {
+  const parsed = { ...row };
+  ['blocks', 'schools', 'students', 'teachers', 'population'].forEach(field => {
+    if (row[field] !== undefined && row[field] !== null) parsed[field] = parseInt(row[field]);
+  });
+  ['budget_allocated', 'literacy_rate'].forEach(field => {
+    if (row[field] !== undefined && row[field] !== null) parsed[field] = parseFloat(row[field]);
+  });
+  return parsed;
+}
+
+module.exports = { hierarchyStatsCte, parseCounts };
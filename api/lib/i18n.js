@@ -0,0 +1,13 @@
+// SQL for a name column in the request language. For Odia this reads the
+// column's _od twin and falls back to the English value where it is blank,
+// e.g. localName('od', 's.first_name') -> COALESCE(NULLIF(s.first_name_od, ''), s.first_name)
+function localName(lang, column) {
+  return lang === 'od' ? `COALESCE(NULLIF(${column}_od, ''), ${column})` : column;
+}
+
+// Same choice for a row already loaded in JS, e.g. localValue('od', school, 'name')
+function localValue(lang, row, field) {
+  return (lang === 'od' && row[`${field}_od`]) || row[field];
+}
+
+module.exports = { localName, localValue };
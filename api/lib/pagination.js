@@ -0,0 +1,76 @@
+// Keyset (cursor) pagination for the large lists. A page is fetched with
+// WHERE (keys) > (cursor) ORDER BY keys LIMIT n, so deep pages cost the same
+// as the first one. Cursors are opaque to clients: base64url JSON holding the
+// direction and the sort key of the row at the page edge.
+const CURSOR_DIRECTIONS = ['next', 'prev'];
+
+function encodeCursor(dir, key) {
+  return Buffer.from(JSON.stringify({ dir, key })).toString('base64url');
+}
+
+// Returns { dir, key } or null when text is not a cursor with keyCount keys
+function decodeCursor(text, keyCount) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+    if (!cursor || !CURSOR_DIRECTIONS.includes(cursor.dir) || !Array.isArray(cursor.key) ||
+        cursor.key.length !== keyCount || cursor.key.some(value => value === null || typeof value === 'object')) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+}
+
+// One page of query (which must end in a WHERE clause) ordered by keys, a list
+// of { column, field }: column is the SQL expression, field the row property
+// carrying its value. The last key must be unique. Returns the rows and the
+// cursors for the pages either side, null where there is none.
+async function keysetPage(client, query, params, { keys, limit, cursor }) {
+  const pageParams = [...params];
+  const backward = Boolean(cursor) && cursor.dir === 'prev';
+  const columns = keys.map(key => key.column);
+  let sql = query;
+
+  if (cursor) {
+    const placeholders = cursor.key.map(value => {
+      pageParams.push(value);
+      return `$${pageParams.length}`;
+    });
+    sql += ` AND (${columns.join(', ')}) ${backward ? '<' : '>'} (${placeholders.join(', ')})`;
+  }
+
+  // One extra row tells us whether there is a further page
+  pageParams.push(limit + 1);
+  sql += ` ORDER BY ${columns.map(column => `${column} ${backward ? 'DESC' : 'ASC'}`).join(', ')}`;
+  sql += ` LIMIT $${pageParams.length}`;
+
+  const result = await client.query(sql, pageParams);
+  const more = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  if (backward) rows.reverse();
+
+  const keyOf = row => keys.map(key => row[key.field]);
+  const hasNext = backward ? Boolean(cursor) : more;
+  const hasPrev = backward ? more : Boolean(cursor);
+
+  return {
+    rows,
+    next: rows.length > 0 && hasNext ? encodeCursor('next', keyOf(rows[rows.length - 1])) : null,
+    prev: rows.length > 0 && hasPrev ? encodeCursor('prev', keyOf(rows[0])) : null
+  };
+}
+
+// Number of rows query returns. Exact runs a COUNT(*); otherwise the planner's
+// estimate is used, which costs nothing but can be off for narrow filters.
+async function countRows(client, query, params, exact) {
+  if (exact) {
+    const result = await client.query(`SELECT COUNT(*) FROM (${query}) filtered`, params);
+    return parseInt(result.rows[0].count);
+  }
+
+  const result = await client.query(`EXPLAIN (FORMAT JSON) ${query}`, params);
+  return Math.round(result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows']);
+}
+
+module.exports = { encodeCursor, decodeCursor, keysetPage, countRows };
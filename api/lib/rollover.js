@@ -0,0 +1,167 @@
+const { nextYearName } = require('./academic-years');
+const { localName } = require('./i18n');
+
+// Exams whose results decide promotion
+const DECIDING_EXAM_TYPES = ['Final', 'Annual'];
+
+function addYear(date) {
+  const next = new Date(date);
+  next.setFullYear(next.getFullYear() + 1);
+  return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}-${String(next.getDate()).padStart(2, '0')}`;
+}
+
+function toIdList(value) {
+  return Array.isArray(value) ? value.map(String) : [];
+}
+
+// Work out what rolling a school over would do, without writing anything.
+// Returns { plan } or { status, error }. overrides = { detain: [ids], promote: [ids] }.
+// Student names are in lang when given.
+async function planRollover(client, school, overrides = {}, lang) {
+  const current = await client.query('SELECT * FROM academic_years WHERE is_current');
+  if (current.rows.length === 0) {
+    return { status: 400, error: 'No current academic year is set' };
+  }
+
+  // Roll over from the latest year the school has classes in
+  const sourceResult = await client.query(`
+    SELECT ay.*
+    FROM academic_years ay
+    WHERE ay.ay_id IN (SELECT ay_id FROM classes WHERE school_id = $1)
+    ORDER BY ay.start_date DESC
+    LIMIT 1
+  `, [school.school_id]);
+  const from = sourceResult.rows[0];
+
+  if (!from) {
+    return { status: 400, error: 'School has no classes set up to roll over' };
+  }
+
+  if (new Date(from.start_date) > new Date(current.rows[0].start_date)) {
+    return { status: 409, error: `School has already rolled over into ${from.name}` };
+  }
+
+  const targetResult = await client.query(
+    'SELECT * FROM academic_years WHERE start_date > $1 ORDER BY start_date LIMIT 1',
+    [from.start_date]
+  );
+  const to = targetResult.rows[0] || {
+    ay_id: null,
+    name: nextYearName(new Date(from.start_date).getFullYear()),
+    start_date: addYear(from.start_date),
+    end_date: addYear(from.end_date)
+  };
+
+  const classesResult = await client.query(`
+    SELECT class_id, class_number, section, max_students
+    FROM classes
+    WHERE school_id = $1 AND ay_id = $2
+    ORDER BY class_number, section
+  `, [school.school_id, from.ay_id]);
+  const classes = classesResult.rows;
+
+  const studentsResult = await client.query(`
+    SELECT student_id, admission_no, ${localName(lang, 'first_name')} as first_name,
+           ${localName(lang, 'last_name')} as last_name, class_id, class_number, section
+    FROM students
+    WHERE school_id = $1 AND status = 'Active' AND class_number IS NOT NULL
+    ORDER BY class_number, section, last_name, first_name
+  `, [school.school_id]);
+
+  const resultsResult = await client.query(`
+    SELECT er.student_id,
+           COUNT(*) as subjects,
+           COUNT(*) FILTER (WHERE er.marks_obtained < e.pass_marks) as failed
+    FROM exam_results er
+    JOIN examinations e ON e.exam_id = er.exam_id
+    WHERE e.school_id = $1 AND e.ay_id = $2 AND e.exam_type = ANY($3::text[])
+    GROUP BY er.student_id
+  `, [school.school_id, from.ay_id, DECIDING_EXAM_TYPES]);
+  const results = new Map(resultsResult.rows.map(r => [String(r.student_id), r]));
+
+  const detain = toIdList(overrides.detain);
+  const promote = toIdList(overrides.promote);
+  const sectionsFor = classNumber => classes.filter(c => c.class_number === classNumber);
+
+  const students = studentsResult.rows.map(student => {
+    const id = String(student.student_id);
+    const result = results.get(id);
+    const failed = result ? parseInt(result.failed) : 0;
+    let outcome;
+    let reason;
+
+    if (detain.includes(id)) {
+      outcome = 'Detained';
+      reason = 'Detained by the school';
+    } else if (failed > 0 && !promote.includes(id)) {
+      outcome = 'Detained';
+      reason = `Failed ${failed} of ${result.subjects} subjects in the final exam`;
+    } else {
+      outcome = 'Promoted';
+      reason = promote.includes(id) && failed > 0
+        ? 'Promoted by the school'
+        : result ? 'Passed the final exam' : 'No final exam result';
+    }
+
+    let toClassNumber = student.class_number;
+    let toSection = student.section;
+
+    if (outcome === 'Promoted') {
+      const nextSections = sectionsFor(student.class_number + 1);
+
+      if (student.class_number >= 12) {
+        outcome = 'Passed';
+        reason = 'Completed class 12';
+      } else if (nextSections.length === 0) {
+        outcome = 'Passed';
+        reason = `Completed class ${student.class_number}, the highest class offered`;
+      } else {
+        toClassNumber = student.class_number + 1;
+        const sameSection = nextSections.find(c => c.section === student.section);
+        toSection = (sameSection || nextSections[0]).section;
+      }
+    }
+
+    return {
+      ...student,
+      outcome,
+      reason,
+      no_result: !result,
+      to_class_number: outcome === 'Passed' ? null : toClassNumber,
+      to_section: outcome === 'Passed' ? null : toSection
+    };
+  });
+
+  // Seats taken per new section, to flag overfull classes in the preview
+  const seats = {};
+  students.filter(s => s.outcome !== 'Passed').forEach(s => {
+    const key = `${s.to_class_number}-${s.to_section}`;
+    seats[key] = (seats[key] || 0) + 1;
+  });
+  const warnings = classes
+    .filter(c => (seats[`${c.class_number}-${c.section}`] || 0) > c.max_students)
+    .map(c => `Class ${c.class_number}-${c.section} will have ${seats[`${c.class_number}-${c.section}`]} students (max ${c.max_students})`);
+
+  students
+    .filter(s => s.outcome !== 'Passed' && !classes.some(c => c.class_number === s.to_class_number && c.section === s.to_section))
+    .forEach(s => warnings.push(`${s.admission_no} is in class ${s.class_number}-${s.section}, which is not set up; it will be cloned empty`));
+
+  return {
+    plan: {
+      from,
+      to,
+      classes,
+      students,
+      warnings,
+      summary: {
+        classes_to_clone: classes.length,
+        promoted: students.filter(s => s.outcome === 'Promoted').length,
+        detained: students.filter(s => s.outcome === 'Detained').length,
+        passed: students.filter(s => s.outcome === 'Passed').length,
+        no_result: students.filter(s => s.no_result).length
+      }
+    }
+  };
+}
+
+module.exports = { planRollover };
@@ -0,0 +1,15 @@
+const pool = require('../config/database');
+
+// School with the block and district it belongs to, for jurisdiction checks.
+// Pass a transaction client to read inside a transaction.
+async function loadSchool(schoolId, client = pool) {
+  const result = await client.query(`
+    SELECT s.school_id, s.name, s.name_od, s.block_id, b.district_id
+    FROM schools s
+    JOIN blocks b ON b.block_id = s.block_id
+    WHERE s.school_id = $1
+  `, [schoolId]);
+  return result.rows[0];
+}
+
+module.exports = { loadSchool };
@@ -0,0 +1,58 @@
+const pool = require('../config/database');
+const { subscribe } = require('./events');
+const { invalidate } = require('./cache');
+
+// Writes that move the dashboard figures. Teacher and school edits only show
+// up on the scheduled refresh (sql/maintenance.sql).
+const REFRESH_ON = ['enrollment', 'attendance', 'transfer'];
+
+// How long to wait after a write before refreshing, so a burst of writes (a
+// class register, a CSV import) costs one refresh
+const REFRESH_DELAY_MS = parseInt(process.env.STATS_REFRESH_DELAY_MS) || 30000;
+
+// Rows of stats_rollups / daily_stats_rollups (alias r) that together cover
+// scope: every district for the state, otherwise the caller's own entity
+function rollupCondition(scope, params) {
+  const column = { school: 'school_id', block: 'block_id', district: 'district_id' }[scope.level];
+  if (!column) return `r.level = 'district'`;
+
+  params.push(scope[column]);
+  return `r.level = '${scope.level}' AND r.entity_id = $${params.length}`;
+}
+
+// The oldest refreshed_at among query results, as an ISO string: the figures
+// built from them are at least this fresh. null when no rollup rows matched.
+function dataAsOf(...results) {
+  const times = results
+    .flatMap(result => result.rows.map(row => row.refreshed_at))
+    .filter(Boolean)
+    .map(time => new Date(time).getTime());
+
+  return times.length > 0 ? new Date(Math.min(...times)).toISOString() : null;
+}
+
+let timer = null;
+
+function scheduleRefresh() {
+  if (timer) return;
+
+  timer = setTimeout(async () => {
+    timer = null;
+    try {
+      await pool.query('SELECT refresh_dashboard_stats()');
+      await invalidate(['rollups']);
+    } catch (error) {
+      console.error('Dashboard stats refresh error:', error);
+    }
+  }, REFRESH_DELAY_MS);
+  timer.unref();
+}
+
+// Refresh the rollups shortly after any write this instance publishes
+function refreshAfterWrites() {
+  return subscribe({ level: 'state' }, event => {
+    if (REFRESH_ON.includes(event.type)) scheduleRefresh();
+  });
+}
+
+module.exports = { rollupCondition, dataAsOf, refreshAfterWrites };
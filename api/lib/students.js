@@ -0,0 +1,16 @@
+const pool = require('../config/database');
+
+// Student row plus its school's block_id, for jurisdiction checks.
+// Pass a transaction client and lock: true to hold the row for an update.
+async function loadStudent(studentId, client = pool, { lock = false } = {}) {
+  const result = await client.query(`
+    SELECT s.*, sc.block_id
+    FROM students s
+    JOIN schools sc ON sc.school_id = s.school_id
+    WHERE s.student_id = $1
+    ${lock ? 'FOR UPDATE OF s' : ''}
+  `, [studentId]);
+  return result.rows[0];
+}
+
+module.exports = { loadStudent };
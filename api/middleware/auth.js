@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const { jwtSecret } = require('../config/auth');
+const { hasPermission } = require('../config/roles');
+
+// Verify the Bearer access token and attach the user claims to req.user
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, jwtSecret);
+    if (payload.type !== 'access') {
+      throw new Error('Not an access token');
+    }
+
+    req.user = {
+      user_id: payload.sub,
+      username: payload.username,
+      role: payload.role,
+      school_id: payload.school_id,
+      block_id: payload.block_id,
+      district_id: payload.district_id
+    };
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+    });
+  }
+}
+
+// Allow the request through only if the user's role grants the permission
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { authenticate, authorize };
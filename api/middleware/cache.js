@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { getStore, tagVersion, invalidate } = require('../lib/cache');
+
+// Seconds a cached response is served before it is rebuilt even without a write
+const DEFAULT_TTL = parseInt(process.env.CACHE_TTL_SECONDS) || 300;
+
+// Responses differ by jurisdiction and language, not by user; permissions
+// are checked by authorize() before the cache is consulted
+function cacheKey(req) {
+  const { scope } = req;
+  const entity = { school: scope.school_id, block: scope.block_id, district: scope.district_id }[scope.level];
+  return [req.lang, scope.level, entity || '', req.originalUrl].join('|');
+}
+
+function etagFor(body) {
+  return `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+// Browsers may keep the response for maxAge seconds; with 0 they revalidate
+// every time and get a 304 from the ETag when nothing changed
+function cacheControl(maxAge) {
+  return maxAge > 0 ? `private, max-age=${maxAge}` : 'private, no-cache';
+}
+
+// Serve successful GET responses from the server cache. tags name the data
+// the response is built from (see invalidates()); ttl bounds how stale it can
+// get when that data changes outside this API. A request sent with
+// Cache-Control: no-cache skips the cached copy and refreshes it.
+function cached({ tags, ttl = DEFAULT_TTL, maxAge = 0 }) {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+    const key = cacheKey(req);
+    const version = tagVersion(tags);
+    res.set('Cache-Control', cacheControl(maxAge));
+    res.vary('Authorization');
+
+    if (!/no-cache/.test(req.get('Cache-Control') || '')) {
+      try {
+        const entry = await getStore().get(key);
+        if (entry) {
+          res.set({ ETag: entry.etag, 'X-Cache': 'HIT' });
+          // send() answers If-None-Match with a 304 when the ETag matches
+          return res.type('json').send(entry.body);
+        }
+      } catch (error) {
+        console.error('Cache read error:', error);
+      }
+    }
+
+    res.set('X-Cache', 'MISS');
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      if (res.statusCode !== 200 || !body || body.success !== true) {
+        res.set('Cache-Control', 'no-store');
+        return json(body);
+      }
+
+      const text = JSON.stringify(body);
+      const entry = { body: text, etag: etagFor(text) };
+
+      // Skip storing if a write invalidated these tags while we were reading
+      if (tagVersion(tags) === version) {
+        Promise.resolve(getStore().set(key, entry, { ttl, tags }))
+          .catch(error => console.error('Cache write error:', error));
+      }
+
+      res.set('ETag', entry.etag);
+      return res.type('json').send(text);
+    };
+
+    next();
+  };
+}
+
+// Drop cached responses built from tags once a write through this router
+// succeeds. Runs as the response is written, before the client can re-read.
+function invalidates(...tags) {
+  return (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD') return next();
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode < 400) invalidate(tags);
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = { cached, invalidates };
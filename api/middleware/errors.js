@@ -0,0 +1,73 @@
+// Uniform error envelope. Every failed response has the shape
+//   { success: false, code, error, details? }
+// where code is a stable machine-readable identifier, error a human-readable
+// message and details, when present, a list (field-level entries carry
+// { field, code, message }).
+
+// Default code for each status; handlers may pass a more specific one
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  500: 'INTERNAL_ERROR'
+};
+
+function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+function sendError(res, status, message, { code, details } = {}) {
+  return res.status(status).json({
+    success: false,
+    code: code || errorCode(status),
+    error: message,
+    ...(details !== undefined && { details })
+  });
+}
+
+// Bring any { success: false } body written by a handler into the envelope:
+// fill in the code from the status and turn bare-string details into
+// { message } entries.
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    if (body && body.success === false) {
+      const normalised = { success: false, code: body.code || errorCode(res.statusCode), ...body };
+      if (Array.isArray(body.details)) {
+        normalised.details = body.details.map(item => (typeof item === 'string' ? { message: item } : item));
+      }
+      return json(normalised);
+    }
+    return json(body);
+  };
+
+  next();
+}
+
+// 404 for anything no router handled
+function notFound(req, res) {
+  sendError(res, 404, `Route ${req.method} ${req.path} not found`, { code: 'ROUTE_NOT_FOUND' });
+}
+
+// Last-resort error handler. Body-parser failures are the client's fault;
+// anything else is logged and reported as a 500 without internals.
+function handleErrors(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
+
+  console.error('Error:', err);
+  if (res.headersSent) return;
+  sendError(res, 500, process.env.NODE_ENV === 'development' ? err.message : 'Internal server error');
+}
+
+module.exports = { ERROR_CODES, sendError, errorEnvelope, notFound, handleErrors };
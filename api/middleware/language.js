@@ -0,0 +1,24 @@
+const LANGUAGES = ['en', 'od'];
+
+// Browsers send 'or' (ISO 639-1) for Odia; 'od' is what the schema and UI use
+const ALIASES = { or: 'od', od: 'od', en: 'en' };
+
+function pickLanguage(value) {
+  if (!value) return null;
+  for (const part of String(value).split(',')) {
+    const code = part.split(';')[0].trim().toLowerCase().split('-')[0];
+    if (ALIASES[code]) return ALIASES[code];
+  }
+  return null;
+}
+
+// Resolve the response language into req.lang ('en' or 'od'). An explicit
+// ?lang= wins over the Accept-Language header; anything else falls back to English.
+function resolveLanguage(req, res, next) {
+  req.lang = pickLanguage(req.query.lang) || pickLanguage(req.headers['accept-language']) || 'en';
+  res.set('Content-Language', req.lang === 'od' ? 'or' : 'en');
+  res.vary('Accept-Language');
+  next();
+}
+
+module.exports = { LANGUAGES, resolveLanguage };
@@ -0,0 +1,139 @@
+const pool = require('../config/database');
+const { loadSchool } = require('../lib/schools');
+
+// Jurisdiction level each role is limited to
+const SCOPE_LEVELS = {
+  student: 'school',
+  parent: 'school',
+  teacher: 'school',
+  headmaster: 'school',
+  block_officer: 'block',
+  district_officer: 'district',
+  secretary: 'state',
+  admin: 'state'
+};
+
+// Resolve the user's jurisdiction into req.scope = { level, school_id, block_id, district_id }.
+// Missing block/district ids are filled in from the school or block the user is attached to.
+async function resolveScope(req, res, next) {
+  try {
+    const level = SCOPE_LEVELS[req.user.role];
+    const scope = { level, school_id: null, block_id: null, district_id: null };
+
+    if (level === 'school' && req.user.school_id) {
+      const school = await loadSchool(req.user.school_id);
+      if (school) {
+        Object.assign(scope, {
+          school_id: school.school_id,
+          block_id: school.block_id,
+          district_id: school.district_id
+        });
+      }
+    } else if (level === 'block' && req.user.block_id) {
+      const result = await pool.query(
+        'SELECT block_id, district_id FROM blocks WHERE block_id = $1',
+        [req.user.block_id]
+      );
+      Object.assign(scope, result.rows[0]);
+    } else if (level === 'district' && req.user.district_id) {
+      scope.district_id = req.user.district_id;
+    }
+
+    const assigned = {
+      school: scope.school_id,
+      block: scope.block_id,
+      district: scope.district_id,
+      state: true
+    }[level];
+
+    if (!assigned) {
+      return res.status(403).json({
+        success: false,
+        error: 'No jurisdiction assigned to this account'
+      });
+    }
+
+    req.scope = scope;
+    next();
+  } catch (error) {
+    console.error('Scope resolution error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve user jurisdiction'
+    });
+  }
+}
+
+// SQL condition limiting a school_id column to the scope. Pushes its
+// parameter onto params and returns 'TRUE' for state-wide users.
+function scopeCondition(scope, schoolColumn, params) {
+  switch (scope.level) {
+    case 'school':
+      params.push(scope.school_id);
+      return `${schoolColumn} = $${params.length}`;
+    case 'block':
+      params.push(scope.block_id);
+      return `${schoolColumn} IN (SELECT school_id FROM schools WHERE block_id = $${params.length})`;
+    case 'district':
+      params.push(scope.district_id);
+      return `${schoolColumn} IN (
+        SELECT sc.school_id FROM schools sc
+        JOIN blocks bl ON bl.block_id = sc.block_id
+        WHERE bl.district_id = $${params.length})`;
+    default:
+      return 'TRUE';
+  }
+}
+
+// scopeCondition as an ' AND ...' suffix for an existing WHERE clause
+function scopeClause(scope, schoolColumn, params) {
+  return scope.level === 'state' ? '' : ` AND ${scopeCondition(scope, schoolColumn, params)}`;
+}
+
+// Whether a record carrying school_id/block_id/district_id falls inside the scope
+function inScope(scope, record) {
+  switch (scope.level) {
+    case 'school':
+      return Number(record.school_id) === Number(scope.school_id);
+    case 'block':
+      return Number(record.block_id) === Number(scope.block_id);
+    case 'district':
+      return Number(record.district_id) === Number(scope.district_id);
+    default:
+      return true;
+  }
+}
+
+// Whether explicit school/block/district filters on a request stay inside
+// the scope. Unknown ids are let through so the query returns nothing.
+async function filtersInScope(scope, { school_id, block_id, district_id }) {
+  if (scope.level === 'state') return true;
+
+  if (district_id && Number(district_id) !== Number(scope.district_id)) {
+    return false;
+  }
+
+  if (block_id) {
+    const result = await pool.query(
+      'SELECT block_id, district_id FROM blocks WHERE block_id = $1',
+      [block_id]
+    );
+    const block = result.rows[0];
+    if (block && (scope.level === 'district'
+      ? !inScope(scope, block)
+      : Number(block.block_id) !== Number(scope.block_id))) {
+      return false;
+    }
+  }
+
+  if (school_id) {
+    const school = await loadSchool(school_id);
+    if (school && !inScope(scope, school)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = { SCOPE_LEVELS, resolveScope, scopeCondition, scopeClause, inScope, filtersInScope };
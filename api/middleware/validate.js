@@ -0,0 +1,34 @@
+const { checkSchema } = require('../validators/schema');
+const { sendError } = require('./errors');
+
+const SOURCES = ['params', 'query', 'body'];
+
+// Route middleware checking req.params, req.query and req.body against the
+// declared schemas (see validators/schema.js). Coerced values are written
+// back; fields not in the schema are left alone for the handler.
+// Any failure answers 400 VALIDATION_FAILED with one detail per field.
+function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+
+    SOURCES.forEach(source => {
+      if (!schemas[source]) return;
+
+      const target = req[source] && typeof req[source] === 'object' && !Array.isArray(req[source])
+        ? req[source]
+        : {};
+      const { values, errors } = checkSchema(schemas[source], target);
+
+      errors.forEach(error => details.push({ ...error, in: source }));
+      req[source] = Object.assign(target, values);
+    });
+
+    if (details.length > 0) {
+      return sendError(res, 400, 'Validation failed', { code: 'VALIDATION_FAILED', details });
+    }
+
+    next();
+  };
+}
+
+module.exports = { validate };
@@ -0,0 +1,73 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { ID } = require('../validators/schema');
+const router = express.Router();
+
+// GET /api/academic-years - All academic years, newest first
+router.get('/', authorize('academic_years:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ay.ay_id, ay.name, ay.start_date, ay.end_date, ay.is_current,
+             (SELECT COUNT(DISTINCT school_id) FROM classes c WHERE c.ay_id = ay.ay_id) as schools_with_classes
+      FROM academic_years ay
+      ORDER BY ay.start_date DESC
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Academic years error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch academic years'
+    });
+  }
+});
+
+// POST /api/academic-years/:id/activate - Make a year the current one state-wide
+router.post('/:id/activate', authorize('academic_years:write'), validate({ params: { id: ID } }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'UPDATE academic_years SET is_current = true WHERE ay_id = $1 RETURNING *',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Academic year not found'
+      });
+    }
+
+    await client.query(
+      'UPDATE academic_years SET is_current = false WHERE ay_id <> $1 AND is_current',
+      [req.params.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Academic year activate error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate academic year'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,621 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { scopeClause, inScope, filtersInScope } = require('../middleware/scope');
+const { loadSchool } = require('../lib/schools');
+const { findAttendancePartition } = require('../lib/attendance');
+const { localDate } = require('../lib/dates');
+const { localName, localValue } = require('../lib/i18n');
+const { publish, schoolLabel } = require('../lib/events');
+const { audited } = require('../lib/audit');
+const { validate } = require('../middleware/validate');
+const { ID, SECTION_MAX_LENGTH } = require('../validators/schema');
+const router = express.Router();
+
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late', 'Half'];
+const CONFLICT_MODES = ['overwrite', 'reject'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const REPORT_GROUPS = ['school', 'block', 'district'];
+
+// Days counted as attended: Late counts in full, Half as half a day
+const ATTENDED_DAYS = `SUM(CASE sa.status
+  WHEN 'Present' THEN 1 WHEN 'Late' THEN 1 WHEN 'Half' THEN 0.5 ELSE 0 END)`;
+const ATTENDED_WEIGHT = { Present: 1, Late: 1, Half: 0.5, Absent: 0 };
+
+// A class submitted below this attendance percentage raises a dashboard alert
+const ALERT_THRESHOLD = parseFloat(process.env.ATTENDANCE_ALERT_THRESHOLD) || 75;
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+// Counts in the shape of the dashboard's today_attendance
+function statusCounts(rows) {
+  return {
+    total_marked: rows.length,
+    present: rows.filter(r => r.status === 'Present').length,
+    absent: rows.filter(r => r.status === 'Absent').length
+  };
+}
+
+// from/to query params, defaulting to the last 30 days
+function parseDateRange(query) {
+  const to = query.to || localDate();
+  const from = query.from || new Date(Date.parse(to) - 29 * 86400000).toISOString().slice(0, 10);
+
+  if (!isValidDate(from) || !isValidDate(to) || from > to) {
+    return null;
+  }
+  return { from, to };
+}
+
+// POST /api/attendance - Mark attendance for a class on a date
+// Resubmitting the same class and date corrects the existing rows. With
+// on_conflict: 'reject' (used when replaying attendance taken offline) rows
+// someone else already marked differently are reported with a 409 instead.
+router.post('/', authorize('attendance:write'), validate({
+  body: {
+    school_id: ID,
+    class_number: { type: 'int', required: true, min: 1, max: 12 },
+    section: { type: 'string', required: true, maxLength: SECTION_MAX_LENGTH },
+    date: { type: 'date', required: true },
+    records: { type: 'array', required: true, minItems: 1 },
+    on_conflict: { type: 'enum', values: CONFLICT_MODES, default: 'overwrite' }
+  }
+}), async (req, res) => {
+  try {
+    const { school_id, class_number, section, date, records, on_conflict } = req.body;
+
+    if (date > localDate()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Attendance cannot be marked for a future date'
+      });
+    }
+
+    const invalid = records.filter(r =>
+      !r || !r.student_id || !ATTENDANCE_STATUSES.includes(r.status)
+    );
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Each record needs a student_id and a status of ${ATTENDANCE_STATUSES.join(', ')}`,
+        details: invalid
+      });
+    }
+
+    const keys = records.map(r => `${r.student_id}:${r.period || 'Full'}`);
+    if (new Set(keys).size !== keys.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each student may appear only once per period'
+      });
+    }
+
+    const school = await loadSchool(school_id);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    const partition = await findAttendancePartition(date);
+    if (!partition) {
+      return res.status(422).json({
+        success: false,
+        error: `No attendance partition exists for ${date}. Run create_attendance_partitions() first.`
+      });
+    }
+
+    // Every student must be an active member of this class and section
+    const rosterResult = await pool.query(`
+      SELECT student_id
+      FROM students
+      WHERE school_id = $1 AND class_number = $2 AND section = $3 AND status = 'Active'
+    `, [school_id, class_number, section]);
+
+    const roster = new Set(rosterResult.rows.map(r => String(r.student_id)));
+    const unknown = records.filter(r => !roster.has(String(r.student_id))).map(r => r.student_id);
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some students are not active in this class and section',
+        details: unknown.map(student_id => ({ student_id, code: 'not_in_class' }))
+      });
+    }
+
+    // Rows about to be corrected, locked so the conflict check holds until the
+    // upsert commits; also sent to the live dashboard as a delta
+    const { previous, conflicts, result } = await audited(req, async client => {
+      const previous = await client.query(`
+        SELECT sa.student_id, sa.period, sa.status, sa.marked_by, sa.created_at,
+               u.username AS marked_by_username
+        FROM student_attendance sa
+        JOIN unnest($2::bigint[], $3::text[]) AS r(student_id, period)
+          ON r.student_id = sa.student_id AND r.period = sa.period
+        LEFT JOIN users u ON u.user_id = sa.marked_by
+        WHERE sa.attendance_date = $1
+        FOR UPDATE OF sa
+      `, [date, records.map(r => r.student_id), records.map(r => r.period || 'Full')]);
+
+      if (on_conflict === 'reject') {
+        const submitted = new Map(records.map(r => [`${r.student_id}:${r.period || 'Full'}`, r.status]));
+        const conflicts = previous.rows
+          .filter(row => Number(row.marked_by) !== Number(req.user.user_id) &&
+            row.status !== submitted.get(`${row.student_id}:${row.period}`))
+          .map(row => ({
+            student_id: row.student_id,
+            period: row.period,
+            status: row.status,
+            submitted_status: submitted.get(`${row.student_id}:${row.period}`),
+            marked_by: row.marked_by_username,
+            marked_at: row.created_at
+          }));
+
+        if (conflicts.length > 0) return { previous, conflicts };
+      }
+
+      const result = await client.query(`
+        INSERT INTO student_attendance
+          (student_id, school_id, class_number, attendance_date, status, period, marked_by, remarks)
+        SELECT r.student_id, $1::int, $2::smallint, $3::date, r.status, r.period, $4::bigint, r.remarks
+        FROM unnest($5::bigint[], $6::text[], $7::text[], $8::text[])
+          AS r(student_id, status, period, remarks)
+        ON CONFLICT (student_id, attendance_date, period) DO UPDATE
+          SET status = EXCLUDED.status,
+              remarks = EXCLUDED.remarks,
+              marked_by = EXCLUDED.marked_by,
+              class_number = EXCLUDED.class_number
+        RETURNING attendance_id, student_id, status, period,
+                  tableoid::regclass::text AS partition,
+                  (xmax = 0) AS inserted
+      `, [
+        school_id, class_number, date, req.user.user_id,
+        records.map(r => r.student_id),
+        records.map(r => r.status),
+        records.map(r => r.period || 'Full'),
+        records.map(r => r.remarks || null)
+      ]);
+
+      return { previous, conflicts: [], result };
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Someone else has already marked some of these students differently',
+        details: conflicts
+      });
+    }
+
+    const inserted = result.rows.filter(r => r.inserted).length;
+
+    const counts = statusCounts(result.rows);
+    const before = statusCounts(previous.rows);
+    const classInfo = {
+      ...schoolLabel(school),
+      class_number: parseInt(class_number),
+      section,
+      date
+    };
+
+    publish('attendance', [school], {
+      ...classInfo,
+      ...counts,
+      delta: {
+        total_marked: counts.total_marked - before.total_marked,
+        present: counts.present - before.present,
+        absent: counts.absent - before.absent
+      }
+    });
+
+    const fullDay = result.rows.filter(r => r.period === 'Full');
+    if (fullDay.length > 0) {
+      const attended = fullDay.reduce((sum, r) => sum + ATTENDED_WEIGHT[r.status], 0);
+      const percentage = Math.round(attended * 10000 / fullDay.length) / 100;
+
+      if (percentage < ALERT_THRESHOLD) {
+        publish('alert', [school], {
+          ...classInfo,
+          kind: 'low_attendance',
+          percentage,
+          threshold: ALERT_THRESHOLD
+        });
+      }
+    }
+
+    res.status(inserted > 0 ? 201 : 200).json({
+      success: true,
+      data: {
+        school_id: parseInt(school_id),
+        class_number: parseInt(class_number),
+        section,
+        date,
+        partition,
+        inserted,
+        updated: result.rows.length - inserted,
+        records: result.rows
+      }
+    });
+  } catch (error) {
+    console.error('Attendance marking error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark attendance'
+    });
+  }
+});
+
+// GET /api/attendance/register - Monthly register for a class (student x day grid)
+router.get('/register', authorize('attendance:read'), validate({
+  query: {
+    school_id: ID,
+    class_number: { type: 'int', required: true, min: 1, max: 12 },
+    section: { type: 'string', required: true, maxLength: SECTION_MAX_LENGTH },
+    month: { type: 'month', required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { school_id, class_number, section, month } = req.query;
+
+    const school = await loadSchool(school_id);
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    const [year, monthNumber] = month.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    const days = Array.from({ length: daysInMonth }, (_, i) =>
+      `${month}-${String(i + 1).padStart(2, '0')}`
+    );
+
+    const [studentsResult, attendanceResult] = await Promise.all([
+      pool.query(`
+        SELECT student_id, roll_no, admission_no,
+               ${localName(req.lang, 'first_name')} AS first_name, ${localName(req.lang, 'last_name')} AS last_name
+        FROM students
+        WHERE school_id = $1 AND class_number = $2 AND section = $3 AND status = 'Active'
+        ORDER BY roll_no NULLS LAST, last_name, first_name
+      `, [school_id, class_number, section]),
+      pool.query(`
+        SELECT sa.student_id, to_char(sa.attendance_date, 'YYYY-MM-DD') AS day, sa.status
+        FROM student_attendance sa
+        JOIN students st ON st.student_id = sa.student_id AND st.school_id = sa.school_id
+        WHERE sa.school_id = $1
+          AND st.class_number = $2 AND st.section = $3
+          AND sa.attendance_date >= $4::date
+          AND sa.attendance_date < $4::date + INTERVAL '1 month'
+          AND sa.period = 'Full'
+      `, [school_id, class_number, section, days[0]])
+    ]);
+
+    const marks = new Map();
+    attendanceResult.rows.forEach(row => {
+      marks.set(`${row.student_id}:${row.day}`, row.status);
+    });
+
+    const students = studentsResult.rows.map(student => {
+      const row = days.map(day => marks.get(`${student.student_id}:${day}`) || null);
+      const marked = row.filter(Boolean).length;
+      const attended = row.reduce((total, status) =>
+        total + (status === 'Present' || status === 'Late' ? 1 : status === 'Half' ? 0.5 : 0), 0);
+
+      return {
+        ...student,
+        marks: row,
+        days_marked: marked,
+        days_attended: attended,
+        percentage: marked > 0 ? Math.round(attended * 10000 / marked) / 100 : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        school_id: school.school_id,
+        school_name: localValue(req.lang, school, 'name'),
+        class_number: parseInt(class_number),
+        section,
+        month,
+        days,
+        students
+      }
+    });
+  } catch (error) {
+    console.error('Attendance register error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attendance register'
+    });
+  }
+});
+
+// GET /api/attendance/students/:id - Attendance percentage for a student over a date range
+router.get('/students/:id', authorize('attendance:read'), validate({
+  params: { id: ID },
+  query: { from: { type: 'date' }, to: { type: 'date' } }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const range = parseDateRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid YYYY-MM-DD dates with from <= to'
+      });
+    }
+
+    const studentResult = await pool.query(`
+      SELECT s.student_id, s.school_id, ${localName(req.lang, 's.first_name')} AS first_name,
+             ${localName(req.lang, 's.last_name')} AS last_name, s.admission_no,
+             s.class_number, s.section, sc.block_id, s.district_id
+      FROM students s
+      JOIN schools sc ON sc.school_id = s.school_id
+      WHERE s.student_id = $1
+    `, [id]);
+
+    const student = studentResult.rows[0];
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!inScope(req.scope, student)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Student is outside your jurisdiction'
+      });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        COUNT(*) AS days_marked,
+        COUNT(*) FILTER (WHERE sa.status = 'Present') AS present,
+        COUNT(*) FILTER (WHERE sa.status = 'Absent') AS absent,
+        COUNT(*) FILTER (WHERE sa.status = 'Late') AS late,
+        COUNT(*) FILTER (WHERE sa.status = 'Half') AS half,
+        COALESCE(${ATTENDED_DAYS}, 0) AS days_attended
+      FROM student_attendance sa
+      WHERE sa.student_id = $1 AND sa.period = 'Full'
+        AND sa.attendance_date BETWEEN $2 AND $3
+    `, [id, range.from, range.to]);
+
+    const summary = result.rows[0];
+    const marked = parseInt(summary.days_marked);
+    const attended = parseFloat(summary.days_attended);
+
+    res.json({
+      success: true,
+      data: {
+        ...student,
+        from: range.from,
+        to: range.to,
+        days_marked: marked,
+        present: parseInt(summary.present),
+        absent: parseInt(summary.absent),
+        late: parseInt(summary.late),
+        half: parseInt(summary.half),
+        days_attended: attended,
+        percentage: marked > 0 ? Math.round(attended * 10000 / marked) / 100 : null
+      }
+    });
+  } catch (error) {
+    console.error('Student attendance summary error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch student attendance'
+    });
+  }
+});
+
+// GET /api/attendance/daily-status - Marked vs unmarked classes for a school on a date
+router.get('/daily-status', authorize('attendance:read'), validate({
+  query: { school_id: ID, date: { type: 'date' } }
+}), async (req, res) => {
+  try {
+    const { school_id } = req.query;
+    const date = req.query.date || localDate();
+
+    const school = await loadSchool(school_id);
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        st.class_number,
+        st.section,
+        COUNT(*) AS enrolled,
+        COUNT(sa.student_id) AS marked,
+        COUNT(*) FILTER (WHERE sa.status = 'Present') AS present,
+        COUNT(*) FILTER (WHERE sa.status = 'Absent') AS absent
+      FROM students st
+      LEFT JOIN student_attendance sa
+        ON sa.student_id = st.student_id
+        AND sa.attendance_date = $2
+        AND sa.period = 'Full'
+      WHERE st.school_id = $1 AND st.status = 'Active'
+      GROUP BY st.class_number, st.section
+      ORDER BY st.class_number, st.section
+    `, [school_id, date]);
+
+    const classes = result.rows.map(row => ({
+      class_number: row.class_number,
+      section: row.section,
+      enrolled: parseInt(row.enrolled),
+      marked: parseInt(row.marked),
+      present: parseInt(row.present),
+      absent: parseInt(row.absent)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        school_id: school.school_id,
+        school_name: localValue(req.lang, school, 'name'),
+        date,
+        marked: classes.filter(c => c.marked > 0),
+        unmarked: classes.filter(c => c.marked === 0)
+      }
+    });
+  } catch (error) {
+    console.error('Daily attendance status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch daily attendance status'
+    });
+  }
+});
+
+// GET /api/attendance/chronic-absentees - Students below an attendance threshold
+router.get('/chronic-absentees', authorize('attendance:read'), validate({
+  query: {
+    threshold: { type: 'number', min: 0, max: 100, default: 75 },
+    group_by: { type: 'enum', values: REPORT_GROUPS, default: 'school' },
+    school_id: { type: 'id' },
+    block_id: { type: 'id' },
+    district_id: { type: 'id' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+}), async (req, res) => {
+  try {
+    const { threshold: limit, group_by, school_id, block_id, district_id } = req.query;
+
+    const range = parseDateRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be on or before to'
+      });
+    }
+
+    if (!await filtersInScope(req.scope, { school_id, block_id, district_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school, block or district is outside your jurisdiction'
+      });
+    }
+
+    const params = [range.from, range.to];
+    let filters = scopeClause(req.scope, 'sa.school_id', params);
+
+    if (school_id) {
+      params.push(school_id);
+      filters += ` AND sa.school_id = $${params.length}`;
+    }
+
+    if (block_id) {
+      params.push(block_id);
+      filters += ` AND sa.school_id IN (SELECT school_id FROM schools WHERE block_id = $${params.length})`;
+    }
+
+    if (district_id) {
+      params.push(district_id);
+      filters += ` AND sa.school_id IN (
+        SELECT sc.school_id FROM schools sc
+        JOIN blocks bl ON bl.block_id = sc.block_id
+        WHERE bl.district_id = $${params.length})`;
+    }
+
+    params.push(limit);
+
+    const result = await pool.query(`
+      WITH per_student AS (
+        SELECT sa.student_id, sa.school_id,
+               COUNT(*) AS days_marked,
+               ${ATTENDED_DAYS} AS days_attended
+        FROM student_attendance sa
+        WHERE sa.attendance_date BETWEEN $1 AND $2
+          AND sa.period = 'Full'${filters}
+        GROUP BY sa.student_id, sa.school_id
+      )
+      SELECT ps.student_id, st.admission_no,
+             ${localName(req.lang, 'st.first_name')} AS first_name, ${localName(req.lang, 'st.last_name')} AS last_name,
+             st.class_number, st.section, st.guardian_name, st.guardian_phone,
+             ps.days_marked, ps.days_attended,
+             ROUND(ps.days_attended * 100.0 / ps.days_marked, 2) AS percentage,
+             sc.school_id, ${localName(req.lang, 'sc.name')} AS school_name,
+             b.block_id, ${localName(req.lang, 'b.name')} AS block_name,
+             d.district_id, ${localName(req.lang, 'd.name')} AS district_name
+      FROM per_student ps
+      JOIN students st ON st.student_id = ps.student_id AND st.school_id = ps.school_id
+      JOIN schools sc ON sc.school_id = ps.school_id
+      JOIN blocks b ON b.block_id = sc.block_id
+      JOIN districts d ON d.district_id = b.district_id
+      WHERE st.status = 'Active'
+        AND ps.days_attended * 100.0 / ps.days_marked < $${params.length}
+      ORDER BY percentage, st.last_name, st.first_name
+    `, params);
+
+    const groups = new Map();
+    result.rows.forEach(row => {
+      const groupId = row[`${group_by}_id`];
+      if (!groups.has(groupId)) {
+        groups.set(groupId, {
+          [`${group_by}_id`]: groupId,
+          name: row[`${group_by}_name`],
+          count: 0,
+          students: []
+        });
+      }
+      const group = groups.get(groupId);
+      group.count++;
+      group.students.push(row);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: range.from,
+        to: range.to,
+        threshold: limit,
+        group_by,
+        total: result.rows.length,
+        groups: Array.from(groups.values()).sort((a, b) => b.count - a.count)
+      }
+    });
+  } catch (error) {
+    console.error('Chronic absentee report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate chronic absentee report'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { pagination } = require('../validators/schema');
+const router = express.Router();
+
+// Tables with an audit_row_change() trigger in sql/schema.sql
+const AUDITED_TABLES = [
+  'schools', 'students', 'teachers', 'student_attendance',
+  'exam_results', 'fee_structure', 'fee_payments'
+];
+const AUDIT_ACTIONS = ['INSERT', 'UPDATE', 'DELETE'];
+
+// Entries carry their own school/block/district, copied when they were
+// written, so they stay visible after the record moves or is deleted
+function auditScopeClause(scope, params) {
+  const column = { school: 'school_id', block: 'block_id', district: 'district_id' }[scope.level];
+  if (!column) return '';
+
+  params.push(scope[column]);
+  return ` AND a.${column} = $${params.length}`;
+}
+
+// GET /api/audit - Search the audit log by record, user or date range
+// within the caller's jurisdiction, newest first
+router.get('/', authorize('audit:read'), validate({
+  query: {
+    ...pagination(50),
+    table: { type: 'enum', values: AUDITED_TABLES },
+    record_id: { type: 'string', maxLength: 50 },
+    user_id: { type: 'id' },
+    action: { type: 'enum', values: AUDIT_ACTIONS },
+    school_id: { type: 'id' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+}), async (req, res) => {
+  try {
+    const { table, record_id, user_id, action, school_id, from, to, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (record_id && !table) {
+      return sendError(res, 400, 'Validation failed', {
+        code: 'VALIDATION_FAILED',
+        details: [{ field: 'record_id', code: 'required', message: 'record_id needs table', in: 'query' }]
+      });
+    }
+    if (from && to && from > to) {
+      return sendError(res, 400, 'Validation failed', {
+        code: 'VALIDATION_FAILED',
+        details: [{ field: 'to', code: 'out_of_range', message: 'to must be on or after from', in: 'query' }]
+      });
+    }
+
+    const params = [];
+    let query = `
+      SELECT a.audit_id, a.occurred_at, a.actor_id, u.username AS actor_username,
+             a.actor_role, host(a.actor_ip) AS actor_ip, a.db_user,
+             a.table_name, a.record_id, a.action, a.old_values, a.new_values, a.changed_fields,
+             a.school_id, a.block_id, a.district_id
+      FROM audit_log a
+      LEFT JOIN users u ON u.user_id = a.actor_id
+      WHERE TRUE
+    `;
+    query += auditScopeClause(req.scope, params);
+
+    if (table) {
+      params.push(table);
+      query += ` AND a.table_name = $${params.length}`;
+    }
+
+    if (record_id) {
+      params.push(String(record_id));
+      query += ` AND a.record_id = $${params.length}`;
+    }
+
+    if (user_id) {
+      params.push(user_id);
+      query += ` AND a.actor_id = $${params.length}`;
+    }
+
+    if (action) {
+      params.push(action);
+      query += ` AND a.action = $${params.length}`;
+    }
+
+    if (school_id) {
+      params.push(school_id);
+      query += ` AND a.school_id = $${params.length}`;
+    }
+
+    // Dates are whole days: to includes everything logged on that day
+    if (from) {
+      params.push(from);
+      query += ` AND a.occurred_at >= $${params.length}::date`;
+    }
+
+    if (to) {
+      params.push(to);
+      query += ` AND a.occurred_at < $${params.length}::date + 1`;
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM (${query}) filtered`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    params.push(limit, offset);
+    query += ` ORDER BY a.occurred_at DESC, a.audit_id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Audit log API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// GET /api/audit/:table/:recordId - Full change history of one record, oldest first
+router.get('/:table/:recordId', authorize('audit:read'), validate({
+  params: {
+    table: { type: 'enum', values: AUDITED_TABLES, required: true },
+    recordId: { type: 'string', required: true, maxLength: 50 }
+  }
+}), async (req, res) => {
+  try {
+    const { table, recordId } = req.params;
+
+    const params = [table, recordId];
+    const result = await pool.query(`
+      SELECT a.audit_id, a.occurred_at, a.actor_id, u.username AS actor_username,
+             a.actor_role, host(a.actor_ip) AS actor_ip, a.db_user,
+             a.action, a.old_values, a.new_values, a.changed_fields,
+             a.school_id, a.block_id, a.district_id
+      FROM audit_log a
+      LEFT JOIN users u ON u.user_id = a.actor_id
+      WHERE a.table_name = $1 AND a.record_id = $2
+      ${auditScopeClause(req.scope, params)}
+      ORDER BY a.occurred_at, a.audit_id
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No audit history for this record in your jurisdiction'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        table_name: table,
+        record_id: recordId,
+        changes: result.rows
+      }
+    });
+  } catch (error) {
+    console.error('Audit history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit history'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { jwtSecret, accessTokenTtl, refreshTokenTtlDays } = require('../config/auth');
+const { authenticate } = require('../middleware/auth');
+const { localValue } = require('../lib/i18n');
+const { validate } = require('../middleware/validate');
+const router = express.Router();
+
+const REFRESH_BODY = { refresh_token: { type: 'string', required: true, maxLength: 200 } };
+
+function signAccessToken(user) {
+  return jwt.sign({
+    type: 'access',
+    username: user.username,
+    role: user.role,
+    school_id: user.school_id,
+    block_id: user.block_id,
+    district_id: user.district_id
+  }, jwtSecret, {
+    subject: String(user.user_id),
+    expiresIn: accessTokenTtl
+  });
+}
+
+// Refresh tokens are opaque; only their hash is stored in user_sessions
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  const token = crypto.randomBytes(48).toString('hex');
+  return { token, hash: hashRefreshToken(token) };
+}
+
+function publicUser(user, lang) {
+  return {
+    user_id: user.user_id,
+    username: user.username,
+    role: user.role,
+    first_name: localValue(lang, user, 'first_name'),
+    last_name: localValue(lang, user, 'last_name'),
+    first_name_od: user.first_name_od,
+    last_name_od: user.last_name_od,
+    school_id: user.school_id,
+    block_id: user.block_id,
+    district_id: user.district_id
+  };
+}
+
+// POST /api/auth/login - Exchange username/password for tokens
+router.post('/login', validate({
+  body: {
+    username: { type: 'string', required: true, maxLength: 100 },
+    password: { type: 'string', required: true, maxLength: 200 }
+  }
+}), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const result = await pool.query(`
+      SELECT user_id, username, password_hash, role, first_name, last_name, first_name_od, last_name_od,
+             school_id, block_id, district_id, is_active
+      FROM users
+      WHERE username = $1
+    `, [username]);
+
+    const user = result.rows[0];
+    const valid = user && await bcrypt.compare(password, user.password_hash);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password'
+      });
+    }
+
+    if (!user.is_active) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is inactive'
+      });
+    }
+
+    const refresh = generateRefreshToken();
+
+    await pool.query(`
+      INSERT INTO user_sessions (user_id, refresh_token_hash, expires_at, ip_address, user_agent)
+      VALUES ($1, $2, now() + ($3 || ' days')::interval, $4, $5)
+    `, [user.user_id, refresh.hash, refreshTokenTtlDays, req.ip, req.get('user-agent')]);
+
+    // Keeps cleanup_inactive_users() in sql/maintenance.sql meaningful
+    await pool.query('UPDATE users SET last_login = now() WHERE user_id = $1', [user.user_id]);
+
+    res.json({
+      success: true,
+      data: {
+        access_token: signAccessToken(user),
+        refresh_token: refresh.token,
+        token_type: 'Bearer',
+        expires_in: accessTokenTtl,
+        user: publicUser(user, req.lang)
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in'
+    });
+  }
+});
+
+// POST /api/auth/refresh - Rotate the refresh token and issue a new access token
+router.post('/refresh', validate({ body: REFRESH_BODY }), async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const result = await pool.query(`
+      SELECT us.session_id, u.user_id, u.username, u.role, u.first_name, u.last_name,
+             u.first_name_od, u.last_name_od,
+             u.school_id, u.block_id, u.district_id, u.is_active
+      FROM user_sessions us
+      JOIN users u ON u.user_id = us.user_id
+      WHERE us.refresh_token_hash = $1
+        AND us.revoked_at IS NULL
+        AND us.expires_at > now()
+    `, [hashRefreshToken(refresh_token)]);
+
+    const session = result.rows[0];
+
+    if (!session || !session.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    const refresh = generateRefreshToken();
+
+    await pool.query(`
+      UPDATE user_sessions
+      SET refresh_token_hash = $1,
+          expires_at = now() + ($2 || ' days')::interval,
+          last_used_at = now()
+      WHERE session_id = $3
+    `, [refresh.hash, refreshTokenTtlDays, session.session_id]);
+
+    await pool.query('UPDATE users SET last_login = now() WHERE user_id = $1', [session.user_id]);
+
+    res.json({
+      success: true,
+      data: {
+        access_token: signAccessToken(session),
+        refresh_token: refresh.token,
+        token_type: 'Bearer',
+        expires_in: accessTokenTtl,
+        user: publicUser(session, req.lang)
+      }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token'
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke the session behind a refresh token
+router.post('/logout', validate({ body: REFRESH_BODY }), async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    await pool.query(`
+      UPDATE user_sessions
+      SET revoked_at = now()
+      WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+    `, [hashRefreshToken(refresh_token)]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out'
+    });
+  }
+});
+
+// GET /api/auth/me - Current user profile
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT user_id, username, role, first_name, last_name, first_name_od, last_name_od,
+             school_id, block_id, district_id
+      FROM users
+      WHERE user_id = $1 AND is_active
+    `, [req.user.user_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: publicUser(result.rows[0], req.lang)
+    });
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { filtersInScope } = require('../middleware/scope');
+const { hierarchyStatsCte, parseCounts } = require('../lib/hierarchy');
+const { localName } = require('../lib/i18n');
+const { validate } = require('../middleware/validate');
+const { cached } = require('../middleware/cache');
+const { ID } = require('../validators/schema');
+const router = express.Router();
+
+// GET /api/blocks/:id - Block aggregates with the schools in it
+router.get('/:id', authorize('schools:read'), validate({ params: { id: ID } }), cached({ tags: ['schools', 'students', 'teachers'] }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await filtersInScope(req.scope, { block_id: id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Block is outside your jurisdiction'
+      });
+    }
+
+    const params = [];
+    const cte = hierarchyStatsCte(req.scope, params);
+    params.push(id);
+    const blockParam = `$${params.length}`;
+
+    const [blockResult, schoolsResult] = await Promise.all([
+      pool.query(cte + `
+        SELECT bs.block_id, ${localName(req.lang, 'bs.name')} as name, bs.name_od, bs.budget_allocated,
+               bs.schools, bs.students, bs.teachers,
+               d.district_id, ${localName(req.lang, 'd.name')} as district_name, d.population, d.literacy_rate
+        FROM block_stats bs
+        JOIN districts d ON d.district_id = bs.district_id
+        WHERE bs.block_id = ${blockParam}
+      `, params),
+      pool.query(cte + `
+        SELECT school_id, school_code, ${localName(req.lang, 'name')} as name, name_od, students, teachers
+        FROM school_stats
+        WHERE block_id = ${blockParam}
+        ORDER BY name
+      `, params)
+    ]);
+
+    if (blockResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Block not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...parseCounts(blockResult.rows[0]),
+        school_list: schoolsResult.rows.map(parseCounts)
+      }
+    });
+  } catch (error) {
+    console.error('Block API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch block'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,521 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { scopeClause, inScope, filtersInScope } = require('../middleware/scope');
+const { isBlank, STATUSES } = require('../validators/students');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { ID, SECTION_MAX_LENGTH, pagination } = require('../validators/schema');
+const { loadSchool } = require('../lib/schools');
+const { loadAcademicYear } = require('../lib/academic-years');
+const { localName } = require('../lib/i18n');
+const { setAuditContext } = require('../lib/audit');
+const router = express.Router();
+
+const SECTION_PATTERN = new RegExp(`^[A-Za-z0-9]{1,${SECTION_MAX_LENGTH}}$`);
+
+// Returns a list of { field, code, message }; with partial set only the fields present are checked
+function validateSection(data, { partial = false } = {}) {
+  const errors = [];
+  const present = field => data[field] !== undefined;
+
+  if (!partial) {
+    if (isBlank(data.school_id)) errors.push({ field: 'school_id', code: 'required', message: 'school_id is required' });
+    const classNumber = Number(data.class_number);
+    if (!Number.isInteger(classNumber) || classNumber < 1 || classNumber > 12) {
+      errors.push({ field: 'class_number', code: 'out_of_range', message: 'class_number must be between 1 and 12' });
+    }
+  }
+
+  if ((!partial || present('section')) && !SECTION_PATTERN.test(String(data.section || ''))) {
+    errors.push({
+      field: 'section',
+      code: 'invalid_format',
+      message: `section must be 1 to ${SECTION_MAX_LENGTH} letters or digits`
+    });
+  }
+
+  if (present('max_students')) {
+    const max = Number(data.max_students);
+    if (!Number.isInteger(max) || max < 1 || max > 200) {
+      errors.push({ field: 'max_students', code: 'out_of_range', message: 'max_students must be between 1 and 200' });
+    }
+  }
+
+  return errors;
+}
+
+// Section with its school's block and district, for jurisdiction checks.
+// The school name is in lang when given.
+async function loadSection(classId, client = pool, { lock = false, lang } = {}) {
+  const result = await client.query(`
+    SELECT c.*, ay.name as academic_year, ${localName(lang, 's.name')} as school_name, s.block_id, b.district_id,
+           (SELECT COUNT(*) FROM students st WHERE st.class_id = c.class_id AND st.status = 'Active') as active_students
+    FROM classes c
+    JOIN academic_years ay ON ay.ay_id = c.ay_id
+    JOIN schools s ON s.school_id = c.school_id
+    JOIN blocks b ON b.block_id = s.block_id
+    WHERE c.class_id = $1
+    ${lock ? 'FOR UPDATE OF c' : ''}
+  `, [classId]);
+  const section = result.rows[0];
+  if (section) section.active_students = parseInt(section.active_students);
+  return section;
+}
+
+// GET /api/classes - Sections of a school for an academic year (default current)
+router.get('/', authorize('classes:read'), validate({
+  query: {
+    school_id: ID,
+    ay_id: { type: 'id' },
+    class_number: { type: 'int', min: 1, max: 12 }
+  }
+}), async (req, res) => {
+  try {
+    const { school_id, ay_id, class_number } = req.query;
+
+    if (!await filtersInScope(req.scope, { school_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school is outside your jurisdiction'
+      });
+    }
+
+    const params = [school_id];
+    let query = `
+      SELECT c.class_id, c.school_id, c.ay_id, ay.name as academic_year,
+             c.class_number, c.section, c.max_students, c.current_students,
+             COUNT(st.student_id) FILTER (WHERE st.status = 'Active') as active_students
+      FROM classes c
+      JOIN academic_years ay ON ay.ay_id = c.ay_id
+      LEFT JOIN students st ON st.class_id = c.class_id
+      WHERE c.school_id = $1
+    `;
+
+    if (ay_id) {
+      params.push(ay_id);
+      query += ` AND c.ay_id = $${params.length}`;
+    } else {
+      query += ' AND ay.is_current';
+    }
+
+    if (class_number) {
+      params.push(class_number);
+      query += ` AND c.class_number = $${params.length}`;
+    }
+
+    query += ' GROUP BY c.class_id, ay.name ORDER BY c.class_number, c.section';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...row,
+        active_students: parseInt(row.active_students),
+        seats_left: Math.max(row.max_students - parseInt(row.active_students), 0)
+      }))
+    });
+  } catch (error) {
+    console.error('Classes API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch classes'
+    });
+  }
+});
+
+// GET /api/classes/consistency - Students whose class_number/section disagree with their class_id
+router.get('/consistency', authorize('classes:read'), validate({
+  query: { ...pagination(100), school_id: { type: 'id' } }
+}), async (req, res) => {
+  try {
+    const { school_id, page, limit } = req.query;
+
+    if (!await filtersInScope(req.scope, { school_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school is outside your jurisdiction'
+      });
+    }
+
+    const offset = (page - 1) * limit;
+    const params = [];
+    let query = `
+      SELECT st.student_id, st.admission_no, ${localName(req.lang, 'st.first_name')} as first_name,
+             ${localName(req.lang, 'st.last_name')} as last_name, st.status,
+             st.school_id, ${localName(req.lang, 'sc.name')} as school_name,
+             st.class_id, st.class_number, st.section,
+             c.school_id as class_school_id, c.class_number as class_class_number, c.section as class_section,
+             CASE
+               WHEN st.class_id IS NULL THEN 'No class_id'
+               WHEN c.class_id IS NULL THEN 'class_id does not exist'
+               WHEN c.school_id <> st.school_id THEN 'class_id belongs to another school'
+               ELSE 'class_number/section differ from class_id'
+             END as issue
+      FROM students st
+      JOIN schools sc ON sc.school_id = st.school_id
+      LEFT JOIN classes c ON c.class_id = st.class_id
+      WHERE st.status = 'Active'
+        AND (
+          (st.class_id IS NULL AND st.class_number IS NOT NULL)
+          OR (st.class_id IS NOT NULL AND c.class_id IS NULL)
+          OR c.school_id <> st.school_id
+          OR c.class_number IS DISTINCT FROM st.class_number
+          OR c.section IS DISTINCT FROM st.section
+        )
+    `;
+    query += scopeClause(req.scope, 'st.school_id', params);
+
+    if (school_id) {
+      params.push(school_id);
+      query += ` AND st.school_id = $${params.length}`;
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM (${query}) filtered`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    params.push(limit, offset);
+    query += ` ORDER BY sc.name, st.class_number, st.section, st.last_name
+               LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Class consistency error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run class consistency check'
+    });
+  }
+});
+
+// GET /api/classes/:id - Section details
+router.get('/:id', authorize('classes:read'), validate({ params: { id: ID } }), async (req, res) => {
+  try {
+    const section = await loadSection(req.params.id, pool, { lang: req.lang });
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    if (!inScope(req.scope, section)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Class is outside your jurisdiction'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: section
+    });
+  } catch (error) {
+    console.error('Class detail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch class details'
+    });
+  }
+});
+
+// GET /api/classes/:id/roster - Students in a section
+router.get('/:id/roster', authorize('classes:read'), validate({
+  params: { id: ID },
+  query: { status: { type: 'enum', values: STATUSES, default: 'Active' } }
+}), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const section = await loadSection(req.params.id, pool, { lang: req.lang });
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    if (!inScope(req.scope, section)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Class is outside your jurisdiction'
+      });
+    }
+
+    const result = await pool.query(`
+      SELECT student_id, admission_no, roll_no,
+             ${localName(req.lang, 'first_name')} as first_name, ${localName(req.lang, 'last_name')} as last_name,
+             first_name_od, last_name_od,
+             gender, date_of_birth, category, guardian_name, guardian_phone, status
+      FROM students
+      WHERE class_id = $1 AND status = $2
+      ORDER BY roll_no NULLS LAST, last_name, first_name
+    `, [section.class_id, status]);
+
+    res.json({
+      success: true,
+      data: {
+        class: section,
+        students: result.rows
+      }
+    });
+  } catch (error) {
+    console.error('Class roster error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch class roster'
+    });
+  }
+});
+
+// POST /api/classes - Create a section for a school and academic year (default current)
+router.post('/', authorize('classes:write'), validate({
+  body: { school_id: ID, ay_id: { type: 'id' } }
+}), async (req, res) => {
+  try {
+    const data = req.body;
+    const errors = validateSection(data);
+
+    if (errors.length > 0) {
+      return sendError(res, 400, 'Validation failed', { code: 'VALIDATION_FAILED', details: errors });
+    }
+
+    const school = await loadSchool(data.school_id);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    const year = await loadAcademicYear(data.ay_id);
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        error: data.ay_id ? 'Academic year not found' : 'No current academic year is set'
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO classes (school_id, ay_id, class_number, section, max_students)
+      VALUES ($1, $2, $3, $4, COALESCE($5, 45))
+      RETURNING *
+    `, [school.school_id, year.ay_id, data.class_number, String(data.section).toUpperCase(), data.max_students]);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'This section already exists for the class and year'
+      });
+    }
+    console.error('Class create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create class'
+    });
+  }
+});
+
+// PATCH /api/classes/:id - Rename a section or change its capacity
+router.patch('/:id', authorize('classes:write'), validate({ params: { id: ID } }), async (req, res) => {
+  const data = req.body || {};
+  const errors = validateSection(data, { partial: true });
+
+  if (data.section === undefined && data.max_students === undefined) {
+    errors.push({ field: 'section', code: 'required', message: 'Provide section and/or max_students' });
+  }
+
+  if (errors.length > 0) {
+    return sendError(res, 400, 'Validation failed', { code: 'VALIDATION_FAILED', details: errors });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const section = await loadSection(req.params.id, client, { lock: true });
+
+    if (!section) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    if (!inScope(req.scope, section)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Class is outside your jurisdiction'
+      });
+    }
+
+    if (data.max_students !== undefined && Number(data.max_students) < section.active_students) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Class has ${section.active_students} active students; max_students cannot be lower`
+      });
+    }
+
+    const newSection = data.section === undefined ? section.section : String(data.section).toUpperCase();
+
+    const result = await client.query(`
+      UPDATE classes
+      SET section = $2, max_students = COALESCE($3, max_students)
+      WHERE class_id = $1
+      RETURNING *
+    `, [section.class_id, newSection, data.max_students === undefined ? null : data.max_students]);
+
+    // Students carry the section name too; keep them in step with the rename
+    if (newSection !== section.section) {
+      await client.query('UPDATE students SET section = $2 WHERE class_id = $1', [section.class_id, newSection]);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'This section already exists for the class and year'
+      });
+    }
+    console.error('Class update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update class'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/classes/:id/students - Assign or move students into a section
+router.post('/:id/students', authorize('classes:write'), validate({
+  params: { id: ID },
+  body: { student_ids: { type: 'array', required: true, minItems: 1, maxItems: 200, items: { type: 'id' } } }
+}), async (req, res) => {
+  const { student_ids } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const section = await loadSection(req.params.id, client, { lock: true });
+
+    if (!section) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    if (!inScope(req.scope, section)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Class is outside your jurisdiction'
+      });
+    }
+
+    const studentsResult = await client.query(`
+      SELECT student_id, class_id, status
+      FROM students
+      WHERE school_id = $1 AND student_id = ANY($2::bigint[])
+      FOR UPDATE
+    `, [section.school_id, student_ids]);
+
+    const found = new Map(studentsResult.rows.map(s => [String(s.student_id), s]));
+    const problems = [];
+    student_ids.forEach(id => {
+      const student = found.get(String(id));
+      if (!student) {
+        problems.push({ student_id: id, message: 'Student not found in this school' });
+      } else if (student.status !== 'Active') {
+        problems.push({ student_id: id, message: `Student is ${student.status}` });
+      }
+    });
+
+    if (problems.length > 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 400, 'Validation failed', { code: 'VALIDATION_FAILED', details: problems });
+    }
+
+    const moving = studentsResult.rows.filter(s => String(s.class_id) !== String(section.class_id));
+
+    if (section.active_students + moving.length > section.max_students) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Class ${section.class_number}-${section.section} has ${section.max_students - section.active_students} seats left; cannot add ${moving.length} students`
+      });
+    }
+
+    if (moving.length > 0) {
+      await client.query(`
+        UPDATE students
+        SET class_id = $1, class_number = $2, section = $3
+        WHERE school_id = $4 AND student_id = ANY($5::bigint[])
+      `, [section.class_id, section.class_number, section.section, section.school_id, moving.map(s => s.student_id)]);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: {
+        class_id: section.class_id,
+        moved: moving.length,
+        already_in_class: studentsResult.rows.length - moving.length,
+        active_students: section.active_students + moving.length
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Class assignment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign students'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
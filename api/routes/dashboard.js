@@ -1,68 +1,93 @@
 const express = require('express');
 const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { scopeClause } = require('../middleware/scope');
+const { localName } = require('../lib/i18n');
+const { rollupCondition, dataAsOf } = require('../lib/stats');
+const { validate } = require('../middleware/validate');
+const { cached } = require('../middleware/cache');
+const { pagination } = require('../validators/schema');
 const router = express.Router();
 
-// GET /api/dashboard/stats - Get system-wide statistics
-router.get('/stats', async (req, res) => {
+// The rollups are rebuilt outside the request path (lib/stats.js, cron), so
+// cached figures are also dropped on a timer
+const ROLLUP_CACHE = { tags: ['rollups'], ttl: 60 };
+
+// GET /api/dashboard/stats - Get statistics for the user's jurisdiction
+// Reads the pre-aggregated rollups (sql/schema.sql), so the cost does not grow
+// with enrollment; data_as_of says when they were last rebuilt.
+router.get('/stats', authorize('dashboard:read'), cached(ROLLUP_CACHE), async (req, res) => {
   try {
+    const { scope } = req;
+    const totalsParams = [];
+    const dailyParams = [];
+    const breakdownParams = [];
+
     const stats = await Promise.all([
       // Total counts
-      pool.query('SELECT COUNT(*) as total_schools FROM schools WHERE status = $1', ['Active']),
-      pool.query('SELECT COUNT(*) as total_students FROM students WHERE status = $1', ['Active']),
-      pool.query('SELECT COUNT(*) as total_teachers FROM teachers WHERE status = $1', ['Active']),
-      pool.query('SELECT COUNT(*) as total_districts FROM districts'),
-      
-      // Today's attendance
       pool.query(`
-        SELECT 
-          COUNT(*) as total_marked,
-          COUNT(*) FILTER (WHERE status = 'Present') as present,
-          COUNT(*) FILTER (WHERE status = 'Absent') as absent
-        FROM student_attendance 
-        WHERE attendance_date = CURRENT_DATE
-      `),
-      
-      // Recent enrollments (last 30 days)
+        SELECT
+          COALESCE(SUM(r.schools), 0) as total_schools,
+          COALESCE(SUM(r.students), 0) as total_students,
+          COALESCE(SUM(r.teachers), 0) as total_teachers,
+          COUNT(*) as total_districts,
+          MIN(r.refreshed_at) as refreshed_at
+        FROM stats_rollups r
+        WHERE ${rollupCondition(scope, totalsParams)}
+      `, totalsParams),
+
+      // Today's attendance and recent enrollments (last 30 days)
       pool.query(`
-        SELECT COUNT(*) as recent_enrollments 
-        FROM students 
-        WHERE created_at >= CURRENT_DATE - INTERVAL '30 days'
-      `),
-      
+        SELECT
+          COALESCE(SUM(r.marked) FILTER (WHERE r.stat_date = CURRENT_DATE), 0) as total_marked,
+          COALESCE(SUM(r.present) FILTER (WHERE r.stat_date = CURRENT_DATE), 0) as present,
+          COALESCE(SUM(r.absent) FILTER (WHERE r.stat_date = CURRENT_DATE), 0) as absent,
+          COALESCE(SUM(r.enrollments), 0) as recent_enrollments,
+          MIN(r.refreshed_at) as refreshed_at
+        FROM daily_stats_rollups r
+        WHERE ${rollupCondition(scope, dailyParams)}
+          AND r.stat_date >= CURRENT_DATE - INTERVAL '30 days'
+      `, dailyParams),
+
       // District-wise summary
       pool.query(`
-        SELECT 
-          d.name as district_name,
-          COUNT(DISTINCT s.school_id) as schools,
-          COUNT(DISTINCT st.student_id) as students
-        FROM districts d
-        LEFT JOIN blocks b ON b.district_id = d.district_id
-        LEFT JOIN schools s ON s.block_id = b.block_id AND s.status = 'Active'
-        LEFT JOIN students st ON st.school_id = s.school_id AND st.status = 'Active'
-        GROUP BY d.district_id, d.name
+        SELECT
+          ${localName(req.lang, 'd.name')} as district_name,
+          SUM(r.schools) as schools,
+          SUM(r.students) as students
+        FROM stats_rollups r
+        JOIN districts d ON d.district_id = r.district_id
+        WHERE ${rollupCondition(scope, breakdownParams)}
+        GROUP BY d.district_id
         ORDER BY students DESC
-      `)
+      `, breakdownParams)
     ]);
 
-    const [
-      schoolCount, studentCount, teacherCount, districtCount,
-      attendanceStats, enrollmentStats, districtStats
-    ] = stats;
+    const [totalsStats, dailyStats, districtStats] = stats;
+    const totals = totalsStats.rows[0];
+    const daily = dailyStats.rows[0];
 
     res.json({
       success: true,
       data: {
         totals: {
-          schools: parseInt(schoolCount.rows[0].total_schools),
-          students: parseInt(studentCount.rows[0].total_students),
-          teachers: parseInt(teacherCount.rows[0].total_teachers),
-          districts: parseInt(districtCount.rows[0].total_districts)
+          schools: parseInt(totals.total_schools),
+          students: parseInt(totals.total_students),
+          teachers: parseInt(totals.total_teachers),
+          districts: scope.level === 'state' ? parseInt(totals.total_districts) : 1
         },
-        today_attendance: attendanceStats.rows[0] || {
-          total_marked: 0, present: 0, absent: 0
+        today_attendance: {
+          total_marked: parseInt(daily.total_marked),
+          present: parseInt(daily.present),
+          absent: parseInt(daily.absent)
         },
-        recent_enrollments: parseInt(enrollmentStats.rows[0].recent_enrollments),
-        district_breakdown: districtStats.rows,
+        recent_enrollments: parseInt(daily.recent_enrollments),
+        district_breakdown: districtStats.rows.map(row => ({
+          district_name: row.district_name,
+          schools: parseInt(row.schools),
+          students: parseInt(row.students)
+        })),
+        data_as_of: dataAsOf(totalsStats, dailyStats),
         last_updated: new Date().toISOString()
       }
     });
@@ -75,50 +100,67 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// GET /api/dashboard/kpis - Get real-time KPIs
-router.get('/kpis', async (req, res) => {
+// GET /api/dashboard/kpis - Get KPIs for the user's jurisdiction from the rollups
+router.get('/kpis', authorize('dashboard:read'), cached(ROLLUP_CACHE), async (req, res) => {
   try {
+    const enrollmentParams = [];
+    const attendanceParams = [];
+    const schoolParams = [];
+
     const kpis = await Promise.all([
       // Enrollment trend (last 6 months)
       pool.query(`
         SELECT 
-          DATE_TRUNC('month', created_at) as month,
-          COUNT(*) as enrollments
-        FROM students 
-        WHERE created_at >= CURRENT_DATE - INTERVAL '6 months'
-        GROUP BY DATE_TRUNC('month', created_at)
+          DATE_TRUNC('month', r.stat_date) as month,
+          SUM(r.enrollments) as enrollments,
+          MIN(r.refreshed_at) as refreshed_at
+        FROM daily_stats_rollups r
+        WHERE ${rollupCondition(req.scope, enrollmentParams)}
+          AND r.stat_date >= CURRENT_DATE - INTERVAL '6 months'
+        GROUP BY DATE_TRUNC('month', r.stat_date)
+        HAVING SUM(r.enrollments) > 0
         ORDER BY month
-      `),
+      `, enrollmentParams),
       
       // Attendance rate (last 30 days)
       pool.query(`
         SELECT 
-          ROUND(
-            COUNT(*) FILTER (WHERE status = 'Present') * 100.0 / COUNT(*), 2
-          ) as attendance_rate
-        FROM student_attendance 
-        WHERE attendance_date >= CURRENT_DATE - INTERVAL '30 days'
-      `),
+          ROUND(SUM(r.present) * 100.0 / NULLIF(SUM(r.marked), 0), 2) as attendance_rate,
+          MIN(r.refreshed_at) as refreshed_at
+        FROM daily_stats_rollups r
+        WHERE ${rollupCondition(req.scope, attendanceParams)}
+          AND r.stat_date >= CURRENT_DATE - INTERVAL '30 days'
+      `, attendanceParams),
       
       // School performance metrics
       pool.query(`
         SELECT 
-          AVG(total_students) as avg_students_per_school,
-          AVG(total_teachers) as avg_teachers_per_school,
-          COUNT(*) FILTER (WHERE total_students > 500) as large_schools
-        FROM schools 
-        WHERE status = 'Active'
-      `)
+          ROUND(SUM(r.students) * 1.0 / NULLIF(SUM(r.schools), 0), 2) as avg_students_per_school,
+          ROUND(SUM(r.teachers) * 1.0 / NULLIF(SUM(r.schools), 0), 2) as avg_teachers_per_school,
+          COALESCE(SUM(r.large_schools), 0) as large_schools,
+          MIN(r.refreshed_at) as refreshed_at
+        FROM stats_rollups r
+        WHERE ${rollupCondition(req.scope, schoolParams)}
+      `, schoolParams)
     ]);
 
     const [enrollmentTrend, attendanceRate, schoolMetrics] = kpis;
+    const metrics = schoolMetrics.rows[0];
 
     res.json({
       success: true,
       data: {
-        enrollment_trend: enrollmentTrend.rows,
+        enrollment_trend: enrollmentTrend.rows.map(row => ({
+          month: row.month,
+          enrollments: parseInt(row.enrollments)
+        })),
         attendance_rate: parseFloat(attendanceRate.rows[0]?.attendance_rate || 0),
-        school_metrics: schoolMetrics.rows[0],
+        school_metrics: {
+          avg_students_per_school: metrics.avg_students_per_school === null ? null : parseFloat(metrics.avg_students_per_school),
+          avg_teachers_per_school: metrics.avg_teachers_per_school === null ? null : parseFloat(metrics.avg_teachers_per_school),
+          large_schools: parseInt(metrics.large_schools)
+        },
+        data_as_of: dataAsOf(enrollmentTrend, attendanceRate, schoolMetrics),
         generated_at: new Date().toISOString()
       }
     });
@@ -131,4 +173,89 @@ router.get('/kpis', async (req, res) => {
   }
 });
 
+// GET /api/dashboard/fee-collection - Current-year fee collection per school
+router.get('/fee-collection', authorize('dashboard:read'), validate({
+  query: { limit: pagination().limit }
+}), cached({ tags: ['schools', 'students', 'fees'] }), async (req, res) => {
+  try {
+    const { limit } = req.query;
+    const params = [];
+    const chargeScope = scopeClause(req.scope, 'st.school_id', params);
+    const paymentScope = scopeClause(req.scope, 'fp.school_id', params);
+
+    const result = await pool.query(`
+      WITH year AS (
+        SELECT ay_id, start_date, end_date FROM academic_years WHERE is_current
+      ),
+      charges AS (
+        SELECT st.school_id,
+               SUM(fs.amount) as charged,
+               COALESCE(SUM(fs.amount) FILTER (WHERE fs.due_date < CURRENT_DATE), 0) as due_to_date
+        FROM students st
+        JOIN year ON TRUE
+        JOIN fee_structure fs
+          ON fs.school_id = st.school_id AND fs.class_number = st.class_number AND fs.ay_id = year.ay_id
+        WHERE st.status = 'Active'${chargeScope}
+        GROUP BY st.school_id
+      ),
+      collected AS (
+        SELECT fp.school_id, SUM(fp.amount_paid) as collected, COUNT(*) as payments
+        FROM fee_payments fp
+        JOIN year ON fp.payment_date BETWEEN year.start_date AND year.end_date
+        WHERE TRUE${paymentScope}
+        GROUP BY fp.school_id
+      )
+      SELECT s.school_id, ${localName(req.lang, 's.name')} as school_name, s.school_code,
+             COALESCE(c.charged, 0) as charged,
+             COALESCE(col.collected, 0) as collected,
+             COALESCE(col.payments, 0) as payments,
+             GREATEST(COALESCE(c.charged, 0) - COALESCE(col.collected, 0), 0) as outstanding,
+             GREATEST(COALESCE(c.due_to_date, 0) - COALESCE(col.collected, 0), 0) as overdue,
+             ROUND(COALESCE(col.collected, 0) * 100.0 / NULLIF(c.charged, 0), 2) as collection_rate
+      FROM schools s
+      LEFT JOIN charges c ON c.school_id = s.school_id
+      LEFT JOIN collected col ON col.school_id = s.school_id
+      WHERE c.school_id IS NOT NULL OR col.school_id IS NOT NULL
+      ORDER BY outstanding DESC, s.name
+    `, params);
+
+    const schools = result.rows.map(row => ({
+      ...row,
+      charged: parseFloat(row.charged),
+      collected: parseFloat(row.collected),
+      payments: parseInt(row.payments),
+      outstanding: parseFloat(row.outstanding),
+      overdue: parseFloat(row.overdue),
+      collection_rate: row.collection_rate === null ? null : parseFloat(row.collection_rate)
+    }));
+
+    const totals = schools.reduce((sum, s) => ({
+      charged: sum.charged + s.charged,
+      collected: sum.collected + s.collected,
+      outstanding: sum.outstanding + s.outstanding,
+      overdue: sum.overdue + s.overdue
+    }), { charged: 0, collected: 0, outstanding: 0, overdue: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        totals: {
+          ...totals,
+          collection_rate: totals.charged > 0
+            ? Math.round(totals.collected * 10000 / totals.charged) / 100
+            : null
+        },
+        schools: schools.slice(0, limit),
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Fee collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fee collection summary'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { filtersInScope } = require('../middleware/scope');
+const { hierarchyStatsCte, parseCounts } = require('../lib/hierarchy');
+const { localName } = require('../lib/i18n');
+const { validate } = require('../middleware/validate');
+const { cached } = require('../middleware/cache');
+const { ID } = require('../validators/schema');
+const router = express.Router();
+
+// GET /api/districts - Districts with school, student, teacher and budget aggregates
+router.get('/', authorize('schools:read'), cached({ tags: ['schools', 'students', 'teachers'] }), async (req, res) => {
+  try {
+    const params = [];
+    let query = hierarchyStatsCte(req.scope, params) + `
+      SELECT d.district_id, ${localName(req.lang, 'd.name')} as name, d.name_od,
+             d.population, d.literacy_rate,
+             COUNT(bs.block_id) as blocks,
+             COALESCE(SUM(bs.schools), 0) as schools,
+             COALESCE(SUM(bs.students), 0) as students,
+             COALESCE(SUM(bs.teachers), 0) as teachers,
+             COALESCE(SUM(bs.budget_allocated), 0) as budget_allocated
+      FROM districts d
+      LEFT JOIN block_stats bs ON bs.district_id = d.district_id
+    `;
+
+    if (req.scope.level !== 'state') {
+      params.push(req.scope.district_id);
+      query += ` WHERE d.district_id = $${params.length}`;
+    }
+
+    query += ' GROUP BY d.district_id ORDER BY d.name';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows.map(parseCounts)
+    });
+  } catch (error) {
+    console.error('Districts API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch districts'
+    });
+  }
+});
+
+// GET /api/districts/:id/blocks - Blocks of a district with aggregates
+router.get('/:id/blocks', authorize('schools:read'), validate({ params: { id: ID } }), cached({ tags: ['schools', 'students', 'teachers'] }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await filtersInScope(req.scope, { district_id: id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'District is outside your jurisdiction'
+      });
+    }
+
+    const district = await pool.query(
+      `SELECT district_id, ${localName(req.lang, 'name')} as name, name_od, population, literacy_rate
+       FROM districts WHERE district_id = $1`,
+      [id]
+    );
+
+    if (district.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'District not found'
+      });
+    }
+
+    const params = [];
+    let query = hierarchyStatsCte(req.scope, params) + `
+      SELECT block_id, district_id, ${localName(req.lang, 'name')} as name, name_od,
+             budget_allocated, schools, students, teachers
+      FROM block_stats
+    `;
+
+    params.push(id);
+    query += ` WHERE district_id = $${params.length}`;
+
+    // Block and school level users only see their own block
+    if (req.scope.level === 'block' || req.scope.level === 'school') {
+      params.push(req.scope.block_id);
+      query += ` AND block_id = $${params.length}`;
+    }
+
+    query += ' ORDER BY name';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: {
+        district: parseCounts(district.rows[0]),
+        blocks: result.rows.map(parseCounts)
+      }
+    });
+  } catch (error) {
+    console.error('District blocks API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blocks'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { subscribe } = require('../lib/events');
+const router = express.Router();
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+// How long clients wait before reconnecting after the stream drops
+const RETRY_MS = 5000;
+
+// GET /api/events/stream - Server-Sent Events for the live dashboard,
+// limited to the user's jurisdiction
+router.get('/stream', authorize('dashboard:read'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const unsubscribe = subscribe(req.scope, event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,439 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { scopeClause, inScope, filtersInScope } = require('../middleware/scope');
+const { loadSchool } = require('../lib/schools');
+const { localName } = require('../lib/i18n');
+const { setAuditContext, audited } = require('../lib/audit');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { ID, SECTION_MAX_LENGTH } = require('../validators/schema');
+const { GRADE_SCALE, gradeFor } = require('../config/grades');
+const router = express.Router();
+
+const EXAM_TYPES = ['Unit', 'Mid', 'Final', 'Annual'];
+
+// Largest total_marks an exam can be scheduled with
+const MAX_TOTAL_MARKS = 1000;
+
+async function loadExam(examId, lang) {
+  const result = await pool.query(`
+    SELECT e.*, ay.name as academic_year, ${localName(lang, 's.name')} as school_name, s.block_id, b.district_id
+    FROM examinations e
+    JOIN academic_years ay ON ay.ay_id = e.ay_id
+    JOIN schools s ON s.school_id = e.school_id
+    JOIN blocks b ON b.block_id = s.block_id
+    WHERE e.exam_id = $1
+  `, [examId]);
+  return result.rows[0];
+}
+
+// GET /api/exams - List exams for schools in scope
+router.get('/', authorize('exams:read'), validate({
+  query: {
+    school_id: { type: 'id' },
+    ay_id: { type: 'id' },
+    exam_type: { type: 'enum', values: EXAM_TYPES },
+    status: { type: 'string', maxLength: 20 }
+  }
+}), async (req, res) => {
+  try {
+    const { school_id, ay_id, exam_type, status } = req.query;
+
+    if (!await filtersInScope(req.scope, { school_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school is outside your jurisdiction'
+      });
+    }
+
+    const params = [];
+    let query = `
+      SELECT e.exam_id, e.school_id, ${localName(req.lang, 's.name')} as school_name, e.ay_id, ay.name as academic_year,
+             e.name, e.exam_type, e.start_date, e.end_date, e.total_marks, e.pass_marks, e.status
+      FROM examinations e
+      JOIN schools s ON s.school_id = e.school_id
+      JOIN academic_years ay ON ay.ay_id = e.ay_id
+      WHERE TRUE
+    `;
+    query += scopeClause(req.scope, 'e.school_id', params);
+
+    if (school_id) {
+      params.push(school_id);
+      query += ` AND e.school_id = $${params.length}`;
+    }
+
+    if (ay_id) {
+      params.push(ay_id);
+      query += ` AND e.ay_id = $${params.length}`;
+    }
+
+    if (exam_type) {
+      params.push(exam_type);
+      query += ` AND e.exam_type = $${params.length}`;
+    }
+
+    if (status) {
+      params.push(status);
+      query += ` AND e.status = $${params.length}`;
+    }
+
+    query += ' ORDER BY e.start_date DESC, s.name';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Exams API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exams'
+    });
+  }
+});
+
+// GET /api/exams/grade-scale - Grade bands used for exam_results.grade
+router.get('/grade-scale', authorize('exams:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: GRADE_SCALE
+  });
+});
+
+// GET /api/exams/:id - Get single exam with per-subject result summary
+router.get('/:id', authorize('exams:read'), validate({ params: { id: ID } }), async (req, res) => {
+  try {
+    const exam = await loadExam(req.params.id, req.lang);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    if (!inScope(req.scope, exam)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Exam is outside your jurisdiction'
+      });
+    }
+
+    const summary = await pool.query(`
+      SELECT subject_code,
+             COUNT(*) as students,
+             ROUND(AVG(percentage), 2) as average_percentage,
+             COUNT(*) FILTER (WHERE marks_obtained >= $2) as passed
+      FROM exam_results
+      WHERE exam_id = $1
+      GROUP BY subject_code
+      ORDER BY subject_code
+    `, [exam.exam_id, exam.pass_marks]);
+
+    res.json({
+      success: true,
+      data: {
+        ...exam,
+        subjects: summary.rows
+      }
+    });
+  } catch (error) {
+    console.error('Exam detail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exam details'
+    });
+  }
+});
+
+// POST /api/exams - Schedule an exam and create its results partition
+router.post('/', authorize('exams:write'), validate({
+  body: {
+    school_id: ID,
+    ay_id: { type: 'id' },
+    name: { type: 'string', required: true, maxLength: 100 },
+    exam_type: { type: 'enum', values: EXAM_TYPES, required: true },
+    start_date: { type: 'date', required: true },
+    end_date: { type: 'date', required: true },
+    total_marks: { type: 'int', min: 1, max: MAX_TOTAL_MARKS, default: 100 },
+    pass_marks: { type: 'int', min: 0, max: MAX_TOTAL_MARKS, default: 33 }
+  }
+}), async (req, res) => {
+  const data = req.body;
+  const errors = [];
+
+  if (data.end_date < data.start_date) {
+    errors.push({ field: 'end_date', code: 'out_of_range', message: 'end_date must be on or after start_date', in: 'body' });
+  }
+  if (data.pass_marks > data.total_marks) {
+    errors.push({ field: 'pass_marks', code: 'out_of_range', message: 'pass_marks must be at most total_marks', in: 'body' });
+  }
+
+  if (errors.length > 0) {
+    return sendError(res, 400, 'Validation failed', { code: 'VALIDATION_FAILED', details: errors });
+  }
+
+  const client = await pool.connect();
+  try {
+    const school = await loadSchool(data.school_id, client);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    const yearResult = data.ay_id
+      ? await client.query('SELECT ay_id FROM academic_years WHERE ay_id = $1', [data.ay_id])
+      : await client.query('SELECT ay_id FROM academic_years WHERE is_current');
+
+    if (yearResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: data.ay_id ? 'Academic year not found' : 'No current academic year is set'
+      });
+    }
+
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const result = await client.query(`
+      INSERT INTO examinations
+        (school_id, ay_id, name, exam_type, start_date, end_date, total_marks, pass_marks)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      school.school_id, yearResult.rows[0].ay_id, data.name, data.exam_type,
+      data.start_date, data.end_date, data.total_marks, data.pass_marks
+    ]);
+
+    const exam = result.rows[0];
+    await client.query('SELECT create_exam_results_partition($1)', [exam.exam_id]);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...exam,
+        results_partition: `exam_results_exam_${exam.exam_id}`
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Exam scheduling error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to schedule exam'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/exams/:id/results - Entered marks, filterable by class, section and subject
+router.get('/:id/results', authorize('exams:read'), validate({
+  params: { id: ID },
+  query: {
+    class_number: { type: 'int', min: 1, max: 12 },
+    section: { type: 'string', maxLength: SECTION_MAX_LENGTH },
+    subject_code: { type: 'string', maxLength: 20 }
+  }
+}), async (req, res) => {
+  try {
+    const { class_number, section, subject_code } = req.query;
+    const exam = await loadExam(req.params.id, req.lang);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    if (!inScope(req.scope, exam)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Exam is outside your jurisdiction'
+      });
+    }
+
+    const params = [exam.exam_id];
+    let query = `
+      SELECT r.result_id, r.student_id, st.admission_no, st.roll_no,
+             ${localName(req.lang, 'st.first_name')} as first_name, ${localName(req.lang, 'st.last_name')} as last_name,
+             st.class_number, st.section, r.subject_code, r.marks_obtained, r.total_marks,
+             r.percentage, r.grade
+      FROM exam_results r
+      JOIN students st ON st.student_id = r.student_id
+      WHERE r.exam_id = $1
+    `;
+
+    if (class_number) {
+      params.push(class_number);
+      query += ` AND st.class_number = $${params.length}`;
+    }
+
+    if (section) {
+      params.push(section);
+      query += ` AND st.section = $${params.length}`;
+    }
+
+    if (subject_code) {
+      params.push(subject_code);
+      query += ` AND r.subject_code = $${params.length}`;
+    }
+
+    query += ' ORDER BY st.class_number, st.section, st.roll_no NULLS LAST, r.subject_code';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Exam results error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exam results'
+    });
+  }
+});
+
+// POST /api/exams/:id/results - Enter marks for one subject for a class in bulk
+// Re-entering marks for the same student and subject overwrites them.
+router.post('/:id/results', authorize('results:write'), validate({
+  params: { id: ID },
+  body: {
+    class_number: { type: 'int', required: true, min: 1, max: 12 },
+    section: { type: 'string', required: true, maxLength: SECTION_MAX_LENGTH },
+    subject_code: { type: 'string', required: true, maxLength: 20 },
+    marks: { type: 'array', required: true, minItems: 1 }
+  }
+}), async (req, res) => {
+  try {
+    const { class_number, section, subject_code, marks } = req.body;
+
+    const exam = await loadExam(req.params.id, req.lang);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    if (!inScope(req.scope, exam)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Exam is outside your jurisdiction'
+      });
+    }
+
+    const subject = await pool.query(
+      'SELECT code FROM subjects WHERE code = $1 AND $2 BETWEEN class_min AND class_max',
+      [subject_code, class_number]
+    );
+
+    if (subject.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Subject ${subject_code} is not taught in class ${class_number}`
+      });
+    }
+
+    const invalid = marks.filter(m => {
+      const value = Number(m && m.marks_obtained);
+      return !m || !m.student_id || m.marks_obtained === null || m.marks_obtained === '' ||
+        isNaN(value) || value < 0 || value > exam.total_marks;
+    });
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Marks must be between 0 and ${exam.total_marks}`,
+        details: invalid
+      });
+    }
+
+    const ids = marks.map(m => String(m.student_id));
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each student may appear only once'
+      });
+    }
+
+    const rosterResult = await pool.query(`
+      SELECT student_id
+      FROM students
+      WHERE school_id = $1 AND class_number = $2 AND section = $3 AND status = 'Active'
+    `, [exam.school_id, class_number, section]);
+
+    const roster = new Set(rosterResult.rows.map(r => String(r.student_id)));
+    const unknown = ids.filter(id => !roster.has(id));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some students are not active in this class and section',
+        details: unknown.map(student_id => ({ student_id, code: 'not_in_class' }))
+      });
+    }
+
+    const grades = marks.map(m => gradeFor(Number(m.marks_obtained) * 100 / exam.total_marks));
+
+    const result = await audited(req, client => client.query(`
+      INSERT INTO exam_results
+        (exam_id, student_id, school_id, subject_code, marks_obtained, total_marks, grade)
+      SELECT $1::bigint, r.student_id, $2::int, $3::text, r.marks_obtained, $4::smallint, r.grade
+      FROM unnest($5::bigint[], $6::numeric[], $7::text[]) AS r(student_id, marks_obtained, grade)
+      ON CONFLICT (exam_id, student_id, subject_code) DO UPDATE
+        SET marks_obtained = EXCLUDED.marks_obtained,
+            total_marks = EXCLUDED.total_marks,
+            grade = EXCLUDED.grade
+      RETURNING result_id, student_id, subject_code, marks_obtained, total_marks, percentage, grade,
+                (xmax = 0) AS inserted
+    `, [
+      exam.exam_id, exam.school_id, subject_code, exam.total_marks,
+      marks.map(m => m.student_id),
+      marks.map(m => Number(m.marks_obtained)),
+      grades
+    ]));
+
+    const inserted = result.rows.filter(r => r.inserted).length;
+
+    res.status(inserted > 0 ? 201 : 200).json({
+      success: true,
+      data: {
+        exam_id: exam.exam_id,
+        class_number: parseInt(class_number),
+        section,
+        subject_code,
+        inserted,
+        updated: result.rows.length - inserted,
+        results: result.rows
+      }
+    });
+  } catch (error) {
+    console.error('Marks entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save marks'
+    });
+  }
+});
+
+module.exports = router;
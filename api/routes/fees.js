@@ -0,0 +1,539 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { scopeClause, inScope, filtersInScope } = require('../middleware/scope');
+const { loadSchool } = require('../lib/schools');
+const { loadStudent } = require('../lib/students');
+const { loadAcademicYear } = require('../lib/academic-years');
+const { localName, localValue } = require('../lib/i18n');
+const { audited } = require('../lib/audit');
+const { localDate } = require('../lib/dates');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { ID, pagination } = require('../validators/schema');
+const router = express.Router();
+
+const PAYMENT_METHODS = ['Cash', 'UPI', 'Online', 'Cheque'];
+
+// Rupee amounts are stored as NUMERIC(10,2)
+const AMOUNT = { type: 'number', min: 0.01, max: 99999999.99 };
+
+// Per-student charged, paid, outstanding and overdue amounts for a school and year.
+// Payments within the academic year are applied to the year's fees.
+// Student names are in lang when given.
+async function fetchDues(schoolId, year, { class_number, student_id, lang } = {}) {
+  const params = [year.ay_id, schoolId, year.start_date, year.end_date];
+  let filters = '';
+
+  if (class_number) {
+    params.push(class_number);
+    filters += ` AND st.class_number = $${params.length}`;
+  }
+
+  if (student_id) {
+    params.push(student_id);
+    filters += ` AND st.student_id = $${params.length}`;
+  }
+
+  const result = await pool.query(`
+    WITH charges AS (
+      SELECT st.student_id,
+             SUM(fs.amount) as charged,
+             COALESCE(SUM(fs.amount) FILTER (WHERE fs.due_date < CURRENT_DATE), 0) as due_to_date
+      FROM students st
+      JOIN fee_structure fs
+        ON fs.school_id = st.school_id AND fs.class_number = st.class_number AND fs.ay_id = $1
+      WHERE st.school_id = $2${filters}
+      GROUP BY st.student_id
+    ),
+    payments AS (
+      SELECT student_id, SUM(amount_paid) as paid
+      FROM fee_payments
+      WHERE school_id = $2 AND payment_date BETWEEN $3 AND $4
+      GROUP BY student_id
+    )
+    SELECT st.student_id, st.admission_no,
+           ${localName(lang, 'st.first_name')} as first_name, ${localName(lang, 'st.last_name')} as last_name,
+           st.class_number, st.section, st.guardian_name, st.guardian_phone,
+           COALESCE(c.charged, 0) as charged,
+           COALESCE(p.paid, 0) as paid,
+           GREATEST(COALESCE(c.charged, 0) - COALESCE(p.paid, 0), 0) as outstanding,
+           GREATEST(COALESCE(c.due_to_date, 0) - COALESCE(p.paid, 0), 0) as overdue
+    FROM students st
+    LEFT JOIN charges c ON c.student_id = st.student_id
+    LEFT JOIN payments p ON p.student_id = st.student_id
+    WHERE st.school_id = $2 AND st.status = 'Active'${filters}
+    ORDER BY st.class_number, st.section, st.last_name, st.first_name
+  `, params);
+
+  return result.rows.map(row => ({
+    ...row,
+    charged: parseFloat(row.charged),
+    paid: parseFloat(row.paid),
+    outstanding: parseFloat(row.outstanding),
+    overdue: parseFloat(row.overdue)
+  }));
+}
+
+// GET /api/fees/structure - Fee heads for a school and academic year
+router.get('/structure', authorize('fees:read'), validate({
+  query: {
+    school_id: { type: 'id' },
+    ay_id: { type: 'id' },
+    class_number: { type: 'int', min: 1, max: 12 }
+  }
+}), async (req, res) => {
+  try {
+    const { school_id, ay_id, class_number } = req.query;
+
+    if (!await filtersInScope(req.scope, { school_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school is outside your jurisdiction'
+      });
+    }
+
+    const params = [];
+    let query = `
+      SELECT fs.fee_id, fs.school_id, ${localName(req.lang, 's.name')} as school_name, fs.ay_id, ay.name as academic_year,
+             fs.class_number, fs.fee_type, fs.amount, fs.due_date
+      FROM fee_structure fs
+      JOIN schools s ON s.school_id = fs.school_id
+      JOIN academic_years ay ON ay.ay_id = fs.ay_id
+      WHERE TRUE
+    `;
+    query += scopeClause(req.scope, 'fs.school_id', params);
+
+    if (school_id) {
+      params.push(school_id);
+      query += ` AND fs.school_id = $${params.length}`;
+    }
+
+    if (ay_id) {
+      params.push(ay_id);
+      query += ` AND fs.ay_id = $${params.length}`;
+    } else {
+      query += ' AND ay.is_current';
+    }
+
+    if (class_number) {
+      params.push(class_number);
+      query += ` AND fs.class_number = $${params.length}`;
+    }
+
+    query += ' ORDER BY s.name, fs.class_number, fs.due_date NULLS LAST, fs.fee_type';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Fee structure error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fee structure'
+    });
+  }
+});
+
+// POST /api/fees/structure - Define a fee for a school, year and class
+router.post('/structure', authorize('fees:write'), validate({
+  body: {
+    school_id: ID,
+    ay_id: { type: 'id' },
+    class_number: { type: 'int', required: true, min: 1, max: 12 },
+    fee_type: { type: 'string', required: true, maxLength: 50 },
+    amount: { ...AMOUNT, required: true },
+    due_date: { type: 'date' }
+  }
+}), async (req, res) => {
+  try {
+    const { school_id, class_number, fee_type, amount, due_date } = req.body;
+
+    const school = await loadSchool(school_id);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    const year = await loadAcademicYear(req.body.ay_id);
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        error: req.body.ay_id ? 'Academic year not found' : 'No current academic year is set'
+      });
+    }
+
+    const result = await audited(req, client => client.query(`
+      INSERT INTO fee_structure (school_id, ay_id, class_number, fee_type, amount, due_date)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [school.school_id, year.ay_id, class_number, fee_type, amount, due_date || null]));
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'This fee type is already defined for the class and year'
+      });
+    }
+    console.error('Fee structure create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create fee'
+    });
+  }
+});
+
+// PATCH /api/fees/structure/:id - Change a fee's amount or due date
+// A null due_date clears it.
+router.patch('/structure/:id', authorize('fees:write'), validate({
+  params: { id: ID },
+  body: { amount: AMOUNT, due_date: { type: 'date' } }
+}), async (req, res) => {
+  try {
+    const { amount, due_date } = req.body;
+
+    if (amount === undefined && due_date === undefined) {
+      return sendError(res, 400, 'Validation failed', {
+        code: 'VALIDATION_FAILED',
+        details: [{ field: 'amount', code: 'required', message: 'Provide amount and/or due_date', in: 'body' }]
+      });
+    }
+
+    const feeResult = await pool.query('SELECT * FROM fee_structure WHERE fee_id = $1', [req.params.id]);
+    const fee = feeResult.rows[0];
+
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee not found'
+      });
+    }
+
+    const school = await loadSchool(fee.school_id);
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Fee is outside your jurisdiction'
+      });
+    }
+
+    const result = await audited(req, client => client.query(`
+      UPDATE fee_structure
+      SET amount = COALESCE($2, amount),
+          due_date = CASE WHEN $3 THEN $4::date ELSE due_date END
+      WHERE fee_id = $1
+      RETURNING *
+    `, [fee.fee_id, amount === undefined ? null : amount, due_date !== undefined, due_date || null]));
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Fee structure update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fee'
+    });
+  }
+});
+
+// GET /api/fees/payments - Payments for a school or student
+router.get('/payments', authorize('fees:read'), validate({
+  query: {
+    ...pagination(50),
+    school_id: { type: 'id' },
+    student_id: { type: 'id' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+}), async (req, res) => {
+  try {
+    const { school_id, student_id, from, to, page, limit } = req.query;
+
+    if (!await filtersInScope(req.scope, { school_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school is outside your jurisdiction'
+      });
+    }
+
+    const offset = (page - 1) * limit;
+    const params = [];
+    let query = `
+      SELECT fp.payment_id, fp.receipt_no, fp.student_id, st.admission_no,
+             ${localName(req.lang, 'st.first_name')} as first_name, ${localName(req.lang, 'st.last_name')} as last_name,
+             fp.school_id, ${localName(req.lang, 's.name')} as school_name, fp.amount_paid, fp.payment_date, fp.method, fp.created_at
+      FROM fee_payments fp
+      JOIN students st ON st.student_id = fp.student_id
+      JOIN schools s ON s.school_id = fp.school_id
+      WHERE TRUE
+    `;
+    query += scopeClause(req.scope, 'fp.school_id', params);
+
+    if (school_id) {
+      params.push(school_id);
+      query += ` AND fp.school_id = $${params.length}`;
+    }
+
+    if (student_id) {
+      params.push(student_id);
+      query += ` AND fp.student_id = $${params.length}`;
+    }
+
+    if (from) {
+      params.push(from);
+      query += ` AND fp.payment_date >= $${params.length}`;
+    }
+
+    if (to) {
+      params.push(to);
+      query += ` AND fp.payment_date <= $${params.length}`;
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM (${query}) filtered`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    params.push(limit, offset);
+    query += ` ORDER BY fp.payment_date DESC, fp.payment_id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Fee payments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payments'
+    });
+  }
+});
+
+// POST /api/fees/payments - Record a payment and issue a receipt number
+router.post('/payments', authorize('fees:write'), validate({
+  body: {
+    student_id: ID,
+    amount_paid: { ...AMOUNT, required: true },
+    method: { type: 'enum', values: PAYMENT_METHODS, required: true },
+    payment_date: { type: 'date' }
+  }
+}), async (req, res) => {
+  try {
+    const { student_id, amount_paid, method } = req.body;
+    const paymentDate = req.body.payment_date || localDate();
+
+    if (paymentDate > localDate()) {
+      return sendError(res, 400, 'Validation failed', {
+        code: 'VALIDATION_FAILED',
+        details: [{ field: 'payment_date', code: 'out_of_range', message: 'payment_date cannot be in the future', in: 'body' }]
+      });
+    }
+
+    const student = await loadStudent(student_id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!inScope(req.scope, student)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Student is outside your jurisdiction'
+      });
+    }
+
+    // Receipt numbers look like <school_code>/<year>/<000123>, backed by fee_receipt_seq
+    const result = await audited(req, client => client.query(`
+      INSERT INTO fee_payments (student_id, school_id, amount_paid, payment_date, method, receipt_no)
+      SELECT $1, $2, $3, $4::date, $5,
+             s.school_code || '/' || to_char($4::date, 'YYYY') || '/' ||
+             lpad(nextval('fee_receipt_seq')::text, 6, '0')
+      FROM schools s
+      WHERE s.school_id = $2
+      RETURNING *
+    `, [student.student_id, student.school_id, amount_paid, paymentDate, method]));
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Fee payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record payment'
+    });
+  }
+});
+
+// GET /api/fees/dues - Charged vs paid per student for a school (optionally one class)
+router.get('/dues', authorize('fees:read'), validate({
+  query: {
+    school_id: ID,
+    ay_id: { type: 'id' },
+    class_number: { type: 'int', min: 1, max: 12 },
+    overdue_only: { type: 'boolean', default: false }
+  }
+}), async (req, res) => {
+  try {
+    const { school_id, class_number, overdue_only } = req.query;
+
+    const school = await loadSchool(school_id);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    const year = await loadAcademicYear(req.query.ay_id);
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        error: req.query.ay_id ? 'Academic year not found' : 'No current academic year is set'
+      });
+    }
+
+    let dues = await fetchDues(school.school_id, year, { class_number, lang: req.lang });
+    if (overdue_only) {
+      dues = dues.filter(d => d.overdue > 0);
+    }
+
+    const totals = dues.reduce((sum, d) => ({
+      charged: sum.charged + d.charged,
+      paid: sum.paid + d.paid,
+      outstanding: sum.outstanding + d.outstanding,
+      overdue: sum.overdue + d.overdue
+    }), { charged: 0, paid: 0, outstanding: 0, overdue: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        school_id: school.school_id,
+        school_name: localValue(req.lang, school, 'name'),
+        academic_year: year.name,
+        totals,
+        students: dues
+      }
+    });
+  } catch (error) {
+    console.error('Fee dues error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dues'
+    });
+  }
+});
+
+// GET /api/fees/dues/students/:id - One student's fee heads with paid/overdue status
+router.get('/dues/students/:id', authorize('fees:read'), validate({
+  params: { id: ID },
+  query: { ay_id: { type: 'id' } }
+}), async (req, res) => {
+  try {
+    const student = await loadStudent(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!inScope(req.scope, student)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Student is outside your jurisdiction'
+      });
+    }
+
+    const year = await loadAcademicYear(req.query.ay_id);
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        error: req.query.ay_id ? 'Academic year not found' : 'No current academic year is set'
+      });
+    }
+
+    const [summary] = await fetchDues(student.school_id, year, { student_id: student.student_id, lang: req.lang });
+
+    const fees = await pool.query(`
+      SELECT fee_id, fee_type, amount, due_date
+      FROM fee_structure
+      WHERE school_id = $1 AND ay_id = $2 AND class_number = $3
+      ORDER BY due_date NULLS LAST, fee_id
+    `, [student.school_id, year.ay_id, student.class_number]);
+
+    // Apply payments to fee heads in due-date order
+    let remaining = summary ? summary.paid : 0;
+    const today = localDate();
+    const items = fees.rows.map(fee => {
+      const amount = parseFloat(fee.amount);
+      const paid = Math.min(amount, remaining);
+      remaining -= paid;
+      const dueDate = fee.due_date ? localDate(new Date(fee.due_date)) : null;
+      return {
+        ...fee,
+        amount,
+        paid,
+        balance: amount - paid,
+        overdue: amount - paid > 0 && dueDate !== null && dueDate < today
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...(summary || { student_id: student.student_id, charged: 0, paid: 0, outstanding: 0, overdue: 0 }),
+        academic_year: year.name,
+        fees: items
+      }
+    });
+  } catch (error) {
+    console.error('Student dues error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch student dues'
+    });
+  }
+});
+
+module.exports = router;
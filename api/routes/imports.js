@@ -0,0 +1,409 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { inScope } = require('../middleware/scope');
+const { parseCsv } = require('../lib/csv');
+const { EDITABLE_FIELDS, isBlank, validateStudent } = require('../validators/students');
+const { validateSchool } = require('../validators/schools');
+const { publish, schoolLabel } = require('../lib/events');
+const { setAuditContext } = require('../lib/audit');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const router = express.Router();
+
+const MAX_ROWS = 10000;
+
+// Status every imported student starts with (the students.status column default)
+const ADMISSION_STATUS = 'Active';
+
+// Uploads are raw CSV; a JSON body of { csv: '...' } is accepted as well
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }));
+
+// Insert column -> Postgres array type for the unnest() bulk insert
+const STUDENT_COLUMNS = {
+  school_id: 'int', district_id: 'smallint', admission_no: 'text', roll_no: 'smallint',
+  first_name: 'text', last_name: 'text', first_name_od: 'text', last_name_od: 'text',
+  gender: 'text', date_of_birth: 'date', class_id: 'bigint', class_number: 'smallint',
+  section: 'text', category: 'text', mother_tongue: 'text', guardian_name: 'text',
+  guardian_phone: 'text', guardian_email: 'text', address: 'text', aadhar: 'text',
+  admission_date: 'date'
+};
+
+const SCHOOL_COLUMNS = {
+  block_id: 'int', school_code: 'text', name: 'text', name_od: 'text', address: 'text',
+  pincode: 'text', phone: 'text', email: 'text', established_year: 'smallint', status: 'text'
+};
+
+// Keep column defaults for values the file leaves empty
+const COLUMN_DEFAULTS = {
+  mother_tongue: "'Odia'",
+  admission_date: 'CURRENT_DATE',
+  status: "'Active'"
+};
+
+function readCsv(req, requiredHeaders) {
+  const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+  const { headers, rows } = parseCsv(text);
+
+  if (rows.length === 0) {
+    return { error: 'CSV must have a header row and at least one data row' };
+  }
+
+  if (rows.length > MAX_ROWS) {
+    return { error: `CSV has ${rows.length} rows; the limit is ${MAX_ROWS} per upload` };
+  }
+
+  const missing = requiredHeaders.filter(header => !headers.includes(header));
+  if (missing.length > 0) {
+    return { error: `CSV is missing required columns: ${missing.join(', ')}` };
+  }
+
+  return { rows };
+}
+
+// INSERT ... SELECT FROM unnest() for a list of records sharing the given columns
+function bulkInsert(client, table, columnTypes, records, returning) {
+  const columns = Object.keys(columnTypes);
+  const arrays = columns.map((column, i) => `$${i + 1}::${columnTypes[column]}[]`);
+  const selects = columns.map(column => COLUMN_DEFAULTS[column]
+    ? `COALESCE(${column}, ${COLUMN_DEFAULTS[column]})`
+    : column);
+
+  return client.query(`
+    INSERT INTO ${table} (${columns.join(', ')})
+    SELECT ${selects.join(', ')}
+    FROM unnest(${arrays.join(', ')}) AS t(${columns.join(', ')})
+    RETURNING ${returning}
+  `, columns.map(column => records.map(record => record[column] === undefined ? null : record[column])));
+}
+
+function importReport(rows, errors, commit, inserted = 0) {
+  const errorLines = new Set(errors.map(e => e.line));
+  return {
+    dry_run: !commit,
+    total_rows: rows.length,
+    valid_rows: rows.length - errorLines.size,
+    error_rows: errorLines.size,
+    inserted,
+    errors
+  };
+}
+
+// Validate student rows and resolve them to insert-ready records.
+// With lock set, class rows are locked so the capacity check holds until commit.
+async function checkStudentRows(client, scope, rows, { lock = false } = {}) {
+  const errors = [];
+  const addError = (row, field, message) => errors.push({ line: row.line, field, message });
+
+  const codes = [...new Set(rows.map(row => row.school_code).filter(Boolean))];
+  const schoolResult = await client.query(`
+    SELECT s.school_id, s.school_code, s.block_id, b.district_id
+    FROM schools s
+    JOIN blocks b ON b.block_id = s.block_id
+    WHERE s.school_code = ANY($1::text[])
+  `, [codes]);
+  const schools = new Map(schoolResult.rows.map(school => [school.school_code, school]));
+  const schoolIds = schoolResult.rows.map(school => school.school_id);
+
+  const classResult = await client.query(`
+    SELECT c.class_id, c.school_id, c.class_number, c.section, c.max_students
+    FROM classes c
+    JOIN academic_years ay ON ay.ay_id = c.ay_id AND ay.is_current
+    WHERE c.school_id = ANY($1::int[])
+    ${lock ? 'FOR UPDATE OF c' : ''}
+  `, [schoolIds]);
+  const classes = new Map(classResult.rows.map(cls => [
+    `${cls.school_id}|${cls.class_number}|${cls.section}`, { ...cls, active: 0 }
+  ]));
+
+  const countResult = await client.query(`
+    SELECT class_id, COUNT(*) as active
+    FROM students
+    WHERE class_id = ANY($1::bigint[]) AND status = 'Active'
+    GROUP BY class_id
+  `, [classResult.rows.map(cls => cls.class_id)]);
+  const activeCounts = new Map(countResult.rows.map(row => [String(row.class_id), parseInt(row.active)]));
+  classes.forEach(cls => { cls.active = activeCounts.get(String(cls.class_id)) || 0; });
+
+  const existingResult = await client.query(`
+    SELECT school_id, admission_no
+    FROM students
+    WHERE school_id = ANY($1::int[]) AND admission_no = ANY($2::text[])
+  `, [schoolIds, rows.map(row => row.admission_no).filter(Boolean)]);
+  const existing = new Set(existingResult.rows.map(row => `${row.school_id}|${row.admission_no}`));
+
+  const seen = new Map();
+  const records = [];
+
+  rows.forEach(row => {
+    const school = schools.get(row.school_code);
+    const before = errors.length;
+
+    if (isBlank(row.school_code)) {
+      addError(row, 'school_code', 'school_code is required');
+    } else if (!school) {
+      addError(row, 'school_code', `School code ${row.school_code} does not exist`);
+    } else if (!inScope(scope, school)) {
+      addError(row, 'school_code', `School ${row.school_code} is outside your jurisdiction`);
+    }
+
+    const data = {};
+    EDITABLE_FIELDS.filter(field => field !== 'class_id').forEach(field => {
+      if (row[field] !== undefined) data[field] = row[field];
+    });
+
+    // school_code problems are reported above, so don't repeat them as school_id
+    validateStudent({ ...data, school_id: school ? school.school_id : 0 })
+      .forEach(error => addError(row, error.field, error.message));
+
+    // Imported rows are new admissions, which always start Active; a status
+    // column is accepted so exports can be re-imported
+    if (!isBlank(row.status) && row.status !== ADMISSION_STATUS) {
+      addError(row, 'status', `status must be ${ADMISSION_STATUS} for a new admission`);
+    }
+
+    let cls = null;
+    if (school && !isBlank(row.admission_no)) {
+      const key = `${school.school_id}|${row.admission_no}`;
+
+      if (existing.has(key)) {
+        addError(row, 'admission_no', `Admission number ${row.admission_no} already exists in school ${row.school_code}`);
+      } else if (seen.has(key)) {
+        addError(row, 'admission_no', `Admission number ${row.admission_no} duplicates line ${seen.get(key)}`);
+      } else {
+        seen.set(key, row.line);
+      }
+    }
+
+    if (school && (!isBlank(row.class_number) || !isBlank(row.section))) {
+      if (isBlank(row.class_number) || isBlank(row.section)) {
+        addError(row, 'section', 'class_number and section must be given together');
+      } else {
+        cls = classes.get(`${school.school_id}|${Number(row.class_number)}|${row.section}`);
+        if (!cls) {
+          addError(row, 'section',
+            `Class ${row.class_number}-${row.section} has not been set up for the current academic year`);
+        }
+      }
+    }
+
+    if (errors.length > before) return;
+
+    // Only rows that are otherwise valid take up a seat
+    if (cls) {
+      if (cls.active >= cls.max_students) {
+        addError(row, 'section', `Class ${cls.class_number}-${cls.section} is full (max ${cls.max_students} students)`);
+        return;
+      }
+      cls.active++;
+    }
+
+    records.push({
+      ...data,
+      school_id: school.school_id,
+      district_id: school.district_id,
+      class_id: cls ? cls.class_id : null,
+      class_number: cls ? cls.class_number : null,
+      section: cls ? cls.section : null
+    });
+  });
+
+  return { errors, records };
+}
+
+// Validate school rows and resolve block references to block ids
+async function checkSchoolRows(client, scope, rows) {
+  const errors = [];
+  const addError = (row, field, message) => errors.push({ line: row.line, field, message });
+
+  const blockResult = await client.query(`
+    SELECT b.block_id, b.name, b.district_id, d.name as district_name
+    FROM blocks b
+    JOIN districts d ON d.district_id = b.district_id
+  `);
+  const blocksById = new Map(blockResult.rows.map(block => [String(block.block_id), block]));
+  const blocksByName = new Map(blockResult.rows.map(block => [
+    `${block.district_name.toLowerCase()}|${block.name.toLowerCase()}`, block
+  ]));
+
+  const existingResult = await client.query(
+    'SELECT school_code FROM schools WHERE school_code = ANY($1::text[])',
+    [rows.map(row => row.school_code).filter(Boolean)]
+  );
+  const existing = new Set(existingResult.rows.map(row => row.school_code));
+
+  const seen = new Map();
+  const records = [];
+
+  rows.forEach(row => {
+    const before = errors.length;
+
+    validateSchool(row).forEach(error => addError(row, error.field, error.message));
+
+    let block = null;
+    if (!isBlank(row.block_id)) {
+      block = blocksById.get(String(row.block_id));
+      if (!block) addError(row, 'block_id', `Block ${row.block_id} does not exist`);
+    } else if (!isBlank(row.district) && !isBlank(row.block)) {
+      block = blocksByName.get(`${row.district.toLowerCase()}|${row.block.toLowerCase()}`);
+      if (!block) addError(row, 'block', `Block ${row.block} does not exist in district ${row.district}`);
+    }
+
+    if (block && !inScope(scope, block)) {
+      addError(row, 'block', `Block ${block.name} is outside your jurisdiction`);
+    }
+
+    if (!isBlank(row.school_code)) {
+      if (existing.has(row.school_code)) {
+        addError(row, 'school_code', `School code ${row.school_code} already exists`);
+      } else if (seen.has(row.school_code)) {
+        addError(row, 'school_code', `School code ${row.school_code} duplicates line ${seen.get(row.school_code)}`);
+      } else {
+        seen.set(row.school_code, row.line);
+      }
+    }
+
+    if (errors.length > before) return;
+
+    const record = { block_id: block.block_id };
+    Object.keys(SCHOOL_COLUMNS).forEach(column => {
+      if (column !== 'block_id' && row[column] !== undefined) record[column] = row[column];
+    });
+    records.push(record);
+  });
+
+  return { errors, records };
+}
+
+// One enrollment event per school that received imported students
+async function publishEnrollments(rows) {
+  const counts = {};
+  rows.forEach(row => { counts[row.school_id] = (counts[row.school_id] || 0) + 1; });
+
+  const schools = await pool.query(`
+    SELECT s.school_id, s.name, s.name_od, s.block_id, b.district_id
+    FROM schools s
+    JOIN blocks b ON b.block_id = s.block_id
+    WHERE s.school_id = ANY($1::int[])
+  `, [Object.keys(counts)]);
+
+  schools.rows.forEach(school => {
+    publish('enrollment', [school], {
+      ...schoolLabel(school),
+      count: counts[school.school_id],
+      source: 'import'
+    });
+  });
+}
+
+// ?commit=true on either upload route
+const IMPORT_QUERY = { commit: { type: 'boolean', default: false } };
+
+// Dry-run unless ?commit=true. A commit re-validates inside the transaction and
+// inserts nothing if any row fails. insert returns the inserted rows, which are
+// handed to afterCommit once the transaction is through.
+async function runImport(req, res, { requiredHeaders, check, insert, afterCommit, label }) {
+  const { rows, error } = readCsv(req, requiredHeaders);
+
+  if (error) {
+    return sendError(res, 400, error, { code: 'INVALID_CSV' });
+  }
+
+  if (!req.query.commit) {
+    const { errors } = await check(pool, rows, {});
+    return res.json({
+      success: true,
+      data: importReport(rows, errors, false)
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const { errors, records } = await check(client, rows, { lock: true });
+
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(422).json({
+        success: false,
+        error: `Import has errors in ${new Set(errors.map(e => e.line)).size} rows; nothing was inserted`,
+        data: importReport(rows, errors, true)
+      });
+    }
+
+    const inserted = await insert(client, records);
+
+    await client.query('COMMIT');
+
+    if (afterCommit) {
+      afterCommit(inserted).catch(error => console.error(`${label} import follow-up error:`, error));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: importReport(rows, [], true, inserted.length)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Another upload created some of these records; run the dry-run again'
+      });
+    }
+    console.error(`${label} import error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to import ${label.toLowerCase()}`
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// POST /api/imports/students - Validate (and with ?commit=true, insert) a students CSV
+router.post('/students', authorize('students:import'), validate({ query: IMPORT_QUERY }), async (req, res) => {
+  try {
+    await runImport(req, res, {
+      label: 'Students',
+      requiredHeaders: ['school_code', 'admission_no', 'first_name', 'last_name'],
+      check: (client, rows, options) => checkStudentRows(client, req.scope, rows, options),
+      insert: async (client, records) => {
+        const result = await bulkInsert(client, 'students', STUDENT_COLUMNS, records, 'school_id');
+        return result.rows;
+      },
+      afterCommit: publishEnrollments
+    });
+  } catch (error) {
+    console.error('Students import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to validate students import'
+    });
+  }
+});
+
+// POST /api/imports/schools - Validate (and with ?commit=true, insert) a schools CSV
+router.post('/schools', authorize('schools:import'), validate({ query: IMPORT_QUERY }), async (req, res) => {
+  try {
+    await runImport(req, res, {
+      label: 'Schools',
+      requiredHeaders: ['school_code', 'name'],
+      check: (client, rows) => checkSchoolRows(client, req.scope, rows),
+      insert: async (client, records) => {
+        const result = await bulkInsert(client, 'schools', SCHOOL_COLUMNS, records, 'school_id');
+        return result.rows;
+      }
+    });
+  } catch (error) {
+    console.error('Schools import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to validate schools import'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const router = express.Router();
+
+// Views and functions come from sql/monitoring.sql. They describe the whole
+// database, so every route is admin-only and ignores jurisdiction.
+
+const PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+const PRIORITY_ORDER = `CASE priority WHEN 'HIGH' THEN 1 WHEN 'MEDIUM' THEN 2 ELSE 3 END`;
+
+// v_system_dashboard category names -> response keys
+const SUMMARY_SECTIONS = {
+  'System Health': 'system_health',
+  'Performance': 'performance',
+  'Data Quality': 'data_quality'
+};
+
+// The quality views report every value as text
+const parseMetric = row => ({ ...row, value: parseInt(row.value) });
+
+// GET /api/admin/monitoring/summary - Overall health from v_system_dashboard
+router.get('/summary', authorize('monitoring:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT category, metrics FROM v_system_dashboard');
+
+    const summary = {};
+    result.rows.forEach(row => {
+      summary[SUMMARY_SECTIONS[row.category] || row.category] = row.metrics;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        api: { uptime_seconds: Math.round(process.uptime()) },
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Monitoring summary error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch system summary'
+    });
+  }
+});
+
+// GET /api/admin/monitoring/alerts - Current alerts from v_system_alerts, most urgent first
+router.get('/alerts', authorize('monitoring:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT priority, alert_type, message, detected_at
+      FROM v_system_alerts
+      ORDER BY ${PRIORITY_ORDER}, alert_type
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Monitoring alerts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch system alerts'
+    });
+  }
+});
+
+// GET /api/admin/monitoring/data-quality - Student and school data quality checks
+router.get('/data-quality', authorize('monitoring:read'), async (req, res) => {
+  try {
+    const [students, schools] = await Promise.all([
+      pool.query('SELECT metric, value, description FROM v_student_data_quality'),
+      pool.query('SELECT metric, value, description FROM v_school_data_quality')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        students: students.rows.map(parseMetric),
+        schools: schools.rows.map(parseMetric)
+      }
+    });
+  } catch (error) {
+    console.error('Monitoring data quality error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch data quality checks'
+    });
+  }
+});
+
+// GET /api/admin/monitoring/slow-queries - Statements running for over a second
+router.get('/slow-queries', authorize('monitoring:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT pid, ROUND(EXTRACT(EPOCH FROM duration)::numeric, 3) as duration_seconds,
+             query, state, wait_event_type, wait_event
+      FROM v_slow_queries
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...row,
+        duration_seconds: parseFloat(row.duration_seconds)
+      }))
+    });
+  } catch (error) {
+    console.error('Monitoring slow queries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch slow queries'
+    });
+  }
+});
+
+// GET /api/admin/monitoring/maintenance - Recommended VACUUM/REINDEX/ANALYZE actions
+router.get('/maintenance', authorize('monitoring:read'), validate({
+  query: { priority: { type: 'enum', values: PRIORITIES } }
+}), async (req, res) => {
+  try {
+    const { priority } = req.query;
+    const params = [];
+    let query = `
+      SELECT action, priority, tablename, reason, suggested_command
+      FROM v_maintenance_recommendations
+      WHERE TRUE
+    `;
+
+    if (priority) {
+      params.push(priority);
+      query += ` AND priority = $${params.length}`;
+    }
+
+    query += ` ORDER BY ${PRIORITY_ORDER}, action, tablename`;
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Monitoring maintenance error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch maintenance recommendations'
+    });
+  }
+});
+
+// GET /api/admin/monitoring/report - daily_monitoring_report() keyed by section
+router.get('/report', authorize('monitoring:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT report_section, details FROM daily_monitoring_report()');
+
+    // system_health has one row per v_system_dashboard category
+    const report = { system_health: [], alerts: [], maintenance: [] };
+    result.rows.forEach(row => {
+      if (row.report_section === 'system_health') {
+        report.system_health.push(row.details);
+      } else {
+        report[row.report_section] = row.details || [];
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Monitoring report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build monitoring report'
+    });
+  }
+});
+
+// GET /api/admin/monitoring/baselines - performance_baselines as one series
+// per metric, oldest first. record_performance_baseline() keeps seven days.
+router.get('/baselines', authorize('monitoring:read'), validate({
+  query: {
+    days: { type: 'int', min: 1, max: 7, default: 7 },
+    metric: { type: 'string', maxLength: 100 }
+  }
+}), async (req, res) => {
+  try {
+    const { days, metric } = req.query;
+    const params = [days];
+    let query = `
+      SELECT metric_name, recorded_at, metric_value, additional_info
+      FROM performance_baselines
+      WHERE recorded_at >= now() - $1 * INTERVAL '1 day'
+    `;
+
+    if (metric) {
+      params.push(metric);
+      query += ` AND metric_name = $${params.length}`;
+    }
+
+    query += ' ORDER BY metric_name, recorded_at';
+
+    const result = await pool.query(query, params);
+
+    const metrics = {};
+    result.rows.forEach(row => {
+      (metrics[row.metric_name] = metrics[row.metric_name] || []).push({
+        recorded_at: row.recorded_at,
+        value: parseFloat(row.metric_value),
+        additional_info: row.additional_info
+      });
+    });
+
+    res.json({
+      success: true,
+      data: { days, metrics }
+    });
+  } catch (error) {
+    console.error('Monitoring baselines error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch performance baselines'
+    });
+  }
+});
+
+module.exports = router;
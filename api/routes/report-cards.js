@@ -0,0 +1,329 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { inScope } = require('../middleware/scope');
+const { loadSchool } = require('../lib/schools');
+const { loadStudent } = require('../lib/students');
+const { loadAcademicYear } = require('../lib/academic-years');
+const { gradeFor } = require('../config/grades');
+const { validate } = require('../middleware/validate');
+const { ID, SECTION_MAX_LENGTH } = require('../validators/schema');
+const router = express.Router();
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '';
+}
+
+// Assemble report card data for a set of students in one academic year
+async function buildReportCards(studentIds, year) {
+  const [studentsResult, resultsResult, attendanceResult] = await Promise.all([
+    pool.query(`
+      SELECT s.student_id, s.admission_no, s.roll_no, s.first_name, s.last_name,
+             s.first_name_od, s.last_name_od, s.gender, s.date_of_birth,
+             s.class_number, s.section, s.guardian_name, s.status,
+             sc.school_id, sc.school_code, sc.name as school_name, sc.name_od as school_name_od,
+             sc.address as school_address, sc.phone as school_phone,
+             d.name as district_name, d.name_od as district_name_od
+      FROM students s
+      JOIN schools sc ON sc.school_id = s.school_id
+      JOIN blocks b ON b.block_id = sc.block_id
+      JOIN districts d ON d.district_id = b.district_id
+      WHERE s.student_id = ANY($1::bigint[])
+      ORDER BY s.roll_no NULLS LAST, s.last_name, s.first_name
+    `, [studentIds]),
+    pool.query(`
+      SELECT r.student_id, r.subject_code, sub.name as subject_name, sub.name_od as subject_name_od,
+             e.exam_id, e.name as exam_name, e.exam_type, e.start_date, e.pass_marks,
+             r.marks_obtained, r.total_marks, r.percentage, r.grade
+      FROM exam_results r
+      JOIN examinations e ON e.exam_id = r.exam_id
+      LEFT JOIN subjects sub ON sub.code = r.subject_code
+      WHERE r.student_id = ANY($1::bigint[]) AND e.ay_id = $2
+      ORDER BY e.start_date, r.subject_code
+    `, [studentIds, year.ay_id]),
+    pool.query(`
+      SELECT student_id,
+             COUNT(*) as days_marked,
+             SUM(CASE status WHEN 'Present' THEN 1 WHEN 'Late' THEN 1 WHEN 'Half' THEN 0.5 ELSE 0 END) as days_attended
+      FROM student_attendance
+      WHERE student_id = ANY($1::bigint[])
+        AND attendance_date BETWEEN $2 AND $3
+        AND period = 'Full'
+      GROUP BY student_id
+    `, [studentIds, year.start_date, year.end_date])
+  ]);
+
+  const attendance = new Map(attendanceResult.rows.map(row => [String(row.student_id), row]));
+
+  return studentsResult.rows.map(student => {
+    const rows = resultsResult.rows.filter(r => String(r.student_id) === String(student.student_id));
+
+    const exams = [];
+    rows.forEach(r => {
+      if (!exams.find(e => e.exam_id === r.exam_id)) {
+        exams.push({ exam_id: r.exam_id, name: r.exam_name, exam_type: r.exam_type });
+      }
+    });
+
+    const subjects = [];
+    rows.forEach(r => {
+      let subject = subjects.find(s => s.code === r.subject_code);
+      if (!subject) {
+        subject = { code: r.subject_code, name: r.subject_name || r.subject_code, name_od: r.subject_name_od, marks: {} };
+        subjects.push(subject);
+      }
+      subject.marks[r.exam_id] = {
+        marks_obtained: parseFloat(r.marks_obtained),
+        total_marks: r.total_marks,
+        percentage: parseFloat(r.percentage),
+        grade: r.grade,
+        passed: parseFloat(r.marks_obtained) >= r.pass_marks
+      };
+    });
+
+    exams.forEach(exam => {
+      const examRows = rows.filter(r => r.exam_id === exam.exam_id);
+      const obtained = examRows.reduce((sum, r) => sum + parseFloat(r.marks_obtained), 0);
+      const total = examRows.reduce((sum, r) => sum + r.total_marks, 0);
+      exam.marks_obtained = obtained;
+      exam.total_marks = total;
+      exam.percentage = total > 0 ? Math.round(obtained * 10000 / total) / 100 : null;
+      exam.grade = total > 0 ? gradeFor(exam.percentage) : null;
+    });
+
+    const att = attendance.get(String(student.student_id));
+    const daysMarked = att ? parseInt(att.days_marked) : 0;
+    const daysAttended = att ? parseFloat(att.days_attended) : 0;
+
+    return {
+      student,
+      academic_year: year.name,
+      exams,
+      subjects,
+      attendance: {
+        days_marked: daysMarked,
+        days_attended: daysAttended,
+        percentage: daysMarked > 0 ? Math.round(daysAttended * 10000 / daysMarked) / 100 : null
+      }
+    };
+  });
+}
+
+function renderReportCard(card) {
+  const { student, exams, subjects, attendance } = card;
+  const odiaName = [student.first_name_od, student.last_name_od].filter(Boolean).join(' ');
+
+  const examHeaders = exams.map(exam => `<th colspan="2">${escapeHtml(exam.name)}</th>`).join('');
+  const subHeaders = exams.map(() => '<th>Marks</th><th>Grade</th>').join('');
+
+  const subjectRows = subjects.map(subject => `
+        <tr>
+          <td class="subject">${escapeHtml(subject.name)}${subject.name_od ? `<br><span class="od">${escapeHtml(subject.name_od)}</span>` : ''}</td>
+          ${exams.map(exam => {
+            const mark = subject.marks[exam.exam_id];
+            return mark
+              ? `<td class="${mark.passed ? '' : 'fail'}">${mark.marks_obtained}/${mark.total_marks}</td><td>${escapeHtml(mark.grade)}</td>`
+              : '<td>-</td><td>-</td>';
+          }).join('')}
+        </tr>`).join('');
+
+  const totalsRow = exams.map(exam =>
+    `<td>${exam.marks_obtained}/${exam.total_marks}<br>${exam.percentage === null ? '-' : `${exam.percentage}%`}</td><td>${escapeHtml(exam.grade || '-')}</td>`
+  ).join('');
+
+  return `
+  <section class="report-card">
+    <header>
+      <h1>${escapeHtml(student.school_name)}</h1>
+      ${student.school_name_od ? `<h2 class="od">${escapeHtml(student.school_name_od)}</h2>` : ''}
+      <p>${escapeHtml(student.school_address)} &middot; ${escapeHtml(student.district_name)} &middot; School Code: ${escapeHtml(student.school_code)}</p>
+      <h3>Progress Report &middot; Academic Year ${escapeHtml(card.academic_year)}</h3>
+    </header>
+    <table class="details">
+      <tr><th>Name</th><td>${escapeHtml(student.first_name)} ${escapeHtml(student.last_name)}${odiaName ? ` <span class="od">(${escapeHtml(odiaName)})</span>` : ''}</td>
+          <th>Admission No.</th><td>${escapeHtml(student.admission_no)}</td></tr>
+      <tr><th>Class</th><td>${escapeHtml(student.class_number)}${escapeHtml(student.section ? `-${student.section}` : '')}</td>
+          <th>Roll No.</th><td>${escapeHtml(student.roll_no)}</td></tr>
+      <tr><th>Date of Birth</th><td>${escapeHtml(formatDate(student.date_of_birth))}</td>
+          <th>Guardian</th><td>${escapeHtml(student.guardian_name)}</td></tr>
+    </table>
+    ${exams.length > 0 ? `
+    <table class="marks">
+      <thead>
+        <tr><th rowspan="2">Subject</th>${examHeaders}</tr>
+        <tr>${subHeaders}</tr>
+      </thead>
+      <tbody>${subjectRows}
+      </tbody>
+      <tfoot>
+        <tr><th>Total</th>${totalsRow}</tr>
+      </tfoot>
+    </table>` : '<p class="empty">No exam results recorded for this academic year.</p>'}
+    <p class="attendance">Attendance: ${attendance.days_attended} of ${attendance.days_marked} days${attendance.percentage === null ? '' : ` (${attendance.percentage}%)`}</p>
+    <footer>
+      <div>Class Teacher</div>
+      <div>Headmaster</div>
+      <div>Guardian</div>
+    </footer>
+  </section>`;
+}
+
+function renderDocument(cards, title) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <link href="https://fonts.googleapis.com/css2?family=Noto+Sans+Oriya:wght@400;600&display=swap" rel="stylesheet">
+  <style>
+    @page { size: A4; margin: 12mm; }
+    body { font-family: 'Inter', 'Noto Sans Oriya', Arial, sans-serif; color: #1e293b; font-size: 12px; }
+    .report-card { page-break-after: always; }
+    .report-card:last-child { page-break-after: auto; }
+    header { text-align: center; border-bottom: 2px solid #0070f3; margin-bottom: 12px; }
+    header h1 { font-size: 20px; margin: 0; }
+    header h2, header h3 { font-size: 14px; margin: 4px 0; }
+    .od { font-family: 'Noto Sans Oriya', sans-serif; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+    th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: center; }
+    .details th { text-align: left; background: #f1f5f9; width: 15%; }
+    .details td { text-align: left; }
+    .marks thead th, .marks tfoot th { background: #f1f5f9; }
+    .subject { text-align: left; }
+    .fail { color: #ef4444; font-weight: 600; }
+    footer { display: flex; justify-content: space-between; margin-top: 48px; }
+    footer div { border-top: 1px solid #1e293b; width: 28%; text-align: center; padding-top: 4px; }
+  </style>
+</head>
+<body>
+${cards.map(renderReportCard).join('\n')}
+</body>
+</html>`;
+}
+
+// ?format=json returns the data instead of printable HTML
+const CARD_QUERY = {
+  ay_id: { type: 'id' },
+  format: { type: 'enum', values: ['html', 'json'], default: 'html' }
+};
+
+function sendCards(req, res, cards, title) {
+  if (req.query.format === 'json') {
+    return res.json({
+      success: true,
+      data: cards
+    });
+  }
+  res.type('html').send(renderDocument(cards, title));
+}
+
+// GET /api/report-cards/students/:id - Report card for one student (?format=json for data)
+router.get('/students/:id', authorize('reportcards:read'), validate({
+  params: { id: ID },
+  query: CARD_QUERY
+}), async (req, res) => {
+  try {
+    const student = await loadStudent(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!inScope(req.scope, student)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Student is outside your jurisdiction'
+      });
+    }
+
+    const year = await loadAcademicYear(req.query.ay_id);
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        error: req.query.ay_id ? 'Academic year not found' : 'No current academic year is set'
+      });
+    }
+
+    const cards = await buildReportCards([student.student_id], year);
+    sendCards(req, res, cards, `Report Card - ${student.first_name} ${student.last_name} - ${year.name}`);
+  } catch (error) {
+    console.error('Report card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate report card'
+    });
+  }
+});
+
+// GET /api/report-cards/class - Report cards for every active student in a class section
+router.get('/class', authorize('reportcards:read'), validate({
+  query: {
+    ...CARD_QUERY,
+    school_id: ID,
+    class_number: { type: 'int', required: true, min: 1, max: 12 },
+    section: { type: 'string', required: true, maxLength: SECTION_MAX_LENGTH }
+  }
+}), async (req, res) => {
+  try {
+    const { school_id, class_number, section } = req.query;
+
+    const school = await loadSchool(school_id);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    const year = await loadAcademicYear(req.query.ay_id);
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        error: req.query.ay_id ? 'Academic year not found' : 'No current academic year is set'
+      });
+    }
+
+    const studentsResult = await pool.query(`
+      SELECT student_id FROM students
+      WHERE school_id = $1 AND class_number = $2 AND section = $3 AND status = 'Active'
+    `, [school.school_id, class_number, section]);
+
+    if (studentsResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active students in this class section'
+      });
+    }
+
+    const cards = await buildReportCards(studentsResult.rows.map(r => r.student_id), year);
+    sendCards(req, res, cards, `Report Cards - ${school.name} - Class ${class_number}-${section} - ${year.name}`);
+  } catch (error) {
+    console.error('Class report cards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate report cards'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,369 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { inScope } = require('../middleware/scope');
+const { loadSchool } = require('../lib/schools');
+const { planRollover } = require('../lib/rollover');
+const { localValue } = require('../lib/i18n');
+const { setAuditContext } = require('../lib/audit');
+const { validate } = require('../middleware/validate');
+const { ID } = require('../validators/schema');
+const router = express.Router();
+
+// Days after a rollover during which the school can still undo it
+const GRACE_DAYS = parseInt(process.env.ROLLOVER_GRACE_DAYS) || 14;
+
+async function loadSchoolInScope(req, res, client = pool) {
+  const school = await loadSchool(req.params.id, client);
+
+  if (!school) {
+    res.status(404).json({ success: false, error: 'School not found' });
+    return null;
+  }
+
+  if (!inScope(req.scope, school)) {
+    res.status(403).json({ success: false, error: 'School is outside your jurisdiction' });
+    return null;
+  }
+
+  return school;
+}
+
+// GET /api/rollover/schools/:id/preview - What a rollover would do, nothing is written
+router.get('/schools/:id/preview', authorize('rollover:read'), validate({
+  params: { id: ID },
+  query: { detain: { type: 'string', maxLength: 5000 }, promote: { type: 'string', maxLength: 5000 } }
+}), async (req, res) => {
+  try {
+    const school = await loadSchoolInScope(req, res);
+    if (!school) return;
+
+    const { plan, status, error } = await planRollover(pool, school, {
+      detain: req.query.detain ? req.query.detain.split(',') : [],
+      promote: req.query.promote ? req.query.promote.split(',') : []
+    }, req.lang);
+
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        school_id: school.school_id,
+        school_name: localValue(req.lang, school, 'name'),
+        from_year: plan.from.name,
+        to_year: plan.to.name,
+        to_year_exists: plan.to.ay_id !== null,
+        summary: plan.summary,
+        warnings: plan.warnings,
+        students: plan.students
+      }
+    });
+  } catch (error) {
+    console.error('Rollover preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview rollover'
+    });
+  }
+});
+
+// GET /api/rollover/schools/:id - Rollover history for a school
+router.get('/schools/:id', authorize('rollover:read'), validate({ params: { id: ID } }), async (req, res) => {
+  try {
+    const school = await loadSchoolInScope(req, res);
+    if (!school) return;
+
+    const result = await pool.query(`
+      SELECT r.rollover_id, fy.name as from_year, ty.name as to_year,
+             r.promoted, r.detained, r.passed,
+             r.rolled_at, ru.username as rolled_by,
+             r.rolled_back_at, bu.username as rolled_back_by,
+             r.rolled_back_at IS NULL AND r.rolled_at > now() - make_interval(days => $2) as can_roll_back
+      FROM school_rollovers r
+      JOIN academic_years fy ON fy.ay_id = r.from_ay_id
+      JOIN academic_years ty ON ty.ay_id = r.to_ay_id
+      LEFT JOIN users ru ON ru.user_id = r.rolled_by
+      LEFT JOIN users bu ON bu.user_id = r.rolled_back_by
+      WHERE r.school_id = $1
+      ORDER BY r.rolled_at DESC
+    `, [school.school_id, GRACE_DAYS]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Rollover history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rollover history'
+    });
+  }
+});
+
+// POST /api/rollover/schools/:id - Roll the school into the next academic year.
+// Body may carry { detain: [student_id], promote: [student_id] } overrides from the preview.
+router.post('/schools/:id', authorize('rollover:write'), validate({
+  params: { id: ID },
+  body: { detain: { type: 'array' }, promote: { type: 'array' } }
+}), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const school = await loadSchoolInScope(req, res, client);
+    if (!school) return;
+
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    // One rollover at a time per school
+    await client.query('SELECT school_id FROM schools WHERE school_id = $1 FOR UPDATE', [school.school_id]);
+
+    const { plan, status, error } = await planRollover(client, school, req.body || {});
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ success: false, error });
+    }
+
+    let to = plan.to;
+    if (to.ay_id === null) {
+      await client.query(`
+        INSERT INTO academic_years (name, start_date, end_date)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (name) DO NOTHING
+      `, [to.name, to.start_date, to.end_date]);
+      const created = await client.query('SELECT * FROM academic_years WHERE name = $1', [to.name]);
+      to = created.rows[0];
+    }
+
+    // Clone sections, including any a student sits in that was never set up
+    const sections = new Map(plan.classes.map(c => [`${c.class_number}|${c.section}`, c.max_students]));
+    plan.students
+      .filter(s => s.outcome !== 'Passed' && s.to_class_number && s.to_section)
+      .forEach(s => {
+        const key = `${s.to_class_number}|${s.to_section}`;
+        if (!sections.has(key)) sections.set(key, null);
+      });
+    const sectionKeys = [...sections.keys()].map(key => key.split('|'));
+
+    const cloned = await client.query(`
+      INSERT INTO classes (school_id, ay_id, class_number, section, max_students)
+      SELECT $1::int, $2::smallint, t.class_number, t.section, COALESCE(t.max_students, 45)
+      FROM unnest($3::smallint[], $4::text[], $5::smallint[]) AS t(class_number, section, max_students)
+      ON CONFLICT (school_id, ay_id, class_number, section) DO NOTHING
+      RETURNING class_id
+    `, [
+      school.school_id, to.ay_id,
+      sectionKeys.map(([classNumber]) => classNumber),
+      sectionKeys.map(([, section]) => section),
+      [...sections.values()]
+    ]);
+
+    const rollover = await client.query(`
+      INSERT INTO school_rollovers
+        (school_id, from_ay_id, to_ay_id, created_class_ids, promoted, detained, passed, rolled_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      school.school_id, plan.from.ay_id, to.ay_id, cloned.rows.map(c => c.class_id),
+      plan.summary.promoted, plan.summary.detained, plan.summary.passed, req.user.user_id
+    ]);
+    const rolloverId = rollover.rows[0].rollover_id;
+
+    const students = plan.students;
+    await client.query(`
+      INSERT INTO school_rollover_students
+        (rollover_id, student_id, outcome, from_class_id, from_class_number, from_section)
+      SELECT $1::bigint, t.student_id, t.outcome, t.class_id, t.class_number, t.section
+      FROM unnest($2::bigint[], $3::text[], $4::bigint[], $5::smallint[], $6::text[])
+        AS t(student_id, outcome, class_id, class_number, section)
+    `, [
+      rolloverId,
+      students.map(s => s.student_id),
+      students.map(s => s.outcome),
+      students.map(s => s.class_id),
+      students.map(s => s.class_number),
+      students.map(s => s.section)
+    ]);
+
+    const moving = students.filter(s => s.outcome !== 'Passed');
+    await client.query(`
+      UPDATE students s
+      SET class_id = c.class_id, class_number = c.class_number, section = c.section
+      FROM unnest($3::bigint[], $4::smallint[], $5::text[]) AS t(student_id, class_number, section)
+      JOIN classes c ON c.school_id = $1 AND c.ay_id = $2
+        AND c.class_number = t.class_number AND c.section = t.section
+      WHERE s.school_id = $1 AND s.student_id = t.student_id
+    `, [
+      school.school_id, to.ay_id,
+      moving.map(s => s.student_id),
+      moving.map(s => s.to_class_number),
+      moving.map(s => s.to_section)
+    ]);
+
+    const passing = students.filter(s => s.outcome === 'Passed');
+    if (passing.length > 0) {
+      await client.query(`
+        UPDATE students SET status = 'Passed'
+        WHERE school_id = $1 AND student_id = ANY($2::bigint[])
+      `, [school.school_id, passing.map(s => s.student_id)]);
+
+      await client.query(`
+        INSERT INTO student_status_history
+          (student_id, school_id, from_status, to_status, reason, effective_date, changed_by)
+        SELECT t.student_id, $1::int, 'Active', 'Passed', t.reason, $2::date, $3::bigint
+        FROM unnest($4::bigint[], $5::text[]) AS t(student_id, reason)
+      `, [
+        school.school_id, plan.from.end_date, req.user.user_id,
+        passing.map(s => s.student_id),
+        passing.map(s => s.reason)
+      ]);
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...rollover.rows[0],
+        from_year: plan.from.name,
+        to_year: to.name,
+        classes_created: cloned.rows.length,
+        warnings: plan.warnings,
+        roll_back_until: new Date(Date.now() + GRACE_DAYS * 86400000).toISOString()
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'This school has already been rolled over'
+      });
+    }
+    console.error('Rollover error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll over school'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/rollover/schools/:id/rollback - Undo the school's latest rollover within the grace period
+router.post('/schools/:id/rollback', authorize('rollover:write'), validate({ params: { id: ID } }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const school = await loadSchoolInScope(req, res, client);
+    if (!school) return;
+
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const rolloverResult = await client.query(`
+      SELECT *
+      FROM school_rollovers
+      WHERE school_id = $1 AND rolled_back_at IS NULL
+      ORDER BY rolled_at DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [school.school_id]);
+    const rollover = rolloverResult.rows[0];
+
+    if (!rollover) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'No rollover to undo for this school'
+      });
+    }
+
+    if (Date.now() - new Date(rollover.rolled_at).getTime() > GRACE_DAYS * 86400000) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Rollovers can only be undone within ${GRACE_DAYS} days`
+      });
+    }
+
+    // Students admitted into the new sections since would be left without a class
+    const admitted = await client.query(`
+      SELECT COUNT(*) FROM students s
+      WHERE s.class_id = ANY($1::bigint[])
+        AND NOT EXISTS (
+          SELECT 1 FROM school_rollover_students rs
+          WHERE rs.rollover_id = $2 AND rs.student_id = s.student_id
+        )
+    `, [rollover.created_class_ids, rollover.rollover_id]);
+
+    if (parseInt(admitted.rows[0].count) > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `${admitted.rows[0].count} students have been admitted into the new classes since the rollover; move them first`
+      });
+    }
+
+    // Only restore students still at the school in the state the rollover left them
+    const restored = await client.query(`
+      UPDATE students s
+      SET class_id = rs.from_class_id,
+          class_number = rs.from_class_number,
+          section = rs.from_section,
+          status = 'Active'
+      FROM school_rollover_students rs
+      WHERE rs.rollover_id = $1 AND s.student_id = rs.student_id AND s.school_id = $2
+        AND s.status = CASE WHEN rs.outcome = 'Passed' THEN 'Passed' ELSE 'Active' END
+      RETURNING s.student_id, rs.outcome
+    `, [rollover.rollover_id, school.school_id]);
+
+    const unpassed = restored.rows.filter(r => r.outcome === 'Passed').map(r => r.student_id);
+    if (unpassed.length > 0) {
+      await client.query(`
+        INSERT INTO student_status_history
+          (student_id, school_id, from_status, to_status, reason, effective_date, changed_by)
+        SELECT t.student_id, $1::int, 'Passed', 'Active', 'Year rollover undone', CURRENT_DATE, $2::bigint
+        FROM unnest($3::bigint[]) AS t(student_id)
+      `, [school.school_id, req.user.user_id, unpassed]);
+    }
+
+    await client.query(`
+      DELETE FROM classes c
+      WHERE c.class_id = ANY($1::bigint[])
+        AND NOT EXISTS (SELECT 1 FROM students s WHERE s.class_id = c.class_id)
+    `, [rollover.created_class_ids]);
+
+    const result = await client.query(`
+      UPDATE school_rollovers
+      SET rolled_back_at = now(), rolled_back_by = $2
+      WHERE rollover_id = $1
+      RETURNING *
+    `, [rollover.rollover_id, req.user.user_id]);
+
+    await client.query('COMMIT');
+
+    const snapshot = rollover.promoted + rollover.detained + rollover.passed;
+    res.json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        students_restored: restored.rows.length,
+        students_skipped: snapshot - restored.rows.length
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Rollover undo error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to undo rollover'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
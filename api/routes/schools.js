@@ -1,68 +1,113 @@
 const express = require('express');
 const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { scopeClause, inScope, filtersInScope } = require('../middleware/scope');
+const { validate } = require('../middleware/validate');
+const { cached } = require('../middleware/cache');
+const { ID, cursorPagination } = require('../validators/schema');
+const { STATUSES } = require('../validators/schools');
+const { EXPORT_FORMATS, streamExport } = require('../lib/export');
+const { localName } = require('../lib/i18n');
+const { keysetPage, countRows } = require('../lib/pagination');
 const router = express.Router();
 
-// GET /api/schools - List schools with pagination
-router.get('/', async (req, res) => {
-  try {
-    const { 
-      page = 1, 
-      limit = 20, 
-      district_id, 
-      block_id, 
-      status = 'Active',
-      search 
-    } = req.query;
-
-    const offset = (page - 1) * limit;
-    
-    let query = `
-      SELECT s.school_id, s.school_code, s.name, s.address, s.phone, s.email,
-             s.total_students, s.total_teachers, s.status, s.established_year,
-             s.facilities, d.name as district_name, b.name as block_name
-      FROM schools s
-      JOIN blocks b ON b.block_id = s.block_id
-      JOIN districts d ON d.district_id = b.district_id
-      WHERE s.status = $1
-    `;
-    
-    const params = [status];
-    let paramCount = 1;
+const EXPORT_COLUMNS = [
+  { header: 'School Code', key: 'school_code', width: 14 },
+  { header: 'School Name', key: 'name', width: 40 },
+  { header: 'Block', key: 'block_name' },
+  { header: 'District', key: 'district_name' },
+  { header: 'Address', key: 'address', width: 40 },
+  { header: 'Phone', key: 'phone', width: 14 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Established', key: 'established_year', width: 12 },
+  { header: 'Students', key: 'total_students', width: 10 },
+  { header: 'Teachers', key: 'total_teachers', width: 10 },
+  { header: 'Status', key: 'status', width: 10 }
+];
 
-    if (district_id) {
-      query += ` AND d.district_id = $${++paramCount}`;
-      params.push(district_id);
-    }
+// Filters shared by the list and export routes
+const LIST_FILTERS = {
+  district_id: { type: 'id' },
+  block_id: { type: 'id' },
+  status: { type: 'enum', values: STATUSES },
+  search: { type: 'string', maxLength: 100 }
+};
 
-    if (block_id) {
-      query += ` AND b.block_id = $${++paramCount}`;
-      params.push(block_id);
-    }
+// List order: name in the request language, then id to break ties
+function listKeys(lang) {
+  return [
+    { column: localName(lang, 's.name'), field: 'name' },
+    { column: 's.school_id', field: 'school_id' }
+  ];
+}
 
-    if (search) {
-      query += ` AND (s.name ILIKE $${++paramCount} OR s.school_code ILIKE $${++paramCount})`;
-      params.push(`%${search}%`, `%${search}%`);
-    }
+// Filtered school list query shared by the list and export routes.
+// Names come back in the request language; name_od is always included.
+function listQuery(scope, { district_id, block_id, status = 'Active', search }, lang) {
+  let query = `
+    SELECT s.school_id, s.school_code, ${localName(lang, 's.name')} as name, s.name_od,
+           s.address, s.phone, s.email,
+           s.total_students, s.total_teachers, s.status, s.established_year,
+           s.facilities, ${localName(lang, 'd.name')} as district_name,
+           ${localName(lang, 'b.name')} as block_name
+    FROM schools s
+    JOIN blocks b ON b.block_id = s.block_id
+    JOIN districts d ON d.district_id = b.district_id
+    WHERE s.status = $1
+  `;
 
-    // Count total
-    const countQuery = query.replace(/SELECT.*?FROM/, 'SELECT COUNT(*) FROM');
-    const countResult = await pool.query(countQuery, params);
-    const totalCount = parseInt(countResult.rows[0].count);
+  const params = [status];
+  query += scopeClause(scope, 's.school_id', params);
+  let paramCount = params.length;
 
-    // Add pagination
-    query += ` ORDER BY s.name LIMIT $${++paramCount} OFFSET $${++paramCount}`;
-    params.push(limit, offset);
+  if (district_id) {
+    query += ` AND d.district_id = $${++paramCount}`;
+    params.push(district_id);
+  }
+
+  if (block_id) {
+    query += ` AND b.block_id = $${++paramCount}`;
+    params.push(block_id);
+  }
+
+  if (search) {
+    query += ` AND (s.name ILIKE $${++paramCount} OR s.name_od ILIKE $${paramCount} OR s.school_code ILIKE $${paramCount})`;
+    params.push(`%${search}%`);
+  }
+
+  return { query, params };
+}
+
+// GET /api/schools - List schools a page at a time, following the cursor
+// from the previous page. total is an estimate unless ?total=exact.
+router.get('/', authorize('schools:read'), validate({
+  query: { ...cursorPagination(20, 2), ...LIST_FILTERS }
+}), cached({ tags: ['schools', 'students', 'teachers'] }), async (req, res) => {
+  try {
+    const { cursor, limit, total, district_id, block_id } = req.query;
+
+    if (!await filtersInScope(req.scope, { district_id, block_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested district or block is outside your jurisdiction'
+      });
+    }
+
+    const { query, params } = listQuery(req.scope, req.query, req.lang);
+    const [page, totalCount] = await Promise.all([
+      keysetPage(pool, query, params, { keys: listKeys(req.lang), limit, cursor }),
+      countRows(pool, query, params, total === 'exact')
+    ]);
 
-    const result = await pool.query(query, params);
-    
     res.json({
       success: true,
-      data: result.rows,
+      data: page.rows,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        limit,
+        next: page.next,
+        prev: page.prev,
         total: totalCount,
-        pages: Math.ceil(totalCount / limit)
+        total_exact: total === 'exact'
       }
     });
   } catch (error) {
@@ -74,13 +119,47 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/schools/export - Every school matching the list filters as CSV or XLSX
+router.get('/export', authorize('schools:export'), validate({
+  query: { ...LIST_FILTERS, format: { type: 'enum', values: EXPORT_FORMATS, default: 'csv' } }
+}), async (req, res) => {
+  try {
+    const { district_id, block_id, format } = req.query;
+
+    if (!await filtersInScope(req.scope, { district_id, block_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested district or block is outside your jurisdiction'
+      });
+    }
+
+    const { query, params } = listQuery(req.scope, req.query, req.lang);
+
+    await streamExport(res, {
+      query: query + ' ORDER BY d.name, b.name, s.name',
+      params,
+      columns: EXPORT_COLUMNS,
+      filename: 'schools',
+      format
+    });
+  } catch (error) {
+    console.error('Schools export error:', error);
+    if (res.headersSent) return;
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export schools'
+    });
+  }
+});
+
 // GET /api/schools/:id - Get single school
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('schools:read'), validate({ params: { id: ID } }), cached({ tags: ['schools', 'students', 'teachers'] }), async (req, res) => {
   try {
     const { id } = req.params;
     
     const query = `
-      SELECT s.*, d.name as district_name, b.name as block_name,
+      SELECT s.*, ${localName(req.lang, 's.name')} as name, d.district_id,
+             ${localName(req.lang, 'd.name')} as district_name, ${localName(req.lang, 'b.name')} as block_name,
              (SELECT COUNT(*) FROM students WHERE school_id = s.school_id AND status = 'Active') as active_students,
              (SELECT COUNT(*) FROM teachers WHERE school_id = s.school_id AND status = 'Active') as active_teachers
       FROM schools s
@@ -97,6 +176,13 @@ router.get('/:id', async (req, res) => {
         error: 'School not found' 
       });
     }
+
+    if (!inScope(req.scope, result.rows[0])) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
     
     res.json({
       success: true,
@@ -1,76 +1,157 @@
 const express = require('express');
 const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { scopeClause, inScope, filtersInScope } = require('../middleware/scope');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const {
+  STATUSES,
+  STATUS_TRANSITIONS,
+  EDITABLE_FIELDS,
+  isBlank,
+  validateStudent
+} = require('../validators/students');
+const { ID, SECTION_MAX_LENGTH, cursorPagination } = require('../validators/schema');
+const { loadSchool } = require('../lib/schools');
+const { resolveClass } = require('../lib/classes');
+const { loadStudent } = require('../lib/students');
+const { localDate } = require('../lib/dates');
+const { localName } = require('../lib/i18n');
+const { publish, schoolLabel } = require('../lib/events');
+const { setAuditContext } = require('../lib/audit');
+const { EXPORT_FORMATS, streamExport } = require('../lib/export');
+const { keysetPage, countRows } = require('../lib/pagination');
 const router = express.Router();
 
-// GET /api/students - List students with pagination and filters
-router.get('/', async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 50,
-      school_id,
-      class_number,
-      section,
-      status = 'Active',
-      search
-    } = req.query;
-
-    const offset = (page - 1) * limit;
-    
-    let query = `
-      SELECT s.student_id, s.admission_no, s.roll_no, s.first_name, s.last_name,
-             s.gender, s.date_of_birth, s.class_number, s.section, s.category,
-             s.guardian_name, s.guardian_phone, s.status,
-             sc.name as school_name, d.name as district_name
-      FROM students s
-      JOIN schools sc ON sc.school_id = s.school_id
-      JOIN blocks b ON b.block_id = sc.block_id
-      JOIN districts d ON d.district_id = b.district_id
-      WHERE s.status = $1
-    `;
-    
-    const params = [status];
-    let paramCount = 1;
-
-    if (school_id) {
-      query += ` AND s.school_id = $${++paramCount}`;
-      params.push(school_id);
+// Editable fields present in the body, with class fields taken from the resolved section
+function studentFields(data, cls) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = isBlank(data[field]) ? null : data[field];
     }
+  });
 
-    if (class_number) {
-      query += ` AND s.class_number = $${++paramCount}`;
-      params.push(class_number);
-    }
+  if (cls) {
+    fields.class_id = cls.class_id;
+    fields.class_number = cls.class_number;
+    fields.section = cls.section;
+  }
 
-    if (section) {
-      query += ` AND s.section = $${++paramCount}`;
-      params.push(section);
-    }
+  return fields;
+}
 
-    if (search) {
-      query += ` AND (s.first_name || ' ' || s.last_name ILIKE $${++paramCount} OR s.admission_no ILIKE $${++paramCount})`;
-      params.push(`%${search}%`, `%${search}%`);
-    }
+const EXPORT_COLUMNS = [
+  { header: 'Admission No', key: 'admission_no', width: 14 },
+  { header: 'Roll No', key: 'roll_no', width: 8 },
+  { header: 'First Name', key: 'first_name' },
+  { header: 'Last Name', key: 'last_name' },
+  { header: 'Gender', key: 'gender', width: 8 },
+  { header: 'Date of Birth', key: 'date_of_birth', width: 12 },
+  { header: 'Class', key: 'class_number', width: 6 },
+  { header: 'Section', key: 'section', width: 8 },
+  { header: 'Category', key: 'category', width: 10 },
+  { header: 'Guardian', key: 'guardian_name', width: 24 },
+  { header: 'Guardian Phone', key: 'guardian_phone', width: 14 },
+  { header: 'School', key: 'school_name', width: 40 },
+  { header: 'District', key: 'district_name' },
+  { header: 'Status', key: 'status', width: 10 }
+];
 
-    // Count total
-    const countQuery = query.replace(/SELECT.*?FROM/, 'SELECT COUNT(*) FROM');
-    const countResult = await pool.query(countQuery, params);
-    const totalCount = parseInt(countResult.rows[0].count);
+// Filters shared by the list and export routes
+const LIST_FILTERS = {
+  school_id: { type: 'id' },
+  class_number: { type: 'int', min: 1, max: 12 },
+  section: { type: 'string', maxLength: SECTION_MAX_LENGTH },
+  status: { type: 'enum', values: STATUSES },
+  search: { type: 'string', maxLength: 100 }
+};
 
-    // Add pagination
-    query += ` ORDER BY s.last_name, s.first_name LIMIT $${++paramCount} OFFSET $${++paramCount}`;
-    params.push(limit, offset);
+// List order: surname, first name, then id to break ties, in the request language
+function listKeys(lang) {
+  return [
+    { column: localName(lang, 's.last_name'), field: 'last_name' },
+    { column: localName(lang, 's.first_name'), field: 'first_name' },
+    { column: 's.student_id', field: 'student_id' }
+  ];
+}
+
+// Filtered student list query shared by the list and export routes.
+// Names come back in the request language; the _od columns are always included.
+function listQuery(scope, { school_id, class_number, section, status = 'Active', search }, lang) {
+  let query = `
+    SELECT s.student_id, s.admission_no, s.roll_no,
+           ${localName(lang, 's.first_name')} as first_name, ${localName(lang, 's.last_name')} as last_name,
+           s.first_name_od, s.last_name_od,
+           s.gender, s.date_of_birth, s.class_number, s.section, s.category,
+           s.guardian_name, s.guardian_phone, s.status,
+           ${localName(lang, 'sc.name')} as school_name, ${localName(lang, 'd.name')} as district_name
+    FROM students s
+    JOIN schools sc ON sc.school_id = s.school_id
+    JOIN blocks b ON b.block_id = sc.block_id
+    JOIN districts d ON d.district_id = b.district_id
+    WHERE s.status = $1
+  `;
+
+  const params = [status];
+  query += scopeClause(scope, 's.school_id', params);
+  let paramCount = params.length;
+
+  if (school_id) {
+    query += ` AND s.school_id = $${++paramCount}`;
+    params.push(school_id);
+  }
+
+  if (class_number) {
+    query += ` AND s.class_number = $${++paramCount}`;
+    params.push(class_number);
+  }
+
+  if (section) {
+    query += ` AND s.section = $${++paramCount}`;
+    params.push(section);
+  }
+
+  if (search) {
+    query += ` AND (s.first_name || ' ' || s.last_name ILIKE $${++paramCount}
+                    OR concat_ws(' ', s.first_name_od, s.last_name_od) ILIKE $${paramCount}
+                    OR s.admission_no ILIKE $${paramCount})`;
+    params.push(`%${search}%`);
+  }
+
+  return { query, params };
+}
+
+// GET /api/students - List students a page at a time, following the cursor
+// from the previous page. total is an estimate unless ?total=exact.
+router.get('/', authorize('students:read'), validate({
+  query: { ...cursorPagination(50, 3), ...LIST_FILTERS }
+}), async (req, res) => {
+  try {
+    const { cursor, limit, total, school_id } = req.query;
+
+    if (!await filtersInScope(req.scope, { school_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school is outside your jurisdiction'
+      });
+    }
+
+    const { query, params } = listQuery(req.scope, req.query, req.lang);
+    const [page, totalCount] = await Promise.all([
+      keysetPage(pool, query, params, { keys: listKeys(req.lang), limit, cursor }),
+      countRows(pool, query, params, total === 'exact')
+    ]);
 
-    const result = await pool.query(query, params);
-    
     res.json({
       success: true,
-      data: result.rows,
+      data: page.rows,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        limit,
+        next: page.next,
+        prev: page.prev,
         total: totalCount,
-        pages: Math.ceil(totalCount / limit)
+        total_exact: total === 'exact'
       }
     });
   } catch (error) {
@@ -82,13 +163,49 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/students/export - Every student matching the list filters as CSV or XLSX
+router.get('/export', authorize('students:export'), validate({
+  query: { ...LIST_FILTERS, format: { type: 'enum', values: EXPORT_FORMATS, default: 'csv' } }
+}), async (req, res) => {
+  try {
+    const { school_id, format } = req.query;
+
+    if (!await filtersInScope(req.scope, { school_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school is outside your jurisdiction'
+      });
+    }
+
+    const { query, params } = listQuery(req.scope, req.query, req.lang);
+
+    await streamExport(res, {
+      query: query + ' ORDER BY sc.name, s.class_number, s.section, s.last_name, s.first_name',
+      params,
+      columns: EXPORT_COLUMNS,
+      filename: 'students',
+      format
+    });
+  } catch (error) {
+    console.error('Students export error:', error);
+    if (res.headersSent) return;
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export students'
+    });
+  }
+});
+
 // GET /api/students/:id - Get single student
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('students:read'), validate({ params: { id: ID } }), async (req, res) => {
   try {
     const { id } = req.params;
     
     const query = `
-      SELECT s.*, sc.name as school_name, d.name as district_name,
+      SELECT s.*, ${localName(req.lang, 's.first_name')} as first_name,
+             ${localName(req.lang, 's.last_name')} as last_name,
+             ${localName(req.lang, 'sc.name')} as school_name, sc.block_id,
+             ${localName(req.lang, 'd.name')} as district_name,
              EXTRACT(YEAR FROM AGE(s.date_of_birth)) as age
       FROM students s
       JOIN schools sc ON sc.school_id = s.school_id  
@@ -105,6 +222,13 @@ router.get('/:id', async (req, res) => {
         error: 'Student not found' 
       });
     }
+
+    if (!inScope(req.scope, result.rows[0])) {
+      return res.status(403).json({
+        success: false,
+        error: 'Student is outside your jurisdiction'
+      });
+    }
     
     // Get recent attendance
     const attendanceQuery = `
@@ -132,4 +256,335 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// POST /api/students - Admit a new student
+router.post('/', authorize('students:write'), validate({
+  body: { school_id: ID, class_id: { type: 'id' } }
+}), async (req, res) => {
+  const data = req.body;
+  const errors = validateStudent(data);
+
+  if (errors.length > 0) {
+    return sendError(res, 400, 'Validation failed', { code: 'VALIDATION_FAILED', details: errors });
+  }
+
+  const client = await pool.connect();
+  try {
+    const school = await loadSchool(data.school_id, client);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const duplicate = await client.query(
+      'SELECT student_id FROM students WHERE school_id = $1 AND admission_no = $2',
+      [school.school_id, data.admission_no]
+    );
+
+    if (duplicate.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Admission number ${data.admission_no} already exists in this school`
+      });
+    }
+
+    const { cls, status, error } = await resolveClass(client, school.school_id, data);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ success: false, error });
+    }
+
+    const fields = {
+      ...studentFields(data, cls),
+      school_id: school.school_id,
+      district_id: school.district_id
+    };
+    const columns = Object.keys(fields);
+
+    const result = await client.query(`
+      INSERT INTO students (${columns.join(', ')})
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+      RETURNING *
+    `, Object.values(fields));
+
+    await client.query('COMMIT');
+
+    publish('enrollment', [school], {
+      ...schoolLabel(school),
+      student_id: result.rows[0].student_id,
+      class_number: result.rows[0].class_number,
+      count: 1
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Student admission error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to admit student'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /api/students/:id - Update student details (not status or school)
+router.patch('/:id', authorize('students:write'), validate({
+  params: { id: ID },
+  body: { class_id: { type: 'id' } }
+}), async (req, res) => {
+  const data = req.body;
+  const errors = validateStudent(data, { partial: true });
+
+  if (data.school_id !== undefined) {
+    errors.push({ field: 'school_id', code: 'not_allowed', message: 'school_id can only be changed through a transfer' });
+  }
+
+  if (errors.length > 0) {
+    return sendError(res, 400, 'Validation failed', { code: 'VALIDATION_FAILED', details: errors });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const student = await loadStudent(req.params.id, client, { lock: true });
+
+    if (!student) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!inScope(req.scope, student)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Student is outside your jurisdiction'
+      });
+    }
+
+    if (data.admission_no !== undefined && data.admission_no !== student.admission_no) {
+      const duplicate = await client.query(
+        'SELECT student_id FROM students WHERE school_id = $1 AND admission_no = $2',
+        [student.school_id, data.admission_no]
+      );
+
+      if (duplicate.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: `Admission number ${data.admission_no} already exists in this school`
+        });
+      }
+    }
+
+    // A section change only needs the missing half filled from the current record
+    let classData = {};
+    if (!isBlank(data.class_id)) {
+      classData = { class_id: data.class_id };
+    } else if (data.class_number !== undefined || data.section !== undefined) {
+      classData = {
+        class_number: data.class_number !== undefined ? data.class_number : student.class_number,
+        section: data.section !== undefined ? data.section : student.section
+      };
+    }
+
+    const { cls, status, error } = await resolveClass(
+      client, student.school_id, classData, student.student_id
+    );
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ success: false, error });
+    }
+
+    const fields = studentFields(data, cls);
+    const columns = Object.keys(fields);
+
+    if (columns.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'No updatable fields provided'
+      });
+    }
+
+    // updated_at is maintained by trg_students_updated
+    const result = await client.query(`
+      UPDATE students
+      SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')}
+      WHERE student_id = $1 AND school_id = $2
+      RETURNING *
+    `, [student.student_id, student.school_id, ...Object.values(fields)]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Student update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update student'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/students/:id/status - Change status (Transferred, Dropped, Passed, re-admit)
+router.post('/:id/status', authorize('students:write'), validate({
+  params: { id: ID },
+  body: {
+    status: { type: 'enum', values: STATUSES, required: true },
+    reason: { type: 'string', required: true, maxLength: 500 },
+    effective_date: { type: 'date' }
+  }
+}), async (req, res) => {
+  const { status, reason } = req.body;
+  const effectiveDate = req.body.effective_date || localDate();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const student = await loadStudent(req.params.id, client, { lock: true });
+
+    if (!student) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!inScope(req.scope, student)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Student is outside your jurisdiction'
+      });
+    }
+
+    if (!STATUS_TRANSITIONS[student.status].includes(status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Cannot change status from ${student.status} to ${status}`
+      });
+    }
+
+    // A re-admitted student takes a seat again, so their section in the
+    // current academic year must have room
+    let cls = null;
+    if (status === 'Active') {
+      const resolved = await resolveClass(client, student.school_id, {
+        class_number: student.class_number,
+        section: student.section
+      }, student.student_id);
+
+      if (resolved.error) {
+        await client.query('ROLLBACK');
+        return res.status(resolved.status).json({ success: false, error: resolved.error });
+      }
+      cls = resolved.cls;
+    }
+
+    const result = await client.query(`
+      UPDATE students SET status = $3, class_id = COALESCE($4::bigint, class_id)
+      WHERE student_id = $1 AND school_id = $2
+      RETURNING *
+    `, [student.student_id, student.school_id, status, cls ? cls.class_id : null]);
+
+    await client.query(`
+      INSERT INTO student_status_history
+        (student_id, school_id, from_status, to_status, reason, effective_date, changed_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [student.student_id, student.school_id, student.status, status, reason, effectiveDate, req.user.user_id]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Student status change error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change student status'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/students/:id/status-history - Status changes with reasons
+router.get('/:id/status-history', authorize('students:read'), validate({ params: { id: ID } }), async (req, res) => {
+  try {
+    const student = await loadStudent(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!inScope(req.scope, student)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Student is outside your jurisdiction'
+      });
+    }
+
+    const result = await pool.query(`
+      SELECT h.history_id, h.from_status, h.to_status, h.reason, h.effective_date,
+             h.created_at, u.username AS changed_by
+      FROM student_status_history h
+      LEFT JOIN users u ON u.user_id = h.changed_by
+      WHERE h.student_id = $1
+      ORDER BY h.effective_date DESC, h.created_at DESC
+    `, [student.student_id]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Student status history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch status history'
+    });
+  }
+});
+
 module.exports = router;
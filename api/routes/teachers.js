@@ -0,0 +1,522 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { scopeClause, inScope, filtersInScope } = require('../middleware/scope');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { isBlank } = require('../validators/students');
+const { EMPLOYMENT_TYPES, STATUSES, EDITABLE_FIELDS, validateTeacher } = require('../validators/teachers');
+const { ID, pagination } = require('../validators/schema');
+const { loadSchool } = require('../lib/schools');
+const { localDate } = require('../lib/dates');
+const { localName } = require('../lib/i18n');
+const { setAuditContext, audited } = require('../lib/audit');
+const router = express.Router();
+
+async function loadTeacher(teacherId, client = pool, { lock = false } = {}) {
+  const result = await client.query(`
+    SELECT t.*, s.block_id, b.district_id
+    FROM teachers t
+    JOIN schools s ON s.school_id = t.school_id
+    JOIN blocks b ON b.block_id = s.block_id
+    WHERE t.teacher_id = $1
+    ${lock ? 'FOR UPDATE OF t' : ''}
+  `, [teacherId]);
+  return result.rows[0];
+}
+
+// Accounts a teacher record may be linked to. A posting moves the linked
+// account's school, so linking an officer's account would re-scope them.
+const LINKABLE_ROLES = ['teacher', 'headmaster'];
+
+// Validation detail when userId cannot be linked to the teacher teacherId
+// (null for a new teacher), otherwise null
+async function checkUserLink(userId, teacherId = null) {
+  const result = await pool.query(`
+    SELECT u.role, t.teacher_id as linked_teacher_id
+    FROM users u
+    LEFT JOIN teachers t ON t.user_id = u.user_id
+    WHERE u.user_id = $1
+  `, [userId]);
+  const user = result.rows[0];
+
+  if (!user) {
+    return { field: 'user_id', code: 'not_found', message: 'user_id does not match a user account' };
+  }
+  if (!LINKABLE_ROLES.includes(user.role)) {
+    return { field: 'user_id', code: 'invalid_value', message: `user_id must be a ${LINKABLE_ROLES.join(' or ')} account` };
+  }
+  if (user.linked_teacher_id && Number(user.linked_teacher_id) !== Number(teacherId)) {
+    return { field: 'user_id', code: 'already_linked', message: 'user_id is already linked to another teacher' };
+  }
+  return null;
+}
+
+function teacherFields(data) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = isBlank(data[field]) ? null : data[field];
+    }
+  });
+  return fields;
+}
+
+// GET /api/teachers - List teachers with pagination and filters
+router.get('/', authorize('teachers:read'), validate({
+  query: {
+    ...pagination(),
+    school_id: { type: 'id' },
+    district_id: { type: 'id' },
+    designation: { type: 'string', maxLength: 100 },
+    employment_type: { type: 'enum', values: EMPLOYMENT_TYPES },
+    subject: { type: 'string', maxLength: 20 },
+    status: { type: 'enum', values: STATUSES, default: 'Active' },
+    search: { type: 'string', maxLength: 100 }
+  }
+}), async (req, res) => {
+  try {
+    const {
+      page,
+      limit,
+      school_id,
+      district_id,
+      designation,
+      employment_type,
+      subject,
+      status,
+      search
+    } = req.query;
+
+    if (!await filtersInScope(req.scope, { school_id, district_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school or district is outside your jurisdiction'
+      });
+    }
+
+    const offset = (page - 1) * limit;
+
+    let query = `
+      SELECT t.teacher_id, t.employee_code, t.designation, t.subjects, t.qualification,
+             t.experience_years, t.date_of_joining, t.employment_type, t.status,
+             ${localName(req.lang, 'u.first_name')} as first_name,
+             ${localName(req.lang, 'u.last_name')} as last_name,
+             u.first_name_od, u.last_name_od, u.phone, u.email,
+             s.school_id, ${localName(req.lang, 's.name')} as school_name,
+             ${localName(req.lang, 'd.name')} as district_name
+      FROM teachers t
+      LEFT JOIN users u ON u.user_id = t.user_id
+      JOIN schools s ON s.school_id = t.school_id
+      JOIN blocks b ON b.block_id = s.block_id
+      JOIN districts d ON d.district_id = b.district_id
+      WHERE t.status = $1
+    `;
+
+    const params = [status];
+    query += scopeClause(req.scope, 't.school_id', params);
+    let paramCount = params.length;
+
+    if (school_id) {
+      query += ` AND t.school_id = $${++paramCount}`;
+      params.push(school_id);
+    }
+
+    if (district_id) {
+      query += ` AND d.district_id = $${++paramCount}`;
+      params.push(district_id);
+    }
+
+    if (designation) {
+      query += ` AND t.designation = $${++paramCount}`;
+      params.push(designation);
+    }
+
+    if (employment_type) {
+      query += ` AND t.employment_type = $${++paramCount}`;
+      params.push(employment_type);
+    }
+
+    // Array containment so idx_teachers_subjects_gin can be used
+    if (subject) {
+      query += ` AND t.subjects @> ARRAY[$${++paramCount}]::text[]`;
+      params.push(subject);
+    }
+
+    if (search) {
+      query += ` AND (u.first_name || ' ' || u.last_name ILIKE $${++paramCount}
+                      OR concat_ws(' ', u.first_name_od, u.last_name_od) ILIKE $${paramCount}
+                      OR t.employee_code ILIKE $${paramCount})`;
+      params.push(`%${search}%`);
+    }
+
+    // Count total
+    const countQuery = `SELECT COUNT(*) FROM (${query}) filtered`;
+    const countResult = await pool.query(countQuery, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    // Add pagination
+    query += ` ORDER BY s.name, u.last_name, u.first_name LIMIT $${++paramCount} OFFSET $${++paramCount}`;
+    params.push(limit, offset);
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Teachers API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch teachers'
+    });
+  }
+});
+
+// GET /api/teachers/staffing - Teachers per subject for schools in scope
+router.get('/staffing', authorize('teachers:read'), validate({
+  query: { school_id: { type: 'id' } }
+}), async (req, res) => {
+  try {
+    const { school_id } = req.query;
+
+    if (!await filtersInScope(req.scope, { school_id })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Requested school is outside your jurisdiction'
+      });
+    }
+
+    const params = [];
+    let filters = scopeClause(req.scope, 't.school_id', params);
+
+    if (school_id) {
+      params.push(school_id);
+      filters += ` AND t.school_id = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT subject,
+             COUNT(*) as teachers,
+             COUNT(*) FILTER (WHERE t.employment_type = 'Permanent') as permanent,
+             COUNT(*) FILTER (WHERE t.employment_type = 'Contract') as contract,
+             COUNT(*) FILTER (WHERE t.employment_type = 'Guest') as guest,
+             COUNT(DISTINCT t.school_id) as schools
+      FROM teachers t
+      CROSS JOIN LATERAL unnest(t.subjects) AS subject
+      WHERE t.status = 'Active'${filters}
+      GROUP BY subject
+      ORDER BY teachers DESC
+    `, params);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Teacher staffing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch staffing summary'
+    });
+  }
+});
+
+// GET /api/teachers/:id - Get single teacher with posting history
+router.get('/:id', authorize('teachers:read'), validate({ params: { id: ID } }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      SELECT t.*, ${localName(req.lang, 'u.first_name')} as first_name,
+             ${localName(req.lang, 'u.last_name')} as last_name,
+             u.first_name_od, u.last_name_od, u.phone, u.email,
+             ${localName(req.lang, 's.name')} as school_name, s.block_id, b.district_id,
+             ${localName(req.lang, 'd.name')} as district_name
+      FROM teachers t
+      LEFT JOIN users u ON u.user_id = t.user_id
+      JOIN schools s ON s.school_id = t.school_id
+      JOIN blocks b ON b.block_id = s.block_id
+      JOIN districts d ON d.district_id = b.district_id
+      WHERE t.teacher_id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Teacher not found'
+      });
+    }
+
+    if (!inScope(req.scope, result.rows[0])) {
+      return res.status(403).json({
+        success: false,
+        error: 'Teacher is outside your jurisdiction'
+      });
+    }
+
+    const postings = await pool.query(`
+      SELECT p.from_school_id, ${localName(req.lang, 'fs.name')} as from_school_name,
+             p.to_school_id, ${localName(req.lang, 'ts.name')} as to_school_name,
+             p.effective_date, p.order_no, p.reason, p.created_at
+      FROM teacher_postings p
+      LEFT JOIN schools fs ON fs.school_id = p.from_school_id
+      JOIN schools ts ON ts.school_id = p.to_school_id
+      WHERE p.teacher_id = $1
+      ORDER BY p.effective_date DESC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        postings: postings.rows
+      }
+    });
+  } catch (error) {
+    console.error('Teacher detail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch teacher details'
+    });
+  }
+});
+
+// POST /api/teachers - Add a teacher to a school
+router.post('/', authorize('teachers:write'), validate({
+  body: { school_id: ID, user_id: { type: 'id' } }
+}), async (req, res) => {
+  try {
+    const data = req.body;
+    const errors = validateTeacher(data);
+
+    if (data.user_id) {
+      const problem = await checkUserLink(data.user_id);
+      if (problem) errors.push(problem);
+    }
+
+    if (errors.length > 0) {
+      return sendError(res, 400, 'Validation failed', { code: 'VALIDATION_FAILED', details: errors });
+    }
+
+    const school = await loadSchool(data.school_id);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School is outside your jurisdiction'
+      });
+    }
+
+    const fields = { ...teacherFields(data), school_id: school.school_id };
+    const columns = Object.keys(fields);
+
+    const result = await audited(req, client => client.query(`
+      INSERT INTO teachers (${columns.join(', ')})
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+      RETURNING *
+    `, Object.values(fields)));
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Employee code or user account is already assigned to another teacher'
+      });
+    }
+    console.error('Teacher create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create teacher'
+    });
+  }
+});
+
+// PATCH /api/teachers/:id - Update teacher details (not the school; use posting)
+router.patch('/:id', authorize('teachers:write'), validate({
+  params: { id: ID },
+  body: { user_id: { type: 'id' } }
+}), async (req, res) => {
+  try {
+    const data = req.body;
+    const errors = validateTeacher(data, { partial: true });
+
+    if (data.school_id !== undefined) {
+      errors.push({ field: 'school_id', code: 'not_allowed', message: 'school_id can only be changed through a posting' });
+    }
+
+    if (data.user_id) {
+      const problem = await checkUserLink(data.user_id, req.params.id);
+      if (problem) errors.push(problem);
+    }
+
+    if (errors.length > 0) {
+      return sendError(res, 400, 'Validation failed', { code: 'VALIDATION_FAILED', details: errors });
+    }
+
+    const teacher = await loadTeacher(req.params.id);
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        error: 'Teacher not found'
+      });
+    }
+
+    if (!inScope(req.scope, teacher)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Teacher is outside your jurisdiction'
+      });
+    }
+
+    const fields = teacherFields(data);
+    const columns = Object.keys(fields);
+
+    if (columns.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No updatable fields provided'
+      });
+    }
+
+    const result = await audited(req, client => client.query(`
+      UPDATE teachers
+      SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+      WHERE teacher_id = $1
+      RETURNING *
+    `, [teacher.teacher_id, ...Object.values(fields)]));
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Employee code or user account is already assigned to another teacher'
+      });
+    }
+    console.error('Teacher update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update teacher'
+    });
+  }
+});
+
+// POST /api/teachers/:id/posting - Transfer/post a teacher to another school
+router.post('/:id/posting', authorize('teachers:post'), validate({
+  params: { id: ID },
+  body: {
+    to_school_id: ID,
+    effective_date: { type: 'date' },
+    order_no: { type: 'string', maxLength: 100 },
+    reason: { type: 'string', maxLength: 500 }
+  }
+}), async (req, res) => {
+  const { to_school_id, order_no, reason } = req.body;
+  const effectiveDate = req.body.effective_date || localDate();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const teacher = await loadTeacher(req.params.id, client, { lock: true });
+
+    if (!teacher) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Teacher not found'
+      });
+    }
+
+    const toSchool = await loadSchool(to_school_id, client);
+
+    if (!toSchool) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (!inScope(req.scope, teacher) || !inScope(req.scope, toSchool)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Both schools must be within your jurisdiction'
+      });
+    }
+
+    if (Number(toSchool.school_id) === Number(teacher.school_id)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Teacher is already posted to this school'
+      });
+    }
+
+    const result = await client.query(
+      'UPDATE teachers SET school_id = $2 WHERE teacher_id = $1 RETURNING *',
+      [teacher.teacher_id, toSchool.school_id]
+    );
+
+    // Keep the teacher's login scoped to the new school. Only school-level
+    // accounts follow a posting; links made before the role check are skipped.
+    if (teacher.user_id) {
+      await client.query(
+        'UPDATE users SET school_id = $2, block_id = $3, district_id = $4 WHERE user_id = $1 AND role = ANY($5)',
+        [teacher.user_id, toSchool.school_id, toSchool.block_id, toSchool.district_id, LINKABLE_ROLES]
+      );
+    }
+
+    await client.query(`
+      INSERT INTO teacher_postings
+        (teacher_id, from_school_id, to_school_id, effective_date, order_no, reason, posted_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      teacher.teacher_id, teacher.school_id, toSchool.school_id, effectiveDate,
+      order_no || null, reason || null, req.user.user_id
+    ]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Teacher posting error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post teacher'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,457 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { scopeCondition, inScope } = require('../middleware/scope');
+const { loadSchool } = require('../lib/schools');
+const { loadStudent } = require('../lib/students');
+const { resolveClass } = require('../lib/classes');
+const { localName } = require('../lib/i18n');
+const { publish } = require('../lib/events');
+const { setAuditContext } = require('../lib/audit');
+const { validate } = require('../middleware/validate');
+const { ID, pagination } = require('../validators/schema');
+const router = express.Router();
+
+const TRANSFER_STATUSES = ['Pending', 'Accepted', 'Rejected', 'Cancelled'];
+const TRANSFER_NOTE = { type: 'string', maxLength: 500 };
+const CLOSE_SCHEMA = { params: { id: ID }, body: { note: TRANSFER_NOTE } };
+
+// Transfer with both schools' block and district, for jurisdiction checks.
+// School names are in lang when given.
+async function loadTransfer(transferId, client = pool, { lock = false, lang } = {}) {
+  const result = await client.query(`
+    SELECT t.*,
+           ${localName(lang, 'fs.name')} AS from_school_name, fs.block_id AS from_block_id, fb.district_id AS from_district_id,
+           ${localName(lang, 'ts.name')} AS to_school_name, ts.block_id AS to_block_id, tb.district_id AS to_district_id
+    FROM student_transfers t
+    JOIN schools fs ON fs.school_id = t.from_school_id
+    JOIN blocks fb ON fb.block_id = fs.block_id
+    JOIN schools ts ON ts.school_id = t.to_school_id
+    JOIN blocks tb ON tb.block_id = ts.block_id
+    WHERE t.transfer_id = $1
+    ${lock ? 'FOR UPDATE OF t' : ''}
+  `, [transferId]);
+  return result.rows[0];
+}
+
+function sendingSide(transfer) {
+  return {
+    school_id: transfer.from_school_id,
+    block_id: transfer.from_block_id,
+    district_id: transfer.from_district_id
+  };
+}
+
+function receivingSide(transfer) {
+  return {
+    school_id: transfer.to_school_id,
+    block_id: transfer.to_block_id,
+    district_id: transfer.to_district_id
+  };
+}
+
+// Both schools' dashboards hear about a transfer
+function publishTransfer(transfer, from, to) {
+  publish('transfer', [from, to], {
+    transfer_id: transfer.transfer_id,
+    student_id: transfer.student_id,
+    status: transfer.status,
+    from_school_id: transfer.from_school_id,
+    to_school_id: transfer.to_school_id
+  });
+}
+
+async function logTransferEvent(client, transferId, action, userId, note = null) {
+  await client.query(`
+    INSERT INTO student_transfer_events (transfer_id, action, actor_id, note)
+    VALUES ($1, $2, $3, $4)
+  `, [transferId, action, userId, note]);
+}
+
+// GET /api/transfers - Transfers where either school is in the user's jurisdiction
+router.get('/', authorize('transfers:read'), validate({
+  query: {
+    ...pagination(),
+    status: { type: 'enum', values: TRANSFER_STATUSES },
+    school_id: { type: 'id' }
+  }
+}), async (req, res) => {
+  try {
+    const { status, school_id, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+    const params = [];
+
+    let query = `
+      SELECT t.transfer_id, t.student_id, t.status, t.reason, t.requested_at, t.decided_at,
+             st.admission_no, ${localName(req.lang, 'st.first_name')} AS first_name,
+             ${localName(req.lang, 'st.last_name')} AS last_name, st.class_number,
+             t.from_school_id, ${localName(req.lang, 'fs.name')} AS from_school_name,
+             t.to_school_id, ${localName(req.lang, 'ts.name')} AS to_school_name
+      FROM student_transfers t
+      JOIN students st ON st.student_id = t.student_id
+      JOIN schools fs ON fs.school_id = t.from_school_id
+      JOIN schools ts ON ts.school_id = t.to_school_id
+      WHERE (${scopeCondition(req.scope, 't.from_school_id', params)}
+          OR ${scopeCondition(req.scope, 't.to_school_id', params)})
+    `;
+
+    if (status) {
+      params.push(status);
+      query += ` AND t.status = $${params.length}`;
+    }
+
+    if (school_id) {
+      params.push(school_id);
+      query += ` AND (t.from_school_id = $${params.length} OR t.to_school_id = $${params.length})`;
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM (${query}) filtered`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    params.push(limit, offset);
+    query += ` ORDER BY t.requested_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Transfers API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfers'
+    });
+  }
+});
+
+// GET /api/transfers/:id - Transfer with its full event trail
+router.get('/:id', authorize('transfers:read'), validate({ params: { id: ID } }), async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req.params.id, pool, { lang: req.lang });
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    if (!inScope(req.scope, sendingSide(transfer)) && !inScope(req.scope, receivingSide(transfer))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Transfer is outside your jurisdiction'
+      });
+    }
+
+    const events = await pool.query(`
+      SELECT e.action, e.note, e.created_at, u.username AS actor, u.role AS actor_role
+      FROM student_transfer_events e
+      LEFT JOIN users u ON u.user_id = e.actor_id
+      WHERE e.transfer_id = $1
+      ORDER BY e.created_at
+    `, [transfer.transfer_id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...transfer,
+        events: events.rows
+      }
+    });
+  } catch (error) {
+    console.error('Transfer detail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfer details'
+    });
+  }
+});
+
+// POST /api/transfers - Sending school requests a transfer
+router.post('/', authorize('transfers:write'), validate({
+  body: {
+    student_id: ID,
+    to_school_id: ID,
+    reason: { type: 'string', required: true, maxLength: 500 }
+  }
+}), async (req, res) => {
+  const { student_id, to_school_id, reason } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const student = await loadStudent(student_id, client, { lock: true });
+
+    if (!student) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!inScope(req.scope, student)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Only the sending school can request a transfer'
+      });
+    }
+
+    if (student.status !== 'Active') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Only active students can be transferred (student is ${student.status})`
+      });
+    }
+
+    const toSchool = await loadSchool(to_school_id, client);
+
+    if (!toSchool) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Receiving school not found'
+      });
+    }
+
+    if (Number(toSchool.school_id) === Number(student.school_id)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Receiving school must differ from the current school'
+      });
+    }
+
+    const pending = await client.query(
+      `SELECT transfer_id FROM student_transfers WHERE student_id = $1 AND status = 'Pending'`,
+      [student.student_id]
+    );
+
+    if (pending.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Transfer ${pending.rows[0].transfer_id} is already pending for this student`
+      });
+    }
+
+    const result = await client.query(`
+      INSERT INTO student_transfers (student_id, from_school_id, to_school_id, reason, requested_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [student.student_id, student.school_id, toSchool.school_id, reason, req.user.user_id]);
+
+    await logTransferEvent(client, result.rows[0].transfer_id, 'Requested', req.user.user_id, reason);
+    await client.query('COMMIT');
+
+    publishTransfer(result.rows[0], student, toSchool);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Transfer request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request transfer'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/transfers/:id/accept - Receiving school accepts and the student moves
+router.post('/:id/accept', authorize('transfers:write'), validate({
+  params: { id: ID },
+  body: { class_id: { type: 'id' }, note: TRANSFER_NOTE }
+}), async (req, res) => {
+  const data = req.body;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const transfer = await loadTransfer(req.params.id, client, { lock: true });
+
+    if (!transfer) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    if (!inScope(req.scope, receivingSide(transfer))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Only the receiving school can accept a transfer'
+      });
+    }
+
+    if (transfer.status !== 'Pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Transfer is already ${transfer.status}`
+      });
+    }
+
+    const student = await loadStudent(transfer.student_id, client, { lock: true });
+
+    if (!student || student.status !== 'Active' ||
+        Number(student.school_id) !== Number(transfer.from_school_id)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Student is no longer active at the sending school'
+      });
+    }
+
+    const { cls, status, error } = await resolveClass(client, transfer.to_school_id, data);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ success: false, error });
+    }
+
+    // school_id is the partition key, so this moves the row to the receiving
+    // school's partition. student_id is unchanged, which keeps attendance,
+    // exam results and fee payments (all keyed by student_id) linked.
+    const moved = await client.query(`
+      UPDATE students
+      SET school_id = $3,
+          district_id = $4,
+          class_id = $5,
+          class_number = COALESCE($6, class_number),
+          section = $7,
+          roll_no = NULL
+      WHERE student_id = $1 AND school_id = $2
+      RETURNING *
+    `, [
+      student.student_id, student.school_id, transfer.to_school_id, transfer.to_district_id,
+      cls ? cls.class_id : null,
+      cls ? cls.class_number : null,
+      cls ? cls.section : null
+    ]);
+
+    const result = await client.query(`
+      UPDATE student_transfers
+      SET status = 'Accepted', decided_by = $2, decided_at = now(), decision_note = $3
+      WHERE transfer_id = $1
+      RETURNING *
+    `, [transfer.transfer_id, req.user.user_id, data.note || null]);
+
+    await logTransferEvent(client, transfer.transfer_id, 'Accepted', req.user.user_id, data.note);
+    await client.query('COMMIT');
+
+    publishTransfer(result.rows[0], sendingSide(transfer), receivingSide(transfer));
+
+    res.json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        student: moved.rows[0]
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Transfer accept error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept transfer'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Close a pending transfer without moving the student
+async function closeTransfer(req, res, { status, side, who, action }) {
+  const note = req.body.note || null;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, req);
+
+    const transfer = await loadTransfer(req.params.id, client, { lock: true });
+
+    if (!transfer) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    if (!inScope(req.scope, side(transfer))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: `Only the ${who} school can ${action} a transfer`
+      });
+    }
+
+    if (transfer.status !== 'Pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Transfer is already ${transfer.status}`
+      });
+    }
+
+    const result = await client.query(`
+      UPDATE student_transfers
+      SET status = $2, decided_by = $3, decided_at = now(), decision_note = $4
+      WHERE transfer_id = $1
+      RETURNING *
+    `, [transfer.transfer_id, status, req.user.user_id, note]);
+
+    await logTransferEvent(client, transfer.transfer_id, status, req.user.user_id, note);
+    await client.query('COMMIT');
+
+    publishTransfer(result.rows[0], sendingSide(transfer), receivingSide(transfer));
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`Transfer ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} transfer`
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// POST /api/transfers/:id/reject - Receiving school declines
+router.post('/:id/reject', authorize('transfers:write'), validate(CLOSE_SCHEMA), (req, res) =>
+  closeTransfer(req, res, { status: 'Rejected', side: receivingSide, who: 'receiving', action: 'reject' })
+);
+
+// POST /api/transfers/:id/cancel - Sending school withdraws the request
+router.post('/:id/cancel', authorize('transfers:write'), validate(CLOSE_SCHEMA), (req, res) =>
+  closeTransfer(req, res, { status: 'Cancelled', side: sendingSide, who: 'sending', action: 'cancel' })
+);
+
+module.exports = router;
@@ -4,9 +4,31 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
 
+const { authenticate } = require('./middleware/auth');
+const { resolveScope } = require('./middleware/scope');
+const { resolveLanguage } = require('./middleware/language');
+const { errorEnvelope, notFound, handleErrors } = require('./middleware/errors');
+const { invalidates } = require('./middleware/cache');
+const { refreshAfterWrites } = require('./lib/stats');
+const authRoutes = require('./routes/auth');
 const schoolsRoutes = require('./routes/schools');
 const studentsRoutes = require('./routes/students');
+const teachersRoutes = require('./routes/teachers');
 const dashboardRoutes = require('./routes/dashboard');
+const attendanceRoutes = require('./routes/attendance');
+const transfersRoutes = require('./routes/transfers');
+const examsRoutes = require('./routes/exams');
+const reportCardsRoutes = require('./routes/report-cards');
+const feesRoutes = require('./routes/fees');
+const districtsRoutes = require('./routes/districts');
+const blocksRoutes = require('./routes/blocks');
+const importsRoutes = require('./routes/imports');
+const academicYearsRoutes = require('./routes/academic-years');
+const rolloverRoutes = require('./routes/rollover');
+const classesRoutes = require('./routes/classes');
+const eventsRoutes = require('./routes/events');
+const auditRoutes = require('./routes/audit');
+const monitoringRoutes = require('./routes/monitoring');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,16 +38,38 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://your-username.github.io'] 
-    : true
+    : true,
+  exposedHeaders: ['Content-Disposition', 'Content-Language']
 }));
 app.use(morgan('combined'));
+app.use(errorEnvelope);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(resolveLanguage);
 
 // Routes
-app.use('/api/schools', schoolsRoutes);
-app.use('/api/students', studentsRoutes);
-app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/auth', authRoutes);
+
+// Everything below requires a valid access token and is narrowed to the user's jurisdiction.
+// invalidates() names the cached data (middleware/cache.js) a router's writes change.
+app.use('/api/schools', authenticate, resolveScope, invalidates('schools'), schoolsRoutes);
+app.use('/api/students', authenticate, resolveScope, invalidates('students'), studentsRoutes);
+app.use('/api/teachers', authenticate, resolveScope, invalidates('teachers'), teachersRoutes);
+app.use('/api/dashboard', authenticate, resolveScope, dashboardRoutes);
+app.use('/api/attendance', authenticate, resolveScope, invalidates('attendance'), attendanceRoutes);
+app.use('/api/transfers', authenticate, resolveScope, invalidates('students'), transfersRoutes);
+app.use('/api/exams', authenticate, resolveScope, examsRoutes);
+app.use('/api/report-cards', authenticate, resolveScope, reportCardsRoutes);
+app.use('/api/fees', authenticate, resolveScope, invalidates('fees'), feesRoutes);
+app.use('/api/districts', authenticate, resolveScope, districtsRoutes);
+app.use('/api/blocks', authenticate, resolveScope, blocksRoutes);
+app.use('/api/imports', authenticate, resolveScope, invalidates('schools', 'students'), importsRoutes);
+app.use('/api/academic-years', authenticate, resolveScope, academicYearsRoutes);
+app.use('/api/rollover', authenticate, resolveScope, invalidates('students'), rolloverRoutes);
+app.use('/api/classes', authenticate, resolveScope, invalidates('students', 'schools'), classesRoutes);
+app.use('/api/events', authenticate, resolveScope, eventsRoutes);
+app.use('/api/audit', authenticate, resolveScope, auditRoutes);
+app.use('/api/admin/monitoring', authenticate, resolveScope, monitoringRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -37,19 +81,14 @@ app.get('/health', (req, res) => {
   });
 });
 
+// 404 handler
+app.use(notFound);
+
 // Error handling
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-  });
-});
+app.use(handleErrors);
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
+// Keep the dashboard rollups close behind the writes made through this API
+refreshAfterWrites();
 
 app.listen(PORT, () => {
   console.log(`🚀 Odisha School API running on port ${PORT}`);
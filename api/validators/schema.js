@@ -0,0 +1,183 @@
+// Declarative checks for request params, query strings and bodies.
+//
+// A schema maps field names to rules:
+//   { type, required, default, min, max, cap, values, maxLength, pattern, minItems, maxItems, items }
+// type is one of id, int, number, string, enum, date, month, boolean, array, object, cursor.
+// items is the rule every element of an array must satisfy.
+// Query and path values arrive as strings and are coerced to the declared type;
+// the coerced values replace the originals so handlers can use them directly.
+const { isBlank, isValidDate } = require('./students');
+const { decodeCursor } = require('../lib/pagination');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Largest page any list endpoint returns
+const MAX_PAGE_SIZE = 100;
+
+// Longest class section name ('A', 'B2', ...) accepted anywhere
+const SECTION_MAX_LENGTH = 5;
+
+// Rules shared across routes
+const ID = { type: 'id', required: true };
+
+// page/limit for list endpoints; limit above MAX_PAGE_SIZE is capped to it
+function pagination(defaultLimit = 20) {
+  return {
+    page: { type: 'int', min: 1, default: 1 },
+    limit: { type: 'int', min: 1, max: MAX_PAGE_SIZE, cap: true, default: defaultLimit }
+  };
+}
+
+function issue(field, code, message) {
+  return { field, code, message };
+}
+
+// Coerce one present value. Returns { value }, { error } or, for arrays with
+// bad items, { errors } with one entry per item carrying its index.
+function checkValue(field, rule, raw) {
+  switch (rule.type) {
+    case 'id': {
+      const text = String(raw).trim();
+      const value = Number(text);
+      if (!/^\d+$/.test(text) || value < 1 || !Number.isSafeInteger(value)) {
+        return { error: issue(field, 'invalid_type', `${field} must be a positive whole number`) };
+      }
+      return { value };
+    }
+
+    case 'int':
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (typeof raw === 'boolean' || Number.isNaN(value) || !Number.isFinite(value) ||
+          (rule.type === 'int' && !Number.isInteger(value))) {
+        return { error: issue(field, 'invalid_type', `${field} must be a ${rule.type === 'int' ? 'whole number' : 'number'}`) };
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return { error: issue(field, 'out_of_range', `${field} must be at least ${rule.min}`) };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        if (rule.cap) return { value: rule.max };
+        return { error: issue(field, 'out_of_range', `${field} must be at most ${rule.max}`) };
+      }
+      return { value };
+    }
+
+    case 'string': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: issue(field, 'invalid_type', `${field} must be text`) };
+      }
+      const value = String(raw);
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { error: issue(field, 'too_long', `${field} must be at most ${rule.maxLength} characters`) };
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return { error: issue(field, 'invalid_format', rule.message || `${field} is not in the expected format`) };
+      }
+      return { value };
+    }
+
+    case 'enum':
+      if (!rule.values.includes(raw)) {
+        return { error: issue(field, 'invalid_value', `${field} must be one of ${rule.values.join(', ')}`) };
+      }
+      return { value: raw };
+
+    case 'date':
+      if (typeof raw !== 'string' || !isValidDate(raw)) {
+        return { error: issue(field, 'invalid_format', `${field} must be a valid YYYY-MM-DD date`) };
+      }
+      return { value: raw };
+
+    case 'month':
+      if (typeof raw !== 'string' || !MONTH_PATTERN.test(raw)) {
+        return { error: issue(field, 'invalid_format', `${field} must be a YYYY-MM month`) };
+      }
+      return { value: raw };
+
+    case 'boolean':
+      if (raw === true || raw === 'true' || raw === '1') return { value: true };
+      if (raw === false || raw === 'false' || raw === '0') return { value: false };
+      return { error: issue(field, 'invalid_type', `${field} must be true or false`) };
+
+    case 'array':
+      if (!Array.isArray(raw)) {
+        return { error: issue(field, 'invalid_type', `${field} must be a list`) };
+      }
+      if (rule.minItems !== undefined && raw.length < rule.minItems) {
+        return { error: issue(field, 'out_of_range', `${field} must have at least ${rule.minItems} item(s)`) };
+      }
+      if (rule.maxItems !== undefined && raw.length > rule.maxItems) {
+        return { error: issue(field, 'out_of_range', `${field} must have at most ${rule.maxItems} items`) };
+      }
+      if (rule.items) {
+        const checked = raw.map((item, index) => checkValue(`${field}[${index}]`, rule.items, item));
+        const errors = checked
+          .map((result, index) => result.error && { ...result.error, index })
+          .filter(Boolean);
+        if (errors.length > 0) return { errors };
+        return { value: checked.map(result => result.value) };
+      }
+      return { value: raw };
+
+    case 'object':
+      if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        return { error: issue(field, 'invalid_type', `${field} must be an object`) };
+      }
+      return { value: raw };
+
+    case 'cursor': {
+      const cursor = decodeCursor(raw, rule.keys);
+      if (!cursor) {
+        return { error: issue(field, 'invalid_value', `${field} is not a valid cursor; start again from the first page`) };
+      }
+      return { value: cursor };
+    }
+
+    default:
+      throw new Error(`Unknown schema type ${rule.type} for ${field}`);
+  }
+}
+
+// cursor/limit for keyset-paginated lists (lib/pagination.js) ordered by
+// keyCount keys. total=exact asks for an exact count instead of the estimate.
+function cursorPagination(defaultLimit, keyCount) {
+  return {
+    cursor: { type: 'cursor', keys: keyCount },
+    limit: pagination(defaultLimit).limit,
+    total: { type: 'enum', values: ['estimate', 'exact'], default: 'estimate' }
+  };
+}
+
+// Check source against schema. Returns { values, errors } where values holds
+// the coerced and defaulted fields and errors is a list of { field, code, message }.
+function checkSchema(schema, source = {}) {
+  const values = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = source[field];
+
+    // Arrays, objects and booleans are never blank; strings of spaces are
+    if (raw === undefined || raw === null || (typeof raw === 'string' && isBlank(raw))) {
+      if (rule.required) {
+        errors.push(issue(field, 'required', `${field} is required`));
+      } else if (rule.default !== undefined) {
+        values[field] = rule.default;
+      }
+      return;
+    }
+
+    const { value, error, errors: itemErrors } = checkValue(field, rule, raw);
+    if (error) {
+      errors.push(error);
+    } else if (itemErrors) {
+      errors.push(...itemErrors);
+    } else {
+      values[field] = value;
+    }
+  });
+
+  return { values, errors };
+}
+
+module.exports = { MAX_PAGE_SIZE, SECTION_MAX_LENGTH, ID, pagination, cursorPagination, checkSchema };
@@ -0,0 +1,46 @@
+// Field rules for schools, mirroring the constraints in sql/schema.sql
+const { isBlank } = require('./students');
+
+const STATUSES = ['Active', 'Inactive', 'Closed'];
+
+// Returns a list of { field, code, message }; empty when the data is valid.
+function validateSchool(data) {
+  const errors = [];
+
+  ['school_code', 'name'].forEach(field => {
+    if (isBlank(data[field])) {
+      errors.push({ field, code: 'required', message: `${field} is required` });
+    }
+  });
+
+  if (isBlank(data.block_id) && (isBlank(data.district) || isBlank(data.block))) {
+    errors.push({ field: 'block', code: 'required', message: 'block_id, or district and block names, are required' });
+  }
+
+  if (!isBlank(data.pincode) && !/^\d{6}$/.test(String(data.pincode))) {
+    errors.push({ field: 'pincode', code: 'invalid_format', message: 'pincode must be 6 digits' });
+  }
+
+  if (!isBlank(data.phone) && !/^\+?\d{10,15}$/.test(String(data.phone))) {
+    errors.push({ field: 'phone', code: 'invalid_format', message: 'phone must be 10 to 15 digits' });
+  }
+
+  if (!isBlank(data.email) && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(data.email))) {
+    errors.push({ field: 'email', code: 'invalid_format', message: 'email is not a valid address' });
+  }
+
+  if (!isBlank(data.established_year)) {
+    const year = Number(data.established_year);
+    if (!Number.isInteger(year) || year < 1800 || year > new Date().getFullYear()) {
+      errors.push({ field: 'established_year', code: 'out_of_range', message: 'established_year must be a year between 1800 and now' });
+    }
+  }
+
+  if (!isBlank(data.status) && !STATUSES.includes(data.status)) {
+    errors.push({ field: 'status', code: 'invalid_value', message: `status must be one of ${STATUSES.join(', ')}` });
+  }
+
+  return errors;
+}
+
+module.exports = { STATUSES, validateSchool };
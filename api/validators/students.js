@@ -0,0 +1,102 @@
+// Field rules for students, mirroring the constraints in sql/schema.sql
+
+const GENDERS = ['Male', 'Female', 'Other'];
+const CATEGORIES = ['General', 'OBC', 'SC', 'ST', 'SEBC'];
+const STATUSES = ['Active', 'Transferred', 'Dropped', 'Passed'];
+
+// Allowed status changes; anything else must go through a new admission
+const STATUS_TRANSITIONS = {
+  Active: ['Transferred', 'Dropped', 'Passed'],
+  Dropped: ['Active'],
+  Transferred: [],
+  Passed: []
+};
+
+const EDITABLE_FIELDS = [
+  'admission_no', 'roll_no', 'first_name', 'last_name', 'first_name_od', 'last_name_od',
+  'gender', 'date_of_birth', 'class_id', 'class_number', 'section', 'category',
+  'mother_tongue', 'guardian_name', 'guardian_phone', 'guardian_email', 'address',
+  'aadhar', 'admission_date'
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+// Returns a list of { field, code, message }; empty when the data is valid.
+// With partial set, only the fields present are checked.
+function validateStudent(data, { partial = false } = {}) {
+  const errors = [];
+  const present = field => data[field] !== undefined;
+
+  ['admission_no', 'first_name', 'last_name'].forEach(field => {
+    if ((!partial || present(field)) && isBlank(data[field])) {
+      errors.push({ field, code: 'required', message: `${field} is required` });
+    }
+  });
+
+  if (!partial && isBlank(data.school_id)) {
+    errors.push({ field: 'school_id', code: 'required', message: 'school_id is required' });
+  }
+
+  if (!isBlank(data.gender) && !GENDERS.includes(data.gender)) {
+    errors.push({ field: 'gender', code: 'invalid_value', message: `gender must be one of ${GENDERS.join(', ')}` });
+  }
+
+  if (!isBlank(data.category) && !CATEGORIES.includes(data.category)) {
+    errors.push({ field: 'category', code: 'invalid_value', message: `category must be one of ${CATEGORIES.join(', ')}` });
+  }
+
+  if (!isBlank(data.aadhar) && !/^\d{12}$/.test(String(data.aadhar))) {
+    errors.push({ field: 'aadhar', code: 'invalid_format', message: 'aadhar must be exactly 12 digits' });
+  }
+
+  if (!isBlank(data.class_number)) {
+    const classNumber = Number(data.class_number);
+    if (!Number.isInteger(classNumber) || classNumber < 1 || classNumber > 12) {
+      errors.push({ field: 'class_number', code: 'out_of_range', message: 'class_number must be between 1 and 12' });
+    }
+  }
+
+  if (!isBlank(data.roll_no) && !Number.isInteger(Number(data.roll_no))) {
+    errors.push({ field: 'roll_no', code: 'invalid_type', message: 'roll_no must be a whole number' });
+  }
+
+  ['date_of_birth', 'admission_date'].forEach(field => {
+    if (!isBlank(data[field]) && !isValidDate(data[field])) {
+      errors.push({ field, code: 'invalid_format', message: `${field} must be a valid YYYY-MM-DD date` });
+    }
+  });
+
+  if (!isBlank(data.date_of_birth) && isValidDate(data.date_of_birth) &&
+      new Date(data.date_of_birth) > new Date()) {
+    errors.push({ field: 'date_of_birth', code: 'out_of_range', message: 'date_of_birth cannot be in the future' });
+  }
+
+  if (!isBlank(data.guardian_phone) && !/^\+?\d{10,15}$/.test(String(data.guardian_phone))) {
+    errors.push({ field: 'guardian_phone', code: 'invalid_format', message: 'guardian_phone must be 10 to 15 digits' });
+  }
+
+  if (present('status')) {
+    errors.push({ field: 'status', code: 'not_allowed', message: 'status can only be changed through the status action' });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  GENDERS,
+  CATEGORIES,
+  STATUSES,
+  STATUS_TRANSITIONS,
+  EDITABLE_FIELDS,
+  isBlank,
+  isValidDate,
+  validateStudent
+};
@@ -0,0 +1,62 @@
+// Field rules for teachers, mirroring the constraints in sql/schema.sql
+const { isBlank, isValidDate } = require('./students');
+
+const EMPLOYMENT_TYPES = ['Permanent', 'Contract', 'Guest'];
+const STATUSES = ['Active', 'Inactive', 'Retired'];
+
+const EDITABLE_FIELDS = [
+  'user_id', 'employee_code', 'designation', 'subjects', 'qualification',
+  'experience_years', 'date_of_joining', 'employment_type', 'basic_salary',
+  'total_salary', 'status'
+];
+
+// Returns a list of { field, code, message }; empty when the data is valid.
+// With partial set, only the fields present are checked.
+function validateTeacher(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial && isBlank(data.school_id)) {
+    errors.push({ field: 'school_id', code: 'required', message: 'school_id is required' });
+  }
+
+  if (!partial || data.subjects !== undefined) {
+    const valid = Array.isArray(data.subjects) && data.subjects.length > 0 &&
+      data.subjects.every(subject => typeof subject === 'string' && subject.trim() !== '');
+    if (!valid) {
+      errors.push({ field: 'subjects', code: 'invalid_type', message: 'subjects must be a non-empty list of subject codes' });
+    }
+  }
+
+  if (!isBlank(data.employment_type) && !EMPLOYMENT_TYPES.includes(data.employment_type)) {
+    errors.push({
+      field: 'employment_type',
+      code: 'invalid_value',
+      message: `employment_type must be one of ${EMPLOYMENT_TYPES.join(', ')}`
+    });
+  }
+
+  if (!isBlank(data.status) && !STATUSES.includes(data.status)) {
+    errors.push({ field: 'status', code: 'invalid_value', message: `status must be one of ${STATUSES.join(', ')}` });
+  }
+
+  if (!isBlank(data.experience_years)) {
+    const years = Number(data.experience_years);
+    if (!Number.isInteger(years) || years < 0 || years > 60) {
+      errors.push({ field: 'experience_years', code: 'out_of_range', message: 'experience_years must be between 0 and 60' });
+    }
+  }
+
+  if (!isBlank(data.date_of_joining) && !isValidDate(data.date_of_joining)) {
+    errors.push({ field: 'date_of_joining', code: 'invalid_format', message: 'date_of_joining must be a valid YYYY-MM-DD date' });
+  }
+
+  ['basic_salary', 'total_salary'].forEach(field => {
+    if (!isBlank(data[field]) && (isNaN(Number(data[field])) || Number(data[field]) < 0)) {
+      errors.push({ field, code: 'out_of_range', message: `${field} must be a positive amount` });
+    }
+  });
+
+  return errors;
+}
+
+module.exports = { EMPLOYMENT_TYPES, STATUSES, EDITABLE_FIELDS, validateTeacher };
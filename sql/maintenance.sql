@@ -130,6 +130,8 @@ BEGIN
   ANALYZE examinations;
   ANALYZE exam_results;
   ANALYZE fee_payments;
+  ANALYZE school_attendance_daily;
+  ANALYZE school_enrollment_daily;
   
   RAISE NOTICE 'Statistics updated for all tables';
 END;
@@ -150,6 +152,9 @@ DECLARE
   cutoff_date date := CURRENT_DATE - INTERVAL '1 year';
   rows_archived bigint;
 BEGIN
+  -- Moving rows is not a data change: keep it out of the audit log
+  PERFORM set_config('app.audit_skip', 'on', true);
+
   -- Move old attendance to archive
   WITH moved_rows AS (
     DELETE FROM student_attendance 
@@ -160,10 +165,65 @@ BEGIN
   SELECT * FROM moved_rows;
   
   GET DIAGNOSTICS rows_archived = ROW_COUNT;
+  PERFORM set_config('app.audit_skip', 'off', true);
   RAISE NOTICE 'Archived % attendance records older than %', rows_archived, cutoff_date;
 END;
 $$ LANGUAGE plpgsql;
 
+-- Audit log retention: entries stay in audit_log for a year for quick
+-- searches, then move to audit_log_archive, which keeps them for seven years.
+-- Both tables are append-only (audit_log_append_only); these two functions
+-- are the only deletes it lets through.
+CREATE TABLE IF NOT EXISTS audit_log_archive (
+  LIKE audit_log INCLUDING ALL
+);
+
+DROP TRIGGER IF EXISTS trg_audit_log_archive_append_only ON audit_log_archive;
+CREATE TRIGGER trg_audit_log_archive_append_only BEFORE UPDATE OR DELETE ON audit_log_archive
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+DROP TRIGGER IF EXISTS trg_audit_log_archive_no_truncate ON audit_log_archive;
+CREATE TRIGGER trg_audit_log_archive_no_truncate BEFORE TRUNCATE ON audit_log_archive
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+CREATE OR REPLACE FUNCTION archive_old_audit_log()
+RETURNS void AS $$
+DECLARE
+  cutoff_date date := CURRENT_DATE - INTERVAL '1 year';
+  rows_archived bigint;
+BEGIN
+  PERFORM set_config('app.audit_retention', 'on', true);
+
+  WITH moved_rows AS (
+    DELETE FROM audit_log
+    WHERE occurred_at < cutoff_date
+    RETURNING *
+  )
+  INSERT INTO audit_log_archive
+  SELECT * FROM moved_rows;
+
+  GET DIAGNOSTICS rows_archived = ROW_COUNT;
+  PERFORM set_config('app.audit_retention', 'off', true);
+  RAISE NOTICE 'Archived % audit log entries older than %', rows_archived, cutoff_date;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION purge_audit_log_archive()
+RETURNS void AS $$
+DECLARE
+  cutoff_date date := CURRENT_DATE - INTERVAL '7 years';
+  rows_deleted bigint;
+BEGIN
+  PERFORM set_config('app.audit_retention', 'on', true);
+
+  DELETE FROM audit_log_archive
+  WHERE occurred_at < cutoff_date;
+
+  GET DIAGNOSTICS rows_deleted = ROW_COUNT;
+  PERFORM set_config('app.audit_retention', 'off', true);
+  RAISE NOTICE 'Purged % archived audit log entries older than %', rows_deleted, cutoff_date;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Clean up inactive users
 CREATE OR REPLACE FUNCTION cleanup_inactive_users()
 RETURNS void AS $$
@@ -181,6 +241,158 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Purge expired or revoked login sessions
+CREATE OR REPLACE FUNCTION cleanup_expired_sessions()
+RETURNS void AS $$
+DECLARE
+  rows_deleted bigint;
+BEGIN
+  DELETE FROM user_sessions
+  WHERE expires_at < now() - INTERVAL '7 days'
+     OR revoked_at < now() - INTERVAL '7 days';
+  
+  GET DIAGNOSTICS rows_deleted = ROW_COUNT;
+  RAISE NOTICE 'Removed % expired sessions', rows_deleted;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Recount the denormalised counters kept by the sync_*_counters triggers and
+-- repair any that drifted (bulk loads with triggers off, manual fixes).
+-- Returns one row per repaired counter.
+CREATE OR REPLACE FUNCTION reconcile_counters()
+RETURNS TABLE(counter TEXT, entity_id BIGINT, stored INTEGER, actual INTEGER) AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  WITH live AS (
+    SELECT s.school_id, s.total_students AS stored_count, COALESCE(c.n, 0)::int AS actual_count
+    FROM schools s
+    LEFT JOIN (
+      SELECT school_id, COUNT(*) AS n FROM students WHERE status = 'Active' GROUP BY school_id
+    ) c ON c.school_id = s.school_id
+  ), fixed AS (
+    UPDATE schools s SET total_students = live.actual_count
+    FROM live
+    WHERE s.school_id = live.school_id AND live.stored_count IS DISTINCT FROM live.actual_count
+    RETURNING s.school_id, live.stored_count, live.actual_count
+  )
+  SELECT 'schools.total_students'::text, fixed.school_id::bigint, fixed.stored_count, fixed.actual_count FROM fixed;
+
+  RETURN QUERY
+  WITH live AS (
+    SELECT s.school_id, s.total_teachers AS stored_count, COALESCE(t.n, 0)::int AS actual_count
+    FROM schools s
+    LEFT JOIN (
+      SELECT school_id, COUNT(*) AS n FROM teachers WHERE status = 'Active' GROUP BY school_id
+    ) t ON t.school_id = s.school_id
+  ), fixed AS (
+    UPDATE schools s SET total_teachers = live.actual_count
+    FROM live
+    WHERE s.school_id = live.school_id AND live.stored_count IS DISTINCT FROM live.actual_count
+    RETURNING s.school_id, live.stored_count, live.actual_count
+  )
+  SELECT 'schools.total_teachers'::text, fixed.school_id::bigint, fixed.stored_count, fixed.actual_count FROM fixed;
+
+  RETURN QUERY
+  WITH live AS (
+    SELECT c.class_id, c.current_students AS stored_count, COALESCE(st.n, 0)::int AS actual_count
+    FROM classes c
+    LEFT JOIN (
+      SELECT class_id, COUNT(*) AS n FROM students
+      WHERE status = 'Active' AND class_id IS NOT NULL
+      GROUP BY class_id
+    ) st ON st.class_id = c.class_id
+  ), fixed AS (
+    UPDATE classes c SET current_students = live.actual_count
+    FROM live
+    WHERE c.class_id = live.class_id AND live.stored_count IS DISTINCT FROM live.actual_count
+    RETURNING c.class_id, live.stored_count, live.actual_count
+  )
+  SELECT 'classes.current_students'::text, fixed.class_id, fixed.stored_count, fixed.actual_count FROM fixed;
+
+  RETURN QUERY
+  WITH live AS (
+    SELECT d.district_id, d.schools_count AS stored_count, COALESCE(s.n, 0)::int AS actual_count
+    FROM districts d
+    LEFT JOIN (
+      SELECT b.district_id, COUNT(*) AS n
+      FROM schools sc
+      JOIN blocks b ON b.block_id = sc.block_id
+      WHERE sc.status = 'Active'
+      GROUP BY b.district_id
+    ) s ON s.district_id = d.district_id
+  ), fixed AS (
+    UPDATE districts d SET schools_count = live.actual_count
+    FROM live
+    WHERE d.district_id = live.district_id AND live.stored_count IS DISTINCT FROM live.actual_count
+    RETURNING d.district_id, live.stored_count, live.actual_count
+  )
+  SELECT 'districts.schools_count'::text, fixed.district_id::bigint, fixed.stored_count, fixed.actual_count FROM fixed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rebuild the per-school daily facts behind the dashboard rollups for the
+-- last window_days days from student_attendance and students, repairing any
+-- drift from bulk loads with triggers off. Returns the number of rows changed.
+CREATE OR REPLACE FUNCTION reconcile_dashboard_facts(window_days integer DEFAULT 210)
+RETURNS bigint AS $$
+DECLARE
+  since date := CURRENT_DATE - window_days;
+  changed bigint := 0;
+  n bigint;
+BEGIN
+  WITH live AS (
+    SELECT school_id, attendance_date, COUNT(*)::int AS marked,
+           COUNT(*) FILTER (WHERE status = 'Present')::int AS present,
+           COUNT(*) FILTER (WHERE status = 'Absent')::int AS absent
+    FROM student_attendance
+    WHERE attendance_date >= since
+    GROUP BY school_id, attendance_date
+  ), gone AS (
+    DELETE FROM school_attendance_daily d
+    WHERE d.attendance_date >= since
+      AND NOT EXISTS (SELECT 1 FROM live WHERE live.school_id = d.school_id AND live.attendance_date = d.attendance_date)
+    RETURNING 1
+  ), upserted AS (
+    INSERT INTO school_attendance_daily AS d (school_id, attendance_date, marked, present, absent)
+    SELECT school_id, attendance_date, marked, present, absent FROM live
+    ON CONFLICT (school_id, attendance_date) DO UPDATE
+    SET marked = EXCLUDED.marked, present = EXCLUDED.present, absent = EXCLUDED.absent
+    WHERE (d.marked, d.present, d.absent) IS DISTINCT FROM (EXCLUDED.marked, EXCLUDED.present, EXCLUDED.absent)
+    RETURNING 1
+  )
+  SELECT (SELECT COUNT(*) FROM gone) + (SELECT COUNT(*) FROM upserted) INTO n;
+  changed := changed + n;
+
+  WITH live AS (
+    SELECT school_id, created_at::date AS enrolled_on, COUNT(*)::int AS enrollments
+    FROM students
+    WHERE created_at >= since
+    GROUP BY school_id, created_at::date
+  ), gone AS (
+    DELETE FROM school_enrollment_daily e
+    WHERE e.enrolled_on >= since
+      AND NOT EXISTS (SELECT 1 FROM live WHERE live.school_id = e.school_id AND live.enrolled_on = e.enrolled_on)
+    RETURNING 1
+  ), upserted AS (
+    INSERT INTO school_enrollment_daily AS e (school_id, enrolled_on, enrollments)
+    SELECT school_id, enrolled_on, enrollments FROM live
+    ON CONFLICT (school_id, enrolled_on) DO UPDATE
+    SET enrollments = EXCLUDED.enrollments
+    WHERE e.enrollments IS DISTINCT FROM EXCLUDED.enrollments
+    RETURNING 1
+  )
+  SELECT (SELECT COUNT(*) FROM gone) + (SELECT COUNT(*) FROM upserted) INTO n;
+  changed := changed + n;
+
+  -- The rollups only look back seven months; a year of facts is plenty
+  DELETE FROM school_attendance_daily WHERE attendance_date < CURRENT_DATE - INTERVAL '1 year';
+  DELETE FROM school_enrollment_daily WHERE enrolled_on < CURRENT_DATE - INTERVAL '1 year';
+
+  RETURN changed;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Remove duplicate entries (if any)
 CREATE OR REPLACE FUNCTION remove_duplicate_students()
 RETURNS void AS $$
@@ -233,21 +445,21 @@ CREATE OR REPLACE VIEW slow_queries AS
 SELECT 
   query,
   calls,
-  total_time,
-  mean_time,
+  total_exec_time AS total_time,
+  mean_exec_time AS mean_time,
   rows,
   100.0 * shared_blks_hit / nullif(shared_blks_hit + shared_blks_read, 0) AS hit_percent
 FROM pg_stat_statements 
-WHERE mean_time > 100 -- queries taking more than 100ms on average
-ORDER BY total_time DESC
+WHERE mean_exec_time > 100 -- queries taking more than 100ms on average
+ORDER BY total_exec_time DESC
 LIMIT 20;
 
 -- Monitor index usage
 CREATE OR REPLACE VIEW index_usage_stats AS
 SELECT 
   schemaname,
-  tablename,
-  indexname,
+  relname AS tablename,
+  indexrelname AS indexname,
   idx_tup_read,
   idx_tup_fetch,
   idx_scan,
@@ -361,6 +573,9 @@ $$ LANGUAGE plpgsql;
 -- Daily maintenance routine
 CREATE OR REPLACE FUNCTION daily_maintenance()
 RETURNS void AS $$
+DECLARE
+  repaired bigint;
+  facts_fixed bigint;
 BEGIN
   RAISE NOTICE 'Starting daily maintenance at %', now();
   
@@ -370,6 +585,15 @@ BEGIN
   -- Create new partitions if needed
   PERFORM create_attendance_partitions();
   
+  -- Repair drifted school/class/district counters
+  SELECT COUNT(*) INTO repaired FROM reconcile_counters();
+  RAISE NOTICE 'Repaired % drifted counters', repaired;
+  
+  -- Repair the dashboard facts and rebuild the rollups from the fixed counters
+  SELECT reconcile_dashboard_facts() INTO facts_fixed;
+  RAISE NOTICE 'Repaired % dashboard fact rows', facts_fixed;
+  PERFORM refresh_dashboard_stats();
+  
   -- Clean up inactive sessions (if pg_stat_statements is available)
   -- Note: This would typically be handled by connection pooling
   
@@ -388,10 +612,14 @@ BEGIN
   
   -- Archive old data
   PERFORM archive_old_attendance();
+  PERFORM archive_old_audit_log();
   
   -- Clean up inactive users
   PERFORM cleanup_inactive_users();
   
+  -- Clean up expired login sessions
+  PERFORM cleanup_expired_sessions();
+  
   -- Remove duplicates
   PERFORM remove_duplicate_students();
   
@@ -408,6 +636,9 @@ BEGIN
   -- Drop old partitions
   PERFORM cleanup_old_attendance_partitions();
   
+  -- Drop audit entries past retention
+  PERFORM purge_audit_log_archive();
+  
   -- Vacuum analyze all tables
   VACUUM ANALYZE;
   
@@ -504,11 +735,19 @@ SELECT generate_backup_script();
 HEALTH CHECK (Every 4 hours):
 SELECT * FROM system_health_check();
 
+PERFORMANCE BASELINE (Hourly; trends on the Analytics page, sql/monitoring.sql):
+SELECT record_performance_baseline();
+
+DASHBOARD ROLLUPS (Every 5 minutes; the API also refreshes shortly after writes):
+SELECT refresh_dashboard_stats();
+
 Example crontab entries:
 0 2 * * * psql -d odisha_school -c "SELECT daily_maintenance();"
 0 3 * * 0 psql -d odisha_school -c "SELECT weekly_maintenance();"
 0 4 1 * * psql -d odisha_school -c "SELECT monthly_maintenance();"
 0 */4 * * * psql -d odisha_school -c "SELECT * FROM system_health_check();"
+0 * * * * psql -d odisha_school -c "SELECT record_performance_baseline();"
+0-59/5 * * * * psql -d odisha_school -c "SELECT refresh_dashboard_stats();"
 */
 
 -- =========================
@@ -530,6 +769,12 @@ Example crontab entries:
 -- Emergency partition creation (if needed)
 -- SELECT create_attendance_partitions();
 
+-- Find and repair counter drift (see v_school_data_quality)
+-- SELECT * FROM reconcile_counters();
+
+-- Rebuild dashboard facts and rollups after a bulk load
+-- SELECT reconcile_dashboard_facts(); SELECT refresh_dashboard_stats();
+
 RAISE NOTICE '=== MAINTENANCE SCRIPTS LOADED ===';
 RAISE NOTICE 'Available functions:';
 RAISE NOTICE '- daily_maintenance()';
@@ -538,4 +783,7 @@ RAISE NOTICE '- monthly_maintenance()';
 RAISE NOTICE '- system_health_check()';
 RAISE NOTICE '- get_system_stats()';
 RAISE NOTICE '- create_attendance_partitions()';
+RAISE NOTICE '- reconcile_counters()';
+RAISE NOTICE '- reconcile_dashboard_facts()';
+RAISE NOTICE '- refresh_dashboard_stats()';
 RAISE NOTICE '=================================';
@@ -1,6 +1,19 @@
 -- Database Performance and Health Monitoring
 -- File: sql/monitoring.sql
 
+-- Set up monitoring extension if available. Runs first: v_query_stats,
+-- v_system_dashboard and record_performance_baseline() read pg_stat_statements.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'pg_stat_statements') THEN
+    CREATE EXTENSION IF NOT EXISTS pg_stat_statements;
+    RAISE NOTICE 'pg_stat_statements extension enabled for query monitoring';
+  END IF;
+EXCEPTION
+  WHEN OTHERS THEN
+    RAISE NOTICE 'Could not enable pg_stat_statements: %', SQLERRM;
+END$$;
+
 -- =========================
 -- Database Size and Statistics
 -- =========================
@@ -61,14 +74,14 @@ CREATE OR REPLACE VIEW v_query_stats AS
 SELECT 
   query,
   calls,
-  total_time,
-  mean_time,
-  stddev_time,
+  total_exec_time AS total_time,
+  mean_exec_time AS mean_time,
+  stddev_exec_time AS stddev_time,
   rows,
   100.0 * shared_blks_hit / nullif(shared_blks_hit + shared_blks_read, 0) AS hit_percent
 FROM pg_stat_statements 
 WHERE calls > 10
-ORDER BY total_time DESC
+ORDER BY total_exec_time DESC
 LIMIT 20;
 
 -- =========================
@@ -79,8 +92,8 @@ LIMIT 20;
 CREATE OR REPLACE VIEW v_index_usage AS
 SELECT 
   schemaname,
-  tablename,
-  indexname,
+  relname AS tablename,
+  indexrelname AS indexname,
   idx_tup_read,
   idx_tup_fetch,
   CASE 
@@ -88,7 +101,7 @@ SELECT
     WHEN idx_tup_read < 1000 THEN 'LOW_USAGE'
     ELSE 'ACTIVE'
   END as usage_status,
-  pg_size_pretty(pg_relation_size(indexname::regclass)) as index_size
+  pg_size_pretty(pg_relation_size(indexrelid)) as index_size
 FROM pg_stat_user_indexes
 WHERE schemaname = 'public'
 ORDER BY idx_tup_read DESC;
@@ -97,7 +110,7 @@ ORDER BY idx_tup_read DESC;
 CREATE OR REPLACE VIEW v_missing_indexes AS
 SELECT 
   schemaname,
-  tablename,
+  relname AS tablename,
   seq_scan,
   seq_tup_read,
   seq_tup_read / seq_scan as avg_seq_read,
@@ -119,14 +132,14 @@ ORDER BY seq_tup_read DESC;
 CREATE OR REPLACE VIEW v_students_partition_health AS
 SELECT 
   schemaname,
-  tablename,
+  relname AS tablename,
   n_tup_ins as inserts,
   n_tup_upd as updates,
   n_tup_del as deletes,
   n_live_tup as live_rows,
   n_dead_tup as dead_rows,
   CASE 
-    WHEN n_live_tup > 0 THEN ROUND((n_dead_tup::float / n_live_tup::float) * 100, 2)
+    WHEN n_live_tup > 0 THEN ROUND((n_dead_tup::numeric / n_live_tup) * 100, 2)
     ELSE 0 
   END as dead_row_percent,
   last_vacuum,
@@ -134,21 +147,21 @@ SELECT
   last_analyze,
   last_autoanalyze
 FROM pg_stat_user_tables
-WHERE tablename LIKE 'students_p%'
-ORDER BY tablename;
+WHERE relname LIKE 'students_p%'
+ORDER BY relname;
 
 -- Attendance partition health (by date ranges)
 CREATE OR REPLACE VIEW v_attendance_partition_health AS
 SELECT 
   schemaname,
-  tablename,
+  relname AS tablename,
   n_live_tup as live_rows,
-  pg_size_pretty(pg_total_relation_size(schemaname||'.'||tablename)) as size,
+  pg_size_pretty(pg_total_relation_size(relid)) as size,
   last_vacuum,
   last_autovacuum
 FROM pg_stat_user_tables
-WHERE tablename LIKE 'student_attendance_%'
-ORDER BY tablename;
+WHERE relname LIKE 'student_attendance_%'
+ORDER BY relname;
 
 -- =========================
 -- Data Quality Monitoring
@@ -206,9 +219,9 @@ FROM (
 -- School data quality
 CREATE OR REPLACE VIEW v_school_data_quality AS
 SELECT 
-  'Schools without Contact',
-  COUNT(*)::text,
-  'Schools missing phone or email'
+  'Schools without Contact' as metric,
+  COUNT(*)::text as value,
+  'Schools missing phone or email' as description
 FROM schools 
 WHERE (phone IS NULL OR phone = '') 
   AND (email IS NULL OR email = '')
@@ -229,7 +242,63 @@ SELECT
   COUNT(*)::text,
   'Schools with 0 teachers assigned'
 FROM schools 
-WHERE total_teachers = 0;
+WHERE total_teachers = 0
+
+UNION ALL
+
+-- Counter drift: stored counters that disagree with a live count.
+-- Fixed by reconcile_counters() (run by daily_maintenance).
+SELECT 
+  'Student Count Drift',
+  COUNT(*)::text,
+  'Schools whose total_students differs from active students'
+FROM schools s
+LEFT JOIN (
+  SELECT school_id, COUNT(*) AS n FROM students WHERE status = 'Active' GROUP BY school_id
+) c ON c.school_id = s.school_id
+WHERE s.total_students IS DISTINCT FROM COALESCE(c.n, 0)
+
+UNION ALL
+
+SELECT 
+  'Teacher Count Drift',
+  COUNT(*)::text,
+  'Schools whose total_teachers differs from active teachers'
+FROM schools s
+LEFT JOIN (
+  SELECT school_id, COUNT(*) AS n FROM teachers WHERE status = 'Active' GROUP BY school_id
+) t ON t.school_id = s.school_id
+WHERE s.total_teachers IS DISTINCT FROM COALESCE(t.n, 0)
+
+UNION ALL
+
+SELECT 
+  'Class Size Drift',
+  COUNT(*)::text,
+  'Sections whose current_students differs from active students'
+FROM classes c
+LEFT JOIN (
+  SELECT class_id, COUNT(*) AS n FROM students
+  WHERE status = 'Active' AND class_id IS NOT NULL
+  GROUP BY class_id
+) st ON st.class_id = c.class_id
+WHERE c.current_students IS DISTINCT FROM COALESCE(st.n, 0)
+
+UNION ALL
+
+SELECT 
+  'District School Count Drift',
+  COUNT(*)::text,
+  'Districts whose schools_count differs from active schools'
+FROM districts d
+LEFT JOIN (
+  SELECT b.district_id, COUNT(*) AS n
+  FROM schools sc
+  JOIN blocks b ON b.block_id = sc.block_id
+  WHERE sc.status = 'Active'
+  GROUP BY b.district_id
+) s ON s.district_id = d.district_id
+WHERE d.schools_count IS DISTINCT FROM COALESCE(s.n, 0);
 
 -- =========================
 -- System Health Alerts
@@ -243,15 +312,15 @@ SELECT
   'Database size exceeding 10GB' as message,
   now() as detected_at
 FROM (SELECT pg_database_size('odisha_school') as db_size) s
-WHERE db_size > 10 * 1024 * 1024 * 1024  -- 10GB
+WHERE db_size > 10::bigint * 1024 * 1024 * 1024  -- 10GB
 
 UNION ALL
 
 SELECT 
   'HIGH' as priority,
   'Dead Rows' as alert_type,
-  'Table ' || tablename || ' has ' || n_dead_tup || ' dead rows (' || 
-  ROUND((n_dead_tup::float / NULLIF(n_live_tup::float, 0)) * 100, 2) || '%)' as message,
+  'Table ' || relname || ' has ' || n_dead_tup || ' dead rows (' || 
+  ROUND((n_dead_tup::numeric / NULLIF(n_live_tup, 0)) * 100, 2) || '%)' as message,
   now() as detected_at
 FROM pg_stat_user_tables
 WHERE n_dead_tup > 5000 
@@ -273,11 +342,11 @@ UNION ALL
 SELECT 
   'MEDIUM' as priority,
   'Unused Indexes' as alert_type,
-  'Index ' || indexname || ' on table ' || tablename || ' has not been used' as message,
+  'Index ' || indexrelname || ' on table ' || relname || ' has not been used' as message,
   now() as detected_at
 FROM pg_stat_user_indexes
 WHERE idx_tup_read = 0 
-  AND pg_relation_size(indexname::regclass) > 1024 * 1024;  -- > 1MB
+  AND pg_relation_size(indexrelid) > 1024 * 1024;  -- > 1MB
 
 -- =========================
 -- Performance Baselines
@@ -315,7 +384,7 @@ BEGIN
   INSERT INTO performance_baselines (metric_name, metric_value, additional_info)
   SELECT 
     'avg_query_time_ms',
-    AVG(mean_time),
+    COALESCE(AVG(mean_exec_time), 0),
     jsonb_build_object('query_count', COUNT(*))
   FROM pg_stat_statements
   WHERE calls > 10;
@@ -337,10 +406,10 @@ CREATE OR REPLACE VIEW v_maintenance_recommendations AS
 SELECT 
   'VACUUM' as action,
   'HIGH' as priority,
-  tablename,
+  relname AS tablename,
   'Table has ' || n_dead_tup || ' dead tuples (' || 
-  ROUND((n_dead_tup::float / NULLIF(n_live_tup::float, 0)) * 100, 2) || '%)' as reason,
-  'VACUUM ANALYZE ' || tablename || ';' as suggested_command
+  ROUND((n_dead_tup::numeric / NULLIF(n_live_tup, 0)) * 100, 2) || '%)' as reason,
+  'VACUUM ANALYZE ' || relname || ';' as suggested_command
 FROM pg_stat_user_tables
 WHERE n_dead_tup > 1000 
   AND (n_dead_tup::float / NULLIF(n_live_tup::float, 0)) > 0.05
@@ -350,9 +419,9 @@ UNION ALL
 SELECT 
   'REINDEX' as action,
   'MEDIUM' as priority,
-  indexname as tablename,
+  indexrelname AS tablename,
   'Index bloat detected' as reason,
-  'REINDEX INDEX ' || indexname || ';' as suggested_command
+  'REINDEX INDEX ' || indexrelname || ';' as suggested_command
 FROM pg_stat_user_indexes
 WHERE idx_tup_read > 0 
   AND idx_tup_fetch / NULLIF(idx_tup_read, 0) < 0.1
@@ -362,9 +431,9 @@ UNION ALL
 SELECT 
   'ANALYZE' as action,
   'LOW' as priority,
-  tablename,
+  relname AS tablename,
   'Statistics outdated' as reason,
-  'ANALYZE ' || tablename || ';' as suggested_command
+  'ANALYZE ' || relname || ';' as suggested_command
 FROM pg_stat_user_tables
 WHERE last_analyze < now() - INTERVAL '1 week'
    OR last_autoanalyze < now() - INTERVAL '1 week';
@@ -397,7 +466,7 @@ UNION ALL
 SELECT 
   'Performance' as category,
   jsonb_build_object(
-    'avg_query_time_ms', COALESCE((SELECT ROUND(AVG(mean_time), 2) FROM pg_stat_statements), 0),
+    'avg_query_time_ms', COALESCE((SELECT ROUND(AVG(mean_exec_time)::numeric, 2) FROM pg_stat_statements), 0),
     'slow_queries_count', (SELECT COUNT(*) FROM v_slow_queries),
     'partition_count', (SELECT COUNT(*) FROM pg_tables WHERE tablename LIKE 'students_p%'),
     'unused_indexes', (SELECT COUNT(*) FROM v_index_usage WHERE usage_status = 'UNUSED')
@@ -478,18 +547,6 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Set up monitoring extension if available
-DO $$
-BEGIN
-  IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'pg_stat_statements') THEN
-    CREATE EXTENSION IF NOT EXISTS pg_stat_statements;
-    RAISE NOTICE 'pg_stat_statements extension enabled for query monitoring';
-  END IF;
-EXCEPTION
-  WHEN OTHERS THEN
-    RAISE NOTICE 'Could not enable pg_stat_statements: %', SQLERRM;
-END$$;
-
 -- Grant permissions for monitoring user
 -- CREATE USER monitoring_user WITH PASSWORD 'monitor_password';
 -- GRANT CONNECT ON DATABASE odisha_school TO monitoring_user;
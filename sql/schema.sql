@@ -47,6 +47,9 @@ CREATE TABLE schools (
 
 CREATE INDEX idx_schools_block ON schools(block_id);
 CREATE INDEX idx_schools_status ON schools(status) WHERE status='Active';
+-- Keyset order of GET /api/schools (English and Odia names)
+CREATE INDEX idx_schools_list_order ON schools(name, school_id);
+CREATE INDEX idx_schools_list_order_od ON schools((COALESCE(NULLIF(name_od, ''), name)), school_id);
 
 -- =========================
 -- Academic Structure
@@ -108,6 +111,21 @@ CREATE TABLE users (
 CREATE INDEX idx_users_role_school ON users(role, school_id) WHERE is_active;
 CREATE INDEX idx_users_username ON users(username);
 
+-- Login sessions (refresh tokens are stored hashed)
+CREATE TABLE user_sessions (
+  session_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id BIGINT NOT NULL REFERENCES users(user_id),
+  refresh_token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  ip_address INET,
+  user_agent TEXT,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
 -- =========================
 -- Partitioned Students Table (HASH by school_id)
 -- =========================
@@ -158,6 +176,84 @@ CREATE INDEX ON students (admission_no) INCLUDE (first_name, last_name, school_i
 CREATE INDEX ON students (school_id, class_number, section) INCLUDE (status, last_name, first_name);
 CREATE INDEX ON students (district_id, status) WHERE status='Active';
 CREATE INDEX ON students USING gin ((first_name || ' ' || last_name) gin_trgm_ops);
+-- Keyset order of GET /api/students (English and Odia names)
+CREATE INDEX ON students (last_name, first_name, student_id);
+CREATE INDEX ON students ((COALESCE(NULLIF(last_name_od, ''), last_name)), (COALESCE(NULLIF(first_name_od, ''), first_name)), student_id);
+
+-- Explicit status changes (Transferred, Dropped, Passed, re-admission)
+CREATE TABLE student_status_history (
+  history_id BIGSERIAL PRIMARY KEY,
+  student_id BIGINT NOT NULL,
+  school_id INTEGER NOT NULL REFERENCES schools(school_id),
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL CHECK (to_status IN ('Active','Transferred','Dropped','Passed')),
+  reason TEXT NOT NULL,
+  effective_date DATE NOT NULL,
+  changed_by BIGINT REFERENCES users(user_id),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX idx_student_status_history_student ON student_status_history(student_id, effective_date);
+
+-- Inter-school transfers: requested by the sending school, decided by the receiving school
+CREATE TABLE student_transfers (
+  transfer_id BIGSERIAL PRIMARY KEY,
+  student_id BIGINT NOT NULL,
+  from_school_id INTEGER NOT NULL REFERENCES schools(school_id),
+  to_school_id INTEGER NOT NULL REFERENCES schools(school_id),
+  status TEXT NOT NULL DEFAULT 'Pending' CHECK (status IN ('Pending','Accepted','Rejected','Cancelled')),
+  reason TEXT NOT NULL,
+  requested_by BIGINT REFERENCES users(user_id),
+  requested_at TIMESTAMPTZ DEFAULT now(),
+  decided_by BIGINT REFERENCES users(user_id),
+  decided_at TIMESTAMPTZ,
+  decision_note TEXT,
+  CHECK (from_school_id <> to_school_id)
+);
+
+CREATE INDEX idx_student_transfers_from ON student_transfers(from_school_id, status);
+CREATE INDEX idx_student_transfers_to ON student_transfers(to_school_id, status);
+CREATE UNIQUE INDEX idx_student_transfers_pending ON student_transfers(student_id) WHERE status = 'Pending';
+
+CREATE TABLE student_transfer_events (
+  event_id BIGSERIAL PRIMARY KEY,
+  transfer_id BIGINT NOT NULL REFERENCES student_transfers(transfer_id),
+  action TEXT NOT NULL,
+  actor_id BIGINT REFERENCES users(user_id),
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX idx_student_transfer_events_transfer ON student_transfer_events(transfer_id);
+
+-- Year-end rollover of a school into the next academic year. The per-student
+-- snapshot lets the school undo it within the grace period.
+CREATE TABLE school_rollovers (
+  rollover_id BIGSERIAL PRIMARY KEY,
+  school_id INTEGER NOT NULL REFERENCES schools(school_id),
+  from_ay_id SMALLINT NOT NULL REFERENCES academic_years(ay_id),
+  to_ay_id SMALLINT NOT NULL REFERENCES academic_years(ay_id),
+  created_class_ids BIGINT[] NOT NULL DEFAULT '{}',
+  promoted INTEGER NOT NULL DEFAULT 0,
+  detained INTEGER NOT NULL DEFAULT 0,
+  passed INTEGER NOT NULL DEFAULT 0,
+  rolled_by BIGINT REFERENCES users(user_id),
+  rolled_at TIMESTAMPTZ DEFAULT now(),
+  rolled_back_by BIGINT REFERENCES users(user_id),
+  rolled_back_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX idx_school_rollovers_active ON school_rollovers(school_id, from_ay_id) WHERE rolled_back_at IS NULL;
+
+CREATE TABLE school_rollover_students (
+  rollover_id BIGINT NOT NULL REFERENCES school_rollovers(rollover_id),
+  student_id BIGINT NOT NULL,
+  outcome TEXT NOT NULL CHECK (outcome IN ('Promoted','Detained','Passed')),
+  from_class_id BIGINT,
+  from_class_number SMALLINT,
+  from_section TEXT,
+  PRIMARY KEY (rollover_id, student_id)
+);
 
 -- =========================
 -- Teachers
@@ -175,7 +271,7 @@ CREATE TABLE teachers (
   employment_type TEXT CHECK (employment_type IN ('Permanent','Contract','Guest')),
   basic_salary NUMERIC(10,2),
   total_salary NUMERIC(10,2),
-  status TEXT DEFAULT 'Active',
+  status TEXT DEFAULT 'Active' CHECK (status IN ('Active','Inactive','Retired')),
   created_at TIMESTAMPTZ DEFAULT now(),
   updated_at TIMESTAMPTZ DEFAULT now()
 );
@@ -183,6 +279,21 @@ CREATE TABLE teachers (
 CREATE INDEX idx_teachers_school ON teachers(school_id);
 CREATE INDEX idx_teachers_subjects_gin ON teachers USING GIN(subjects);
 
+-- Teacher transfers/postings between schools
+CREATE TABLE teacher_postings (
+  posting_id BIGSERIAL PRIMARY KEY,
+  teacher_id BIGINT NOT NULL REFERENCES teachers(teacher_id),
+  from_school_id INTEGER REFERENCES schools(school_id),
+  to_school_id INTEGER NOT NULL REFERENCES schools(school_id),
+  effective_date DATE NOT NULL,
+  order_no TEXT,
+  reason TEXT,
+  posted_by BIGINT REFERENCES users(user_id),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX idx_teacher_postings_teacher ON teacher_postings(teacher_id, effective_date);
+
 -- =========================
 -- Attendance (RANGE partitioned by month)
 -- =========================
@@ -221,6 +332,8 @@ END$$;
 
 CREATE INDEX ON student_attendance (student_id, attendance_date);
 CREATE INDEX ON student_attendance (school_id, attendance_date);
+-- One mark per student, day and period; lets a class resubmission correct existing rows
+CREATE UNIQUE INDEX ON student_attendance (student_id, attendance_date, period);
 
 -- =========================
 -- Examinations and Results
@@ -254,6 +367,8 @@ CREATE TABLE exam_results (
 
 CREATE INDEX ON exam_results (student_id, exam_id);
 CREATE INDEX ON exam_results (school_id, exam_id);
+-- One mark per student and subject in an exam; re-entry overwrites
+CREATE UNIQUE INDEX ON exam_results (exam_id, student_id, subject_code);
 
 -- =========================
 -- Fee Management
@@ -268,6 +383,9 @@ CREATE TABLE fee_structure (
   due_date DATE
 );
 
+-- One amount per fee head for a class in a given year
+CREATE UNIQUE INDEX ON fee_structure (school_id, ay_id, class_number, fee_type);
+
 CREATE TABLE fee_payments (
   payment_id BIGSERIAL PRIMARY KEY,
   student_id BIGINT NOT NULL,
@@ -279,6 +397,11 @@ CREATE TABLE fee_payments (
   created_at TIMESTAMPTZ DEFAULT now()
 );
 
+CREATE INDEX ON fee_payments (student_id, payment_date);
+CREATE INDEX ON fee_payments (school_id, payment_date);
+-- Running number for receipt_no (<school_code>/<year>/<seq>)
+CREATE SEQUENCE fee_receipt_seq;
+
 -- =========================
 -- Triggers
 -- =========================
@@ -296,3 +419,361 @@ CREATE TRIGGER trg_users_updated BEFORE UPDATE ON users
   FOR EACH ROW EXECUTE FUNCTION set_updated_at();
 CREATE TRIGGER trg_teachers_updated BEFORE UPDATE ON teachers 
   FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Denormalised counters: schools.total_students, classes.current_students,
+-- schools.total_teachers and districts.schools_count count Active rows only.
+-- Each trigger takes the old row's contribution away and adds the new one's,
+-- so it also holds when a cross-partition UPDATE arrives as DELETE + INSERT.
+-- reconcile_counters() in maintenance.sql repairs any drift.
+CREATE OR REPLACE FUNCTION sync_student_counters() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.status IS NOT DISTINCT FROM NEW.status
+     AND OLD.school_id IS NOT DISTINCT FROM NEW.school_id
+     AND OLD.class_id IS NOT DISTINCT FROM NEW.class_id THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.status = 'Active' THEN
+    UPDATE schools SET total_students = GREATEST(total_students - 1, 0) WHERE school_id = OLD.school_id;
+    IF OLD.class_id IS NOT NULL THEN
+      UPDATE classes SET current_students = GREATEST(current_students - 1, 0) WHERE class_id = OLD.class_id;
+    END IF;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'INSERT') AND NEW.status = 'Active' THEN
+    UPDATE schools SET total_students = total_students + 1 WHERE school_id = NEW.school_id;
+    IF NEW.class_id IS NOT NULL THEN
+      UPDATE classes SET current_students = current_students + 1 WHERE class_id = NEW.class_id;
+    END IF;
+  END IF;
+
+  RETURN NULL;
+END;$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_teacher_counters() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.status IS NOT DISTINCT FROM NEW.status
+     AND OLD.school_id IS NOT DISTINCT FROM NEW.school_id THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.status = 'Active' THEN
+    UPDATE schools SET total_teachers = GREATEST(total_teachers - 1, 0) WHERE school_id = OLD.school_id;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'INSERT') AND NEW.status = 'Active' THEN
+    UPDATE schools SET total_teachers = total_teachers + 1 WHERE school_id = NEW.school_id;
+  END IF;
+
+  RETURN NULL;
+END;$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_district_school_counts() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.status IS NOT DISTINCT FROM NEW.status
+     AND OLD.block_id IS NOT DISTINCT FROM NEW.block_id THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.status = 'Active' THEN
+    UPDATE districts SET schools_count = GREATEST(schools_count - 1, 0)
+    WHERE district_id = (SELECT district_id FROM blocks WHERE block_id = OLD.block_id);
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'INSERT') AND NEW.status = 'Active' THEN
+    UPDATE districts SET schools_count = schools_count + 1
+    WHERE district_id = (SELECT district_id FROM blocks WHERE block_id = NEW.block_id);
+  END IF;
+
+  RETURN NULL;
+END;$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_students_counters AFTER INSERT OR DELETE OR UPDATE OF status, school_id, class_id ON students
+  FOR EACH ROW EXECUTE FUNCTION sync_student_counters();
+CREATE TRIGGER trg_teachers_counters AFTER INSERT OR DELETE OR UPDATE OF status, school_id ON teachers
+  FOR EACH ROW EXECUTE FUNCTION sync_teacher_counters();
+CREATE TRIGGER trg_schools_district_count AFTER INSERT OR DELETE OR UPDATE OF status, block_id ON schools
+  FOR EACH ROW EXECUTE FUNCTION sync_district_school_counts();
+
+-- =========================
+-- Dashboard Rollups
+-- =========================
+-- /api/dashboard reads these instead of counting students and attendance on
+-- every request. Per-school daily facts are kept current by triggers; the
+-- school/block/district rollups built from them and from the schools counters
+-- are materialized views, refreshed by refresh_dashboard_stats() on a
+-- schedule (maintenance.sql) and shortly after writes by the API.
+CREATE TABLE school_attendance_daily (
+  school_id INTEGER NOT NULL,
+  attendance_date DATE NOT NULL,
+  marked INTEGER NOT NULL DEFAULT 0,
+  present INTEGER NOT NULL DEFAULT 0,
+  absent INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (school_id, attendance_date)
+);
+
+-- New students per school by the day they were created
+CREATE TABLE school_enrollment_daily (
+  school_id INTEGER NOT NULL,
+  enrolled_on DATE NOT NULL,
+  enrollments INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (school_id, enrolled_on)
+);
+
+-- Same take-away-old, add-new approach as the counter triggers above
+CREATE OR REPLACE FUNCTION sync_attendance_daily() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.status IS NOT DISTINCT FROM NEW.status
+     AND OLD.school_id IS NOT DISTINCT FROM NEW.school_id
+     AND OLD.attendance_date IS NOT DISTINCT FROM NEW.attendance_date THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE school_attendance_daily
+    SET marked = GREATEST(marked - 1, 0),
+        present = GREATEST(present - (OLD.status = 'Present')::int, 0),
+        absent = GREATEST(absent - (OLD.status = 'Absent')::int, 0)
+    WHERE school_id = OLD.school_id AND attendance_date = OLD.attendance_date;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'INSERT') THEN
+    INSERT INTO school_attendance_daily AS d (school_id, attendance_date, marked, present, absent)
+    VALUES (NEW.school_id, NEW.attendance_date, 1, (NEW.status = 'Present')::int, (NEW.status = 'Absent')::int)
+    ON CONFLICT (school_id, attendance_date) DO UPDATE
+    SET marked = d.marked + 1,
+        present = d.present + EXCLUDED.present,
+        absent = d.absent + EXCLUDED.absent;
+  END IF;
+
+  RETURN NULL;
+END;$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_enrollment_daily() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.school_id IS NOT DISTINCT FROM NEW.school_id
+     AND OLD.created_at IS NOT DISTINCT FROM NEW.created_at THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE school_enrollment_daily SET enrollments = GREATEST(enrollments - 1, 0)
+    WHERE school_id = OLD.school_id AND enrolled_on = OLD.created_at::date;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'INSERT') THEN
+    INSERT INTO school_enrollment_daily AS e (school_id, enrolled_on, enrollments)
+    VALUES (NEW.school_id, NEW.created_at::date, 1)
+    ON CONFLICT (school_id, enrolled_on) DO UPDATE SET enrollments = e.enrollments + 1;
+  END IF;
+
+  RETURN NULL;
+END;$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_attendance_daily AFTER INSERT OR DELETE OR UPDATE OF status, school_id, attendance_date ON student_attendance
+  FOR EACH ROW EXECUTE FUNCTION sync_attendance_daily();
+CREATE TRIGGER trg_students_enrollment_daily AFTER INSERT OR DELETE OR UPDATE OF school_id, created_at ON students
+  FOR EACH ROW EXECUTE FUNCTION sync_enrollment_daily();
+
+-- One row per school, block and district (level, entity_id). district_id is
+-- the district the entity sits in, itself for districts.
+CREATE MATERIALIZED VIEW stats_rollups AS
+WITH school_rows AS (
+  SELECT s.school_id, s.block_id, b.district_id,
+         (s.status = 'Active')::int AS schools,
+         s.total_students AS students,
+         s.total_teachers AS teachers,
+         (s.status = 'Active' AND s.total_students > 500)::int AS large_schools
+  FROM schools s
+  JOIN blocks b ON b.block_id = s.block_id
+)
+SELECT 'school'::text AS level, school_id AS entity_id, district_id,
+       schools, students, teachers, large_schools, now() AS refreshed_at
+FROM school_rows
+UNION ALL
+SELECT 'block', b.block_id, b.district_id,
+       COALESCE(SUM(sr.schools), 0)::int, COALESCE(SUM(sr.students), 0)::int,
+       COALESCE(SUM(sr.teachers), 0)::int, COALESCE(SUM(sr.large_schools), 0)::int, now()
+FROM blocks b
+LEFT JOIN school_rows sr ON sr.block_id = b.block_id
+GROUP BY b.block_id
+UNION ALL
+SELECT 'district', d.district_id, d.district_id,
+       COALESCE(SUM(sr.schools), 0)::int, COALESCE(SUM(sr.students), 0)::int,
+       COALESCE(SUM(sr.teachers), 0)::int, COALESCE(SUM(sr.large_schools), 0)::int, now()
+FROM districts d
+LEFT JOIN school_rows sr ON sr.district_id = d.district_id
+GROUP BY d.district_id;
+
+CREATE UNIQUE INDEX idx_stats_rollups ON stats_rollups (level, entity_id);
+
+-- Attendance and enrollments per entity and day over the dashboard's window
+-- (the enrollment trend looks back six months)
+CREATE MATERIALIZED VIEW daily_stats_rollups AS
+WITH school_days AS (
+  SELECT school_id, attendance_date AS stat_date, marked, present, absent, 0 AS enrollments
+  FROM school_attendance_daily
+  WHERE attendance_date >= CURRENT_DATE - INTERVAL '7 months'
+  UNION ALL
+  SELECT school_id, enrolled_on, 0, 0, 0, enrollments
+  FROM school_enrollment_daily
+  WHERE enrolled_on >= CURRENT_DATE - INTERVAL '7 months'
+), located AS (
+  SELECT sd.*, s.block_id, b.district_id
+  FROM school_days sd
+  JOIN schools s ON s.school_id = sd.school_id
+  JOIN blocks b ON b.block_id = s.block_id
+)
+SELECT 'school'::text AS level, school_id AS entity_id, stat_date,
+       SUM(marked)::int AS marked, SUM(present)::int AS present, SUM(absent)::int AS absent,
+       SUM(enrollments)::int AS enrollments, now() AS refreshed_at
+FROM located
+GROUP BY school_id, stat_date
+UNION ALL
+SELECT 'block', block_id, stat_date,
+       SUM(marked)::int, SUM(present)::int, SUM(absent)::int, SUM(enrollments)::int, now()
+FROM located
+GROUP BY block_id, stat_date
+UNION ALL
+SELECT 'district', district_id, stat_date,
+       SUM(marked)::int, SUM(present)::int, SUM(absent)::int, SUM(enrollments)::int, now()
+FROM located
+GROUP BY district_id, stat_date;
+
+CREATE UNIQUE INDEX idx_daily_stats_rollups ON daily_stats_rollups (level, entity_id, stat_date);
+
+-- CONCURRENTLY keeps the dashboard readable while the views rebuild
+CREATE OR REPLACE FUNCTION refresh_dashboard_stats() RETURNS void AS $$
+BEGIN
+  REFRESH MATERIALIZED VIEW CONCURRENTLY stats_rollups;
+  REFRESH MATERIALIZED VIEW CONCURRENTLY daily_stats_rollups;
+END;$$ LANGUAGE plpgsql;
+
+-- =========================
+-- Audit Log (append-only)
+-- =========================
+-- One row per changed record in the audited tables, written by
+-- audit_row_change(). The API tags each write transaction with the acting
+-- user via set_config('app.user_id' / 'app.user_role' / 'app.client_ip');
+-- changes made outside the API still carry the database role in db_user.
+-- school/block/district are copied from the record so searches can be
+-- limited to a jurisdiction. Retention lives in maintenance.sql.
+CREATE TABLE audit_log (
+  audit_id BIGSERIAL PRIMARY KEY,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  actor_id BIGINT,
+  actor_role TEXT,
+  actor_ip INET,
+  db_user TEXT NOT NULL DEFAULT current_user,
+  table_name TEXT NOT NULL,
+  record_id TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('INSERT','UPDATE','DELETE')),
+  old_values JSONB,
+  new_values JSONB,
+  changed_fields TEXT[],
+  school_id INTEGER,
+  block_id INTEGER,
+  district_id SMALLINT
+);
+
+CREATE INDEX idx_audit_log_record ON audit_log(table_name, record_id, occurred_at);
+CREATE INDEX idx_audit_log_actor ON audit_log(actor_id, occurred_at);
+CREATE INDEX idx_audit_log_school ON audit_log(school_id, occurred_at);
+CREATE INDEX idx_audit_log_occurred ON audit_log(occurred_at);
+
+-- TG_ARGV[0] names the primary key column; any further arguments are columns
+-- whose changes alone are not worth recording (timestamps, trigger-kept counters).
+-- UPDATEs store only the columns that changed. On partitioned tables the
+-- trigger fires on the leaf partition, so the entry is filed under the root
+-- table (students, not students_p3).
+CREATE OR REPLACE FUNCTION audit_row_change() RETURNS TRIGGER AS $$
+DECLARE
+  old_row JSONB;
+  new_row JSONB;
+  full_row JSONB;
+  ignored TEXT[] := TG_ARGV[1:TG_NARGS - 1];
+  changed TEXT[];
+  row_school INTEGER;
+  row_block INTEGER;
+  row_district SMALLINT;
+  logical_table TEXT;
+BEGIN
+  -- Archiving moves rows rather than changing them
+  IF current_setting('app.audit_skip', true) = 'on' THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP <> 'INSERT' THEN old_row := to_jsonb(OLD); END IF;
+  IF TG_OP <> 'DELETE' THEN new_row := to_jsonb(NEW); END IF;
+  full_row := COALESCE(new_row, old_row);
+
+  IF TG_OP = 'UPDATE' THEN
+    SELECT array_agg(n.key ORDER BY n.key) INTO changed
+    FROM jsonb_each(new_row) n
+    WHERE n.value IS DISTINCT FROM old_row -> n.key
+      AND NOT n.key = ANY(ignored);
+
+    IF changed IS NULL THEN
+      RETURN NULL;
+    END IF;
+
+    SELECT jsonb_object_agg(c, old_row -> c), jsonb_object_agg(c, new_row -> c)
+    INTO old_row, new_row
+    FROM unnest(changed) c;
+  END IF;
+
+  row_school := (full_row ->> 'school_id')::int;
+  row_block := COALESCE((full_row ->> 'block_id')::int,
+                        (SELECT block_id FROM schools WHERE school_id = row_school));
+  SELECT district_id INTO row_district FROM blocks WHERE block_id = row_block;
+
+  SELECT relname INTO logical_table
+  FROM pg_class WHERE oid = COALESCE(pg_partition_root(TG_RELID), TG_RELID);
+
+  INSERT INTO audit_log
+    (actor_id, actor_role, actor_ip, table_name, record_id, action,
+     old_values, new_values, changed_fields, school_id, block_id, district_id)
+  VALUES (
+    NULLIF(current_setting('app.user_id', true), '')::bigint,
+    NULLIF(current_setting('app.user_role', true), ''),
+    NULLIF(current_setting('app.client_ip', true), '')::inet,
+    logical_table, full_row ->> TG_ARGV[0], TG_OP,
+    old_row, new_row, changed, row_school, row_block, row_district
+  );
+
+  RETURN NULL;
+END;$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_schools_audit AFTER INSERT OR UPDATE OR DELETE ON schools
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change('school_id', 'total_students', 'total_teachers', 'updated_at');
+CREATE TRIGGER trg_students_audit AFTER INSERT OR UPDATE OR DELETE ON students
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change('student_id', 'updated_at');
+CREATE TRIGGER trg_teachers_audit AFTER INSERT OR UPDATE OR DELETE ON teachers
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change('teacher_id', 'updated_at');
+CREATE TRIGGER trg_attendance_audit AFTER INSERT OR UPDATE OR DELETE ON student_attendance
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change('attendance_id');
+CREATE TRIGGER trg_exam_results_audit AFTER INSERT OR UPDATE OR DELETE ON exam_results
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change('result_id');
+CREATE TRIGGER trg_fee_structure_audit AFTER INSERT OR UPDATE OR DELETE ON fee_structure
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change('fee_id');
+CREATE TRIGGER trg_fee_payments_audit AFTER INSERT OR UPDATE OR DELETE ON fee_payments
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change('payment_id');
+
+-- Entries are never edited; only the retention functions may delete them
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND current_setting('app.audit_retention', true) = 'on' THEN
+    RETURN OLD;
+  END IF;
+  RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+CREATE TRIGGER trg_audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
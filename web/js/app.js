@@ -3,10 +3,22 @@ class OdishaSchoolPortal {
     constructor() {
         this.API_BASE = this.getApiBase();
         this.currentPage = {
-            schools: 1,
-            students: 1
+            teachers: 1
+        };
+        // Schools and students page by cursor; null is the first page
+        this.cursors = {
+            schools: null,
+            students: null
         };
         this.cache = new Map();
+        this.session = this.loadSession();
+        this.lang = localStorage.getItem('eduportalLang') === 'od' ? 'od' : 'en';
+        this.eventStream = null;
+        this.eventHandlers = {};
+        this.eventRetryMs = 5000;
+        this.lastSyncAt = null;
+        this.dataAsOf = null;
+        this.pendingCount = 0;
         
         this.init();
     }
@@ -21,16 +33,43 @@ class OdishaSchoolPortal {
     }
     
     init() {
+        this.applyLanguage();
         this.setupEventListeners();
+        this.registerServiceWorker();
         this.showLoadingScreen();
         
         setTimeout(() => {
             this.hideLoadingScreen();
-            this.loadDashboard();
-            this.startRealTimeSync();
+            if (this.session) {
+                this.startApp();
+            } else {
+                this.showLogin();
+            }
         }, 2000);
     }
     
+    startApp() {
+        document.getElementById('loginScreen').classList.add('hidden');
+        document.getElementById('mainApp').classList.remove('hidden');
+        
+        const user = this.session.user;
+        document.getElementById('currentUser').textContent = `${user.username} (${this.t(`role.${user.role}`)})`;
+        
+        this.loadDashboard();
+        this.loadDistrictOptions();
+        this.connectEvents();
+        window.attendanceManager?.syncQueue();
+    }
+    
+    // The service worker keeps the app shell and last-viewed rosters offline
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            this.handleError('Service worker registration failed', error);
+        });
+    }
+    
     setupEventListeners() {
         // Navigation
         document.querySelectorAll('.nav-item').forEach(item => {
@@ -45,6 +84,28 @@ class OdishaSchoolPortal {
             this.refreshCurrentSection();
         });
         
+        // Connectivity shows in the header; the attendance queue syncs itself
+        window.addEventListener('online', () => this.renderSyncInfo());
+        window.addEventListener('offline', () => this.renderSyncInfo());
+        
+        // Language toggle
+        document.getElementById('langToggle').addEventListener('click', () => {
+            this.setLanguage(this.lang === 'od' ? 'en' : 'od');
+        });
+        
+        // Login / logout
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login(
+                document.getElementById('loginUsername').value,
+                document.getElementById('loginPassword').value
+            );
+        });
+        
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            this.logout();
+        });
+        
         // Search buttons
         document.getElementById('searchSchoolsBtn')?.addEventListener('click', () => {
             this.searchSchools();
@@ -54,6 +115,31 @@ class OdishaSchoolPortal {
             this.searchStudents();
         });
         
+        document.getElementById('searchTeachersBtn')?.addEventListener('click', () => {
+            this.searchTeachers();
+        });
+        
+        // Export buttons carry the format in data-format
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportList(button.dataset.export, button.dataset.format);
+            });
+        });
+        
+        // Cascading district → block → school filters
+        document.getElementById('districtFilter')?.addEventListener('change', (e) => {
+            this.loadBlockOptions('blockFilter', e.target.value);
+        });
+        
+        document.getElementById('studentDistrictFilter')?.addEventListener('change', (e) => {
+            this.loadBlockOptions('studentBlockFilter', e.target.value);
+            this.fillSelect('schoolFilter', [], this.t('filters.allSchools'));
+        });
+        
+        document.getElementById('studentBlockFilter')?.addEventListener('change', (e) => {
+            this.loadSchoolOptions('schoolFilter', e.target.value);
+        });
+        
         // Enter key for search inputs
         document.getElementById('schoolSearch')?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.searchSchools();
@@ -62,6 +148,10 @@ class OdishaSchoolPortal {
         document.getElementById('studentSearch')?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.searchStudents();
         });
+        
+        document.getElementById('teacherSearch')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.searchTeachers();
+        });
     }
     
     showLoadingScreen() {
@@ -70,7 +160,170 @@ class OdishaSchoolPortal {
     
     hideLoadingScreen() {
         document.getElementById('loadingScreen').classList.add('hidden');
-        document.getElementById('mainApp').classList.remove('hidden');
+    }
+    
+    showLogin(message = '') {
+        document.getElementById('mainApp').classList.add('hidden');
+        document.getElementById('loginScreen').classList.remove('hidden');
+        document.getElementById('loginError').textContent = message;
+    }
+    
+    loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem('eduportalSession'));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    saveSession(session) {
+        this.session = session;
+        if (session) {
+            localStorage.setItem('eduportalSession', JSON.stringify(session));
+        } else {
+            localStorage.removeItem('eduportalSession');
+        }
+    }
+    
+    // Translated UI string; {name} placeholders are filled from vars
+    t(key, vars = {}) {
+        const strings = window.I18N || {};
+        const template = (strings[this.lang] || {})[key] ?? (strings.en || {})[key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+    }
+    
+    // API values such as statuses have a translation when the table knows them
+    translateValue(group, value) {
+        const key = `${group}.${value}`;
+        const translated = this.t(key);
+        return translated === key ? value : translated;
+    }
+    
+    // Odia uses Odia digits and Indian digit grouping
+    get locale() {
+        return this.lang === 'od' ? 'or-IN-u-nu-orya' : 'en-IN';
+    }
+    
+    formatNumber(value, options) {
+        return Number(value).toLocaleString(this.locale, options);
+    }
+    
+    formatDate(value, options) {
+        return new Date(value).toLocaleDateString(this.locale, options);
+    }
+    
+    formatTime(value = new Date()) {
+        return value.toLocaleTimeString(this.locale);
+    }
+    
+    // Largest two units of a duration in seconds, e.g. "3 d 4 h"
+    formatDuration(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const part = (key, count) => this.t(key, { count: this.formatNumber(count) });
+        
+        if (days > 0) return `${part('common.durationDays', days)} ${part('common.durationHours', hours)}`;
+        if (hours > 0) return `${part('common.durationHours', hours)} ${part('common.durationMinutes', minutes)}`;
+        return part('common.durationMinutes', minutes);
+    }
+    
+    applyLanguage() {
+        document.documentElement.lang = this.lang === 'od' ? 'or' : 'en';
+        
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            const vars = element.dataset.i18nN ? { n: this.formatNumber(element.dataset.i18nN) } : {};
+            element.textContent = this.t(element.dataset.i18n, vars);
+        });
+        
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        
+        this.renderSyncInfo();
+        document.getElementById('refreshBtn').title = this.t('header.refreshTip');
+        
+        // The toggle names the language it switches to, in that language
+        const toggle = document.getElementById('langToggle');
+        toggle.textContent = this.t('header.switchLanguage');
+        toggle.lang = this.lang === 'od' ? 'en' : 'or';
+    }
+    
+    setLanguage(lang) {
+        this.lang = lang;
+        localStorage.setItem('eduportalLang', lang);
+        this.applyLanguage();
+        window.dashboardManager?.applyLanguage();
+        window.attendanceManager?.applyLanguage();
+        
+        // Names come back from the API in the requested language, and lists
+        // are sorted by them, so cursors from the old order no longer apply
+        this.cache.clear();
+        this.cursors = { schools: null, students: null };
+        if (this.session) {
+            document.getElementById('currentUser').textContent =
+                `${this.session.user.username} (${this.t(`role.${this.session.user.role}`)})`;
+            this.loadDistrictOptions();
+            this.refreshCurrentSection();
+        }
+    }
+    
+    async login(username, password) {
+        try {
+            const response = await fetch(`${this.API_BASE}/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showLogin(result.error || this.t('login.failed'));
+                return;
+            }
+            
+            this.saveSession(result.data);
+            document.getElementById('loginPassword').value = '';
+            this.startApp();
+        } catch (error) {
+            this.showLogin(this.t('login.unreachable'));
+        }
+    }
+    
+    async logout() {
+        if (this.session) {
+            fetch(`${this.API_BASE}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refresh_token: this.session.refresh_token })
+            }).catch(() => {});
+        }
+        
+        this.saveSession(null);
+        this.cache.clear();
+        this.eventStream?.abort();
+        this.eventStream = null;
+        this.setPendingCount(0);
+        
+        // Cached rosters belong to this user
+        navigator.serviceWorker?.controller?.postMessage({ type: 'logout' });
+        this.showLogin();
+    }
+    
+    async refreshSession() {
+        if (!this.session) return false;
+        
+        const response = await fetch(`${this.API_BASE}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: this.session.refresh_token })
+        });
+        
+        if (!response.ok) return false;
+        
+        const result = await response.json();
+        this.saveSession(result.data);
+        return true;
     }
     
     showSection(sectionName) {
@@ -97,9 +350,15 @@ class OdishaSchoolPortal {
             case 'students':
                 this.loadStudents();
                 break;
+            case 'teachers':
+                this.loadTeachers();
+                break;
             case 'analytics':
                 this.loadAnalytics();
                 break;
+            case 'attendance':
+                window.attendanceManager?.load();
+                break;
         }
     }
     
@@ -107,15 +366,18 @@ class OdishaSchoolPortal {
         try {
             this.setLoadingState('dashboard', true);
             
-            const [stats, kpis] = await Promise.all([
+            const [stats, kpis, fees] = await Promise.all([
                 this.fetchWithCache('/dashboard/stats'),
-                this.fetchWithCache('/dashboard/kpis')
+                this.fetchWithCache('/dashboard/kpis'),
+                this.fetchWithCache('/dashboard/fee-collection')
             ]);
             
             this.renderKPIs(stats.data);
             this.renderCharts(kpis.data);
             this.renderSystemStatus(stats.data);
+            this.renderFeeCollection(fees.data);
             
+            this.setDataAsOf(stats.data.data_as_of);
             this.updateLastSync();
         } catch (error) {
             this.handleError('Failed to load dashboard', error);
@@ -128,34 +390,34 @@ class OdishaSchoolPortal {
         const kpiGrid = document.getElementById('kpiGrid');
         const kpis = [
             {
-                label: 'Total Schools',
-                value: data.totals.schools.toLocaleString(),
-                trend: '+2 new this month',
+                label: this.t('kpi.totalSchools'),
+                value: data.totals.schools,
+                trend: this.t('kpi.newSchools', { count: this.formatNumber(2) }),
                 positive: true
             },
             {
-                label: 'Active Students',
-                value: data.totals.students.toLocaleString(),
-                trend: `+${data.recent_enrollments} this month`,
+                label: this.t('kpi.activeStudents'),
+                value: data.totals.students,
+                trend: this.t('kpi.newEnrollments', { count: this.formatNumber(data.recent_enrollments) }),
                 positive: true
             },
             {
-                label: 'Teaching Staff',
-                value: data.totals.teachers.toLocaleString(),
-                trend: '+15 new appointments',
+                label: this.t('kpi.teachingStaff'),
+                value: data.totals.teachers,
+                trend: this.t('kpi.newAppointments', { count: this.formatNumber(15) }),
                 positive: true
             },
             {
-                label: 'Districts Covered',
-                value: data.totals.districts.toString(),
-                trend: 'Complete coverage',
+                label: this.t('kpi.districtsCovered'),
+                value: data.totals.districts,
+                trend: this.t('kpi.completeCoverage'),
                 positive: true
             }
         ];
         
         kpiGrid.innerHTML = kpis.map(kpi => `
             <div class="kpi-card">
-                <div class="kpi-value">${kpi.value}</div>
+                <div class="kpi-value" data-value="${kpi.value}">${this.formatNumber(kpi.value)}</div>
                 <div class="kpi-label">${kpi.label}</div>
                 <div class="kpi-trend ${kpi.positive ? 'positive' : 'negative'}">
                     ${kpi.positive ? '📈' : '📉'} ${kpi.trend}
@@ -172,10 +434,10 @@ class OdishaSchoolPortal {
                 type: 'line',
                 data: {
                     labels: data.enrollment_trend.map(item => 
-                        new Date(item.month).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+                        this.formatDate(item.month, { month: 'short', year: 'numeric' })
                     ),
                     datasets: [{
-                        label: 'New Enrollments',
+                        label: this.t('dashboard.newEnrollments'),
                         data: data.enrollment_trend.map(item => item.enrollments),
                         borderColor: '#0070f3',
                         backgroundColor: 'rgba(0, 112, 243, 0.1)',
@@ -200,45 +462,166 @@ class OdishaSchoolPortal {
         const statusContainer = document.getElementById('systemStatus');
         const statusCards = [
             {
-                metric: data.totals.schools.toLocaleString(),
-                label: 'Active Schools'
+                metric: this.formatNumber(data.totals.schools),
+                label: this.t('system.activeSchools')
             },
             {
-                metric: `${data.today_attendance.present || 0}`,
-                label: 'Present Today'
+                id: 'presentToday',
+                value: data.today_attendance.present || 0,
+                metric: this.formatNumber(data.today_attendance.present || 0),
+                label: this.t('system.presentToday')
             },
             {
-                metric: '99.9%',
-                label: 'System Uptime'
+                id: 'apiUptime',
+                metric: '--',
+                label: this.t('system.uptime')
             },
             {
-                metric: '<50ms',
-                label: 'Response Time'
+                id: 'apiResponseTime',
+                metric: '--',
+                label: this.t('system.responseTime')
             }
         ];
         
+        // Cards with an id are updated in place by live events and the health check
         statusContainer.innerHTML = statusCards.map(card => `
+            <div class="status-card">
+                <div class="metric"${card.id ? ` id="${card.id}"` : ''}${card.value !== undefined ? ` data-value="${card.value}"` : ''}>${card.metric}</div>
+                <div class="label">${card.label}</div>
+            </div>
+        `).join('');
+        
+        this.loadHealthStatus();
+    }
+    
+    // API uptime and round-trip time, measured against its public health check
+    async loadHealthStatus() {
+        try {
+            const started = performance.now();
+            const response = await fetch(`${this.API_BASE.replace(/\/api$/, '')}/health`, { cache: 'no-store' });
+            const health = await response.json();
+            const elapsed = Math.round(performance.now() - started);
+            
+            document.getElementById('apiUptime').textContent = this.formatDuration(health.uptime);
+            document.getElementById('apiResponseTime').textContent =
+                this.t('common.milliseconds', { count: this.formatNumber(elapsed) });
+        } catch (error) {
+            // Offline or unreachable: the cards keep their placeholders
+            console.warn('Health check failed', error);
+        }
+    }
+    
+    renderFeeCollection(data) {
+        const formatAmount = amount => `₹${this.formatNumber(Math.round(amount))}`;
+        const formatRate = rate => (rate === null ? this.t('common.na') : `${this.formatNumber(rate)}%`);
+        const totals = [
+            { metric: formatAmount(data.totals.collected), label: this.t('fees.collected') },
+            { metric: formatAmount(data.totals.outstanding), label: this.t('fees.outstanding') },
+            { metric: formatAmount(data.totals.overdue), label: this.t('fees.overdue') },
+            { metric: formatRate(data.totals.collection_rate), label: this.t('fees.collectionRate') }
+        ];
+        
+        document.getElementById('feeCollectionTotals').innerHTML = totals.map(card => `
             <div class="status-card">
                 <div class="metric">${card.metric}</div>
                 <div class="label">${card.label}</div>
             </div>
         `).join('');
+        
+        document.getElementById('feeCollectionTableBody').innerHTML = data.schools.map(school => `
+            <tr>
+                <td>${school.school_name}</td>
+                <td>${formatAmount(school.charged)}</td>
+                <td>${formatAmount(school.collected)}</td>
+                <td>${formatAmount(school.outstanding)}</td>
+                <td>${formatAmount(school.overdue)}</td>
+                <td>${formatRate(school.collection_rate)}</td>
+            </tr>
+        `).join('');
+    }
+    
+    fillSelect(id, items, placeholder, valueKey = 'id', labelKey = 'name') {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        select.innerHTML = `<option value="">${placeholder}</option>` + items.map(item => `
+            <option value="${item[valueKey]}">${item[labelKey]}</option>
+        `).join('');
+    }
+    
+    async loadDistrictOptions() {
+        try {
+            const response = await this.fetchWithCache('/districts', 300000);
+            ['districtFilter', 'studentDistrictFilter'].forEach(id => {
+                this.fillSelect(id, response.data, this.t('filters.allDistricts'), 'district_id');
+            });
+        } catch (error) {
+            this.handleError('Failed to load districts', error);
+        }
+    }
+    
+    async loadBlockOptions(selectId, districtId) {
+        this.fillSelect(selectId, [], this.t('filters.allBlocks'));
+        if (!districtId) return;
+        
+        try {
+            const response = await this.fetchWithCache(`/districts/${districtId}/blocks`, 300000);
+            this.fillSelect(selectId, response.data.blocks, this.t('filters.allBlocks'), 'block_id');
+        } catch (error) {
+            this.handleError('Failed to load blocks', error);
+        }
+    }
+    
+    async loadSchoolOptions(selectId, blockId) {
+        this.fillSelect(selectId, [], this.t('filters.allSchools'));
+        if (!blockId) return;
+        
+        try {
+            const response = await this.fetchWithCache(`/blocks/${blockId}`, 300000);
+            this.fillSelect(selectId, response.data.school_list, this.t('filters.allSchools'), 'school_id');
+        } catch (error) {
+            this.handleError('Failed to load schools', error);
+        }
+    }
+    
+    // Filters shared by the list and export requests
+    schoolFilterParams() {
+        const params = new URLSearchParams();
+        
+        const search = document.getElementById('schoolSearch')?.value;
+        if (search) params.append('search', search);
+        
+        const district = document.getElementById('districtFilter')?.value;
+        if (district) params.append('district_id', district);
+        
+        const block = document.getElementById('blockFilter')?.value;
+        if (block) params.append('block_id', block);
+        
+        return params;
+    }
+    
+    studentFilterParams() {
+        const params = new URLSearchParams();
+        
+        const search = document.getElementById('studentSearch')?.value;
+        if (search) params.append('search', search);
+        
+        const school = document.getElementById('schoolFilter')?.value;
+        if (school) params.append('school_id', school);
+        
+        const classNum = document.getElementById('classFilter')?.value;
+        if (classNum) params.append('class_number', classNum);
+        
+        return params;
     }
     
     async loadSchools() {
         try {
             this.setLoadingState('schools', true);
             
-            const params = new URLSearchParams({
-                page: this.currentPage.schools,
-                limit: 20
-            });
-            
-            const search = document.getElementById('schoolSearch')?.value;
-            if (search) params.append('search', search);
-            
-            const district = document.getElementById('districtFilter')?.value;
-            if (district) params.append('district_id', district);
+            const params = this.schoolFilterParams();
+            if (this.cursors.schools) params.append('cursor', this.cursors.schools);
+            params.append('limit', 20);
             
             const response = await this.fetchApi(`/schools?${params}`);
             this.renderSchoolsTable(response.data, response.pagination);
@@ -258,9 +641,9 @@ class OdishaSchoolPortal {
                 <td>${school.school_code}</td>
                 <td>${school.name}</td>
                 <td>${school.district_name}</td>
-                <td>${school.total_students}</td>
-                <td>${school.total_teachers}</td>
-                <td><span class="status-badge active">${school.status}</span></td>
+                <td>${this.formatNumber(school.total_students)}</td>
+                <td>${this.formatNumber(school.total_teachers)}</td>
+                <td><span class="status-badge active">${this.translateValue('status', school.status)}</span></td>
             </tr>
         `).join('');
         
@@ -271,19 +654,9 @@ class OdishaSchoolPortal {
         try {
             this.setLoadingState('students', true);
             
-            const params = new URLSearchParams({
-                page: this.currentPage.students,
-                limit: 50
-            });
-            
-            const search = document.getElementById('studentSearch')?.value;
-            if (search) params.append('search', search);
-            
-            const school = document.getElementById('schoolFilter')?.value;
-            if (school) params.append('school_id', school);
-            
-            const classNum = document.getElementById('classFilter')?.value;
-            if (classNum) params.append('class_number', classNum);
+            const params = this.studentFilterParams();
+            if (this.cursors.students) params.append('cursor', this.cursors.students);
+            params.append('limit', 50);
             
             const response = await this.fetchApi(`/students?${params}`);
             this.renderStudentsTable(response.data, response.pagination);
@@ -302,22 +675,82 @@ class OdishaSchoolPortal {
             <tr>
                 <td>${student.admission_no}</td>
                 <td>${student.first_name} ${student.last_name}</td>
-                <td>${student.class_number}${student.section}</td>
+                <td>${this.formatNumber(student.class_number)}${student.section}</td>
                 <td>${student.school_name}</td>
-                <td>${student.guardian_name || 'N/A'}</td>
-                <td><span class="status-badge active">${student.status}</span></td>
+                <td>${student.guardian_name || this.t('common.na')}</td>
+                <td><span class="status-badge active">${this.translateValue('status', student.status)}</span></td>
             </tr>
         `).join('');
         
         this.renderPagination('students', pagination);
     }
     
+    async loadTeachers() {
+        try {
+            this.setLoadingState('teachers', true);
+            
+            const params = new URLSearchParams({
+                page: this.currentPage.teachers,
+                limit: 20
+            });
+            
+            const search = document.getElementById('teacherSearch')?.value;
+            if (search) params.append('search', search);
+            
+            const subject = document.getElementById('subjectFilter')?.value.trim();
+            if (subject) params.append('subject', subject);
+            
+            const employmentType = document.getElementById('employmentFilter')?.value;
+            if (employmentType) params.append('employment_type', employmentType);
+            
+            const response = await this.fetchApi(`/teachers?${params}`);
+            this.renderTeachersTable(response.data, response.pagination);
+            
+        } catch (error) {
+            this.handleError('Failed to load teachers', error);
+        } finally {
+            this.setLoadingState('teachers', false);
+        }
+    }
+    
+    renderTeachersTable(teachers, pagination) {
+        const tbody = document.getElementById('teachersTableBody');
+        
+        tbody.innerHTML = teachers.map(teacher => `
+            <tr>
+                <td>${teacher.employee_code || this.t('common.na')}</td>
+                <td>${[teacher.first_name, teacher.last_name].filter(Boolean).join(' ') || this.t('common.na')}</td>
+                <td>${teacher.designation || this.t('common.na')}</td>
+                <td>${(teacher.subjects || []).join(', ')}</td>
+                <td>${teacher.school_name}</td>
+                <td>${teacher.employment_type ? this.translateValue('employment', teacher.employment_type) : this.t('common.na')}</td>
+                <td><span class="status-badge active">${this.translateValue('status', teacher.status)}</span></td>
+            </tr>
+        `).join('');
+        
+        this.renderPageNumbers('teachers', pagination);
+    }
+    
+    // Previous/next for cursor-paged lists. The total is the server's
+    // estimate unless it says it is exact.
     renderPagination(section, pagination) {
+        const container = document.getElementById(`${section}Pagination`);
+        const { next, prev, total, total_exact } = pagination;
+        const totalKey = total_exact ? 'common.total' : 'common.totalEstimate';
+        
+        container.innerHTML = `
+            <button ${prev ? '' : 'disabled'} onclick="app.changeCursor('${section}', '${prev}')">${this.t('common.previous')}</button>
+            <button ${next ? '' : 'disabled'} onclick="app.changeCursor('${section}', '${next}')">${this.t('common.next')}</button>
+            <span style="margin-left: 1rem; color: #64748b;">${this.t(totalKey, { count: this.formatNumber(total) })}</span>
+        `;
+    }
+    
+    renderPageNumbers(section, pagination) {
         const container = document.getElementById(`${section}Pagination`);
         const { page, pages, total } = pagination;
         
         let paginationHTML = `
-            <button ${page <= 1 ? 'disabled' : ''} onclick="app.changePage('${section}', ${page - 1})">Previous</button>
+            <button ${page <= 1 ? 'disabled' : ''} onclick="app.changePage('${section}', ${page - 1})">${this.t('common.previous')}</button>
         `;
         
         // Show page numbers (simple version)
@@ -326,13 +759,13 @@ class OdishaSchoolPortal {
         
         for (let i = startPage; i <= endPage; i++) {
             paginationHTML += `
-                <button ${i === page ? 'class="active"' : ''} onclick="app.changePage('${section}', ${i})">${i}</button>
+                <button ${i === page ? 'class="active"' : ''} onclick="app.changePage('${section}', ${i})">${this.formatNumber(i)}</button>
             `;
         }
         
         paginationHTML += `
-            <button ${page >= pages ? 'disabled' : ''} onclick="app.changePage('${section}', ${page + 1})">Next</button>
-            <span style="margin-left: 1rem; color: #64748b;">Total: ${total.toLocaleString()}</span>
+            <button ${page >= pages ? 'disabled' : ''} onclick="app.changePage('${section}', ${page + 1})">${this.t('common.next')}</button>
+            <span style="margin-left: 1rem; color: #64748b;">${this.t('common.total', { count: this.formatNumber(total) })}</span>
         `;
         
         container.innerHTML = paginationHTML;
@@ -341,6 +774,14 @@ class OdishaSchoolPortal {
     changePage(section, newPage) {
         this.currentPage[section] = newPage;
         
+        if (section === 'teachers') {
+            this.loadTeachers();
+        }
+    }
+    
+    changeCursor(section, cursor) {
+        this.cursors[section] = cursor;
+        
         if (section === 'schools') {
             this.loadSchools();
         } else if (section === 'students') {
@@ -348,48 +789,222 @@ class OdishaSchoolPortal {
         }
     }
     
+    async exportList(section, format) {
+        const params = section === 'schools' ? this.schoolFilterParams() : this.studentFilterParams();
+        params.append('format', format);
+        
+        try {
+            const response = await this.authorizedFetch(`/${section}/export?${params}`);
+            const blob = await response.blob();
+            const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+            
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = match ? match[1] : `${section}.${format}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.handleError(`Failed to export ${section}`, error);
+        }
+    }
+    
     searchSchools() {
-        this.currentPage.schools = 1;
+        this.cursors.schools = null;
         this.loadSchools();
     }
     
     searchStudents() {
-        this.currentPage.students = 1;
+        this.cursors.students = null;
         this.loadStudents();
     }
     
-    loadAnalytics() {
-        const performanceContainer = document.getElementById('performanceMetrics');
-        const dataQualityContainer = document.getElementById('dataQuality');
+    searchTeachers() {
+        this.currentPage.teachers = 1;
+        this.loadTeachers();
+    }
+    
+    // System monitoring (/api/admin/monitoring) is admin-only. Each panel loads
+    // on its own so one failing view does not blank the others.
+    async loadAnalytics() {
+        const panels = [
+            { id: 'performanceMetrics', endpoint: '/admin/monitoring/summary', render: data => this.renderPerformanceMetrics(data) },
+            { id: 'dataQuality', endpoint: '/admin/monitoring/data-quality', render: data => this.renderDataQuality(data) },
+            { id: 'systemAlerts', endpoint: '/admin/monitoring/alerts', render: data => this.renderAlerts(data) },
+            { id: 'baselineTrends', endpoint: '/admin/monitoring/baselines', render: data => this.renderTrends(data) }
+        ];
+        const showMessage = (id, key) => {
+            document.getElementById(id).innerHTML = `<div class="analytics-empty">${this.t(key)}</div>`;
+        };
         
-        performanceContainer.innerHTML = `
-            <div class="status-card">
-                <div class="metric">1.2ms</div>
-                <div class="label">Avg Query Time</div>
-            </div>
+        if (this.session.user.role !== 'admin') {
+            panels.forEach(panel => showMessage(panel.id, 'analytics.adminOnly'));
+            return;
+        }
+        
+        this.setLoadingState('analytics', true);
+        await Promise.all(panels.map(async panel => {
+            try {
+                const response = await this.fetchApi(panel.endpoint);
+                if (!response.success) throw new Error(response.error);
+                panel.render(response.data);
+            } catch (error) {
+                this.handleError(`Failed to load ${panel.endpoint}`, error);
+                showMessage(panel.id, 'analytics.loadFailed');
+            }
+        }));
+        this.setLoadingState('analytics', false);
+    }
+    
+    renderPerformanceMetrics(data) {
+        const health = data.system_health || {};
+        const performance = data.performance || {};
+        const cards = [
+            {
+                metric: this.t('common.milliseconds', { count: this.formatNumber(performance.avg_query_time_ms || 0) }),
+                label: this.t('analytics.avgQueryTime')
+            },
+            {
+                metric: health.cache_hit_ratio === null || health.cache_hit_ratio === undefined
+                    ? this.t('common.na')
+                    : `${this.formatNumber(health.cache_hit_ratio)}%`,
+                label: this.t('analytics.cacheHitRatio')
+            },
+            {
+                metric: this.formatNumber(health.active_connections || 0),
+                label: this.t('analytics.activeConnections')
+            },
+            {
+                metric: this.formatNumber(performance.slow_queries_count || 0),
+                label: this.t('analytics.slowQueries')
+            },
+            {
+                metric: health.database_size || this.t('common.na'),
+                label: this.t('analytics.databaseSize')
+            },
+            {
+                metric: this.formatDuration(data.api.uptime_seconds),
+                label: this.t('analytics.uptime')
+            }
+        ];
+        
+        document.getElementById('performanceMetrics').innerHTML = cards.map(card => `
             <div class="status-card">
-                <div class="metric">99.9%</div>
-                <div class="label">Uptime</div>
+                <div class="metric">${card.metric}</div>
+                <div class="label">${card.label}</div>
             </div>
+        `).join('');
+    }
+    
+    renderDataQuality(data) {
+        const group = (titleKey, checks) => `
+            <h4>${this.t(titleKey)}</h4>
+            ${checks.map(check => `
+                <div class="quality-row" title="${check.description}">
+                    <span>${this.translateValue('quality', check.metric)}</span>
+                    <strong>${this.formatNumber(check.value)}</strong>
+                </div>
+            `).join('')}
         `;
         
-        dataQualityContainer.innerHTML = `
-            <div class="status-card">
-                <div class="metric">98.5%</div>
-                <div class="label">Complete Records</div>
+        document.getElementById('dataQuality').innerHTML =
+            group('analytics.studentRecords', data.students) + group('analytics.schoolRecords', data.schools);
+    }
+    
+    renderAlerts(alerts) {
+        const container = document.getElementById('systemAlerts');
+        if (alerts.length === 0) {
+            container.innerHTML = `<div class="analytics-empty">${this.t('analytics.noAlerts')}</div>`;
+            return;
+        }
+        
+        container.innerHTML = alerts.map(alert => `
+            <div class="alert-item">
+                <div class="alert-summary">
+                    <strong>${alert.alert_type}</strong>
+                    <span class="status-badge priority-${alert.priority.toLowerCase()}">
+                        ${this.translateValue('analytics.priority', alert.priority)}
+                    </span>
+                </div>
+                <div class="alert-message">${alert.message}</div>
             </div>
-            <div class="status-card">
-                <div class="metric">0.01%</div>
-                <div class="label">Error Rate</div>
+        `).join('');
+    }
+    
+    // One line chart per metric recorded by record_performance_baseline()
+    renderTrends(data) {
+        const container = document.getElementById('baselineTrends');
+        (this.trendCharts || []).forEach(chart => chart.destroy());
+        this.trendCharts = [];
+        
+        const names = Object.keys(data.metrics);
+        if (names.length === 0) {
+            container.innerHTML = `<div class="analytics-empty">${this.t('analytics.noTrends')}</div>`;
+            return;
+        }
+        
+        container.innerHTML = names.map(name => `
+            <h4>${this.translateValue('analytics.metric', name)}</h4>
+            <div class="trend-chart">
+                <canvas data-metric="${name}"></canvas>
             </div>
-        `;
+        `).join('');
+        
+        this.trendCharts = names.map(name => {
+            const series = data.metrics[name];
+            return new Chart(container.querySelector(`canvas[data-metric="${name}"]`), {
+                type: 'line',
+                data: {
+                    labels: series.map(point =>
+                        this.formatDate(point.recorded_at, { day: 'numeric', month: 'short', hour: 'numeric' })
+                    ),
+                    datasets: [{
+                        label: this.translateValue('analytics.metric', name),
+                        data: series.map(point => point.value),
+                        borderColor: '#0070f3',
+                        backgroundColor: 'rgba(0, 112, 243, 0.1)',
+                        tension: 0.4,
+                        fill: true
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: false }
+                    }
+                }
+            });
+        });
     }
     
-    async fetchApi(endpoint) {
-        const response = await fetch(`${this.API_BASE}${endpoint}`);
+    async authorizedFetch(endpoint, options = {}, retry = true) {
+        const headers = { 'Accept-Language': this.lang === 'od' ? 'or' : 'en', ...(options.headers || {}) };
+        if (this.session) {
+            headers.Authorization = `Bearer ${this.session.access_token}`;
+        }
+        
+        const response = await fetch(`${this.API_BASE}${endpoint}`, { ...options, headers });
+        
+        // Access tokens are short-lived: refresh once, then fall back to the login screen
+        if (response.status === 401) {
+            if (retry && await this.refreshSession()) {
+                return this.authorizedFetch(endpoint, options, false);
+            }
+            this.saveSession(null);
+            this.showLogin(this.t('login.expired'));
+        }
+        
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            // Callers that need the error body (e.g. 409 conflicts) read it from here
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.response = response;
+            throw error;
         }
+        return response;
+    }
+    
+    async fetchApi(endpoint, options = {}) {
+        const response = await this.authorizedFetch(endpoint, options);
         return await response.json();
     }
     
@@ -425,18 +1040,108 @@ class OdishaSchoolPortal {
         this.showSection(activeSection);
     }
     
-    startRealTimeSync() {
-        // Sync every 30 seconds
-        setInterval(() => {
-            if (document.querySelector('.nav-item.active').dataset.section === 'dashboard') {
-                this.loadDashboard();
+    // Register a handler for one type of server-sent dashboard event
+    onEvent(type, handler) {
+        (this.eventHandlers[type] = this.eventHandlers[type] || []).push(handler);
+    }
+    
+    // Read /events/stream with fetch rather than EventSource so the request
+    // carries the Authorization header. Reconnects until logout.
+    async connectEvents(reconnecting = false) {
+        if (this.eventStream || !this.session) return;
+        
+        const controller = new AbortController();
+        this.eventStream = controller;
+        
+        try {
+            const response = await this.authorizedFetch('/events/stream', {
+                headers: { Accept: 'text/event-stream' },
+                signal: controller.signal
+            });
+            
+            // Events sent while we were away are lost; catch up with one full load
+            if (reconnecting) this.refreshCurrentSection();
+            
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                
+                buffer += value;
+                const frames = buffer.split('\n\n');
+                buffer = frames.pop();
+                frames.forEach(frame => this.dispatchEvent(frame));
             }
-        }, 30000);
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                this.handleError('Event stream failed', error);
+            }
+        } finally {
+            if (this.eventStream === controller) {
+                this.eventStream = null;
+            }
+        }
+        
+        if (!controller.signal.aborted && this.session) {
+            setTimeout(() => this.connectEvents(true), this.eventRetryMs);
+        }
+    }
+    
+    dispatchEvent(frame) {
+        let type = 'message';
+        const data = [];
+        
+        frame.split('\n').forEach(line => {
+            if (line.startsWith('event:')) type = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+            else if (line.startsWith('retry:')) this.eventRetryMs = parseInt(line.slice(6)) || this.eventRetryMs;
+        });
+        
+        if (data.length === 0) return; // heartbeat or retry hint
+        
+        const payload = JSON.parse(data.join('\n'));
+        (this.eventHandlers[type] || []).forEach(handler => handler(payload));
+        this.updateLastSync();
     }
     
     updateLastSync() {
-        document.getElementById('lastSync').textContent = 
-            `Last sync: ${new Date().toLocaleTimeString()}`;
+        this.lastSyncAt = new Date();
+        this.renderSyncInfo();
+    }
+    
+    // When the server last rebuilt the dashboard rollups the figures come from
+    setDataAsOf(timestamp) {
+        this.dataAsOf = timestamp ? new Date(timestamp) : null;
+        this.renderSyncInfo();
+    }
+    
+    // Number of offline attendance submissions not yet accepted by the server
+    setPendingCount(count) {
+        this.pendingCount = count;
+        this.renderSyncInfo();
+    }
+    
+    renderSyncInfo() {
+        const online = navigator.onLine;
+        const indicator = document.querySelector('.status-indicator');
+        indicator.dataset.i18n = online ? 'header.live' : 'header.offline';
+        indicator.textContent = this.t(indicator.dataset.i18n);
+        indicator.classList.toggle('offline', !online);
+        
+        const lastSync = document.getElementById('lastSync');
+        let text = this.t('header.lastSync', {
+            time: this.lastSyncAt ? this.formatTime(this.lastSyncAt) : '--'
+        });
+        if (this.dataAsOf) {
+            text += ` · ${this.t('header.dataAsOf', { time: this.formatTime(this.dataAsOf) })}`;
+        }
+        if (this.pendingCount > 0) {
+            text += ` · ${this.t('header.pending', { count: this.formatNumber(this.pendingCount) })}`;
+        }
+        lastSync.textContent = text;
+        lastSync.classList.toggle('pending', this.pendingCount > 0);
     }
     
     handleError(message, error) {
@@ -0,0 +1,361 @@
+// Class attendance register. Works offline: submissions that cannot reach the
+// API are kept in IndexedDB and replayed when the connection returns.
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late', 'Half'];
+
+class AttendanceManager {
+    constructor(app) {
+        this.app = app;
+        this.queue = new AttendanceQueue();
+        this.classes = new Map();
+        this.roster = null;
+        this.syncing = false;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('attendanceDate').value = this.today();
+
+        document.getElementById('attendanceSchool').addEventListener('change', () => {
+            this.loadClasses();
+        });
+
+        document.getElementById('loadRosterBtn').addEventListener('click', () => {
+            this.loadRoster();
+        });
+
+        document.getElementById('markAllPresentBtn').addEventListener('click', () => {
+            document.querySelectorAll('#attendanceTableBody select').forEach(select => {
+                select.value = 'Present';
+            });
+        });
+
+        document.getElementById('submitAttendanceBtn').addEventListener('click', () => {
+            this.submit();
+        });
+
+        document.getElementById('syncNowBtn').addEventListener('click', () => {
+            this.syncQueue();
+        });
+
+        document.getElementById('attendanceQueue').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-resolve]');
+            if (button) {
+                this.resolve(Number(button.dataset.id), button.dataset.resolve);
+            }
+        });
+
+        window.addEventListener('online', () => this.syncQueue());
+    }
+
+    // en-CA formats the local date as YYYY-MM-DD
+    today() {
+        return new Date().toLocaleDateString('en-CA');
+    }
+
+    get userId() {
+        return this.app.session?.user.user_id;
+    }
+
+    // Called when the section is shown
+    async load() {
+        const schoolInput = document.getElementById('attendanceSchool');
+        const schoolId = this.app.session?.user.school_id;
+
+        // School staff only ever mark their own school
+        schoolInput.hidden = Boolean(schoolId);
+        if (schoolId) schoolInput.value = schoolId;
+
+        if (schoolInput.value && this.classes.size === 0) {
+            await this.loadClasses();
+        }
+        await this.renderQueue();
+    }
+
+    async loadClasses() {
+        const schoolId = document.getElementById('attendanceSchool').value;
+        this.classes.clear();
+
+        try {
+            if (schoolId) {
+                const response = await this.app.fetchApi(`/classes?school_id=${encodeURIComponent(schoolId)}`);
+                response.data.forEach(section => this.classes.set(String(section.class_id), section));
+            }
+        } catch (error) {
+            this.showMessage(this.t('attendance.unavailable'), 'error');
+            this.app.handleError('Failed to load classes', error);
+        }
+
+        const options = [...this.classes.values()].map(section => ({
+            class_id: section.class_id,
+            name: this.classLabel(section)
+        }));
+        this.app.fillSelect('attendanceClass', options, this.t('attendance.selectClass'), 'class_id');
+    }
+
+    async loadRoster() {
+        const classId = document.getElementById('attendanceClass').value;
+        if (!classId) return;
+
+        try {
+            this.app.setLoadingState('attendance', true);
+
+            // The service worker answers from the last copy when offline
+            const response = await this.app.fetchApi(`/classes/${classId}/roster`);
+            this.roster = response.data;
+            this.renderRoster();
+            this.showMessage('');
+        } catch (error) {
+            this.roster = null;
+            this.renderRoster();
+            this.showMessage(this.t('attendance.unavailable'), 'error');
+            this.app.handleError('Failed to load roster', error);
+        } finally {
+            this.app.setLoadingState('attendance', false);
+        }
+    }
+
+    renderRoster() {
+        const tbody = document.getElementById('attendanceTableBody');
+        const students = this.roster ? this.roster.students : [];
+
+        // Re-rendering (e.g. on a language switch) keeps what was already marked
+        const marked = new Map([...tbody.querySelectorAll('select')].map(select => [select.dataset.studentId, select.value]));
+
+        tbody.innerHTML = students.map(student => `
+            <tr>
+                <td>${student.roll_no ? this.app.formatNumber(student.roll_no) : this.t('common.na')}</td>
+                <td>${[student.first_name, student.last_name].filter(Boolean).join(' ')}</td>
+                <td>
+                    <select data-student-id="${student.student_id}">
+                        ${ATTENDANCE_STATUSES.map(status => `
+                            <option value="${status}" ${marked.get(String(student.student_id)) === status ? 'selected' : ''}>${this.app.translateValue('attendance', status)}</option>
+                        `).join('')}
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async submit() {
+        if (!this.roster || this.roster.students.length === 0) return;
+
+        const section = this.roster.class;
+        const entry = {
+            user_id: this.userId,
+            school_id: section.school_id,
+            class_id: section.class_id,
+            class_number: section.class_number,
+            section: section.section,
+            date: document.getElementById('attendanceDate').value || this.today(),
+            label: this.classLabel(section),
+            records: [...document.querySelectorAll('#attendanceTableBody select')].map(select => ({
+                student_id: Number(select.dataset.studentId),
+                status: select.value
+            }))
+        };
+
+        if (!navigator.onLine) {
+            await this.enqueue(entry);
+            return;
+        }
+
+        const outcome = await this.send(entry);
+
+        if (outcome.status === 'synced') {
+            this.showMessage(this.t('attendance.saved'), 'success');
+        } else if (outcome.status === 'offline') {
+            await this.enqueue(entry);
+        } else {
+            // Keep conflicts and failures in the queue panel where they are resolved
+            await this.queue.add({ ...entry, ...outcome });
+            await this.renderQueue();
+            this.showMessage(this.t('attendance.needsReview'), 'error');
+        }
+    }
+
+    async enqueue(entry) {
+        await this.queue.add(entry);
+        await this.renderQueue();
+        this.showMessage(this.t('attendance.queued'), 'success');
+    }
+
+    // POST one submission. Submissions use on_conflict 'reject' so rows someone
+    // else marked in the meantime come back as a 409 for the teacher to review.
+    async send(entry, onConflict = 'reject') {
+        try {
+            await this.app.fetchApi('/attendance', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    school_id: entry.school_id,
+                    class_number: entry.class_number,
+                    section: entry.section,
+                    date: entry.date,
+                    records: entry.records,
+                    on_conflict: onConflict
+                })
+            });
+            return { status: 'synced' };
+        } catch (error) {
+            if (!error.response) {
+                return { status: 'offline' };
+            }
+
+            const body = await error.response.json().catch(() => ({}));
+            if (error.response.status === 409) {
+                return { status: 'conflict', conflicts: body.details || [] };
+            }
+            if (error.response.status === 401) {
+                return { status: 'offline' }; // signed out: retry after the next login
+            }
+            return { status: 'failed', error: body.error || error.message };
+        }
+    }
+
+    async syncQueue() {
+        if (this.syncing || !navigator.onLine || !this.userId) return;
+        this.syncing = true;
+
+        let synced = 0;
+        let conflicts = 0;
+
+        try {
+            const entries = await this.queue.list(this.userId);
+
+            for (const entry of entries.filter(item => item.status === 'pending')) {
+                const outcome = await this.send(entry);
+
+                if (outcome.status === 'offline') break;
+
+                if (outcome.status === 'synced') {
+                    await this.queue.remove(entry.id);
+                    synced++;
+                } else {
+                    await this.queue.put({ ...entry, ...outcome });
+                    conflicts++;
+                }
+            }
+        } catch (error) {
+            this.app.handleError('Attendance sync failed', error);
+        } finally {
+            this.syncing = false;
+        }
+
+        await this.renderQueue();
+
+        if (synced > 0) {
+            this.notify(this.t('attendance.synced', { count: this.app.formatNumber(synced) }), '✅');
+        }
+        if (conflicts > 0) {
+            this.notify(this.t('attendance.conflicts', { count: this.app.formatNumber(conflicts) }), '⚠️');
+        }
+    }
+
+    async resolve(id, action) {
+        const entries = await this.queue.list(this.userId);
+        const entry = entries.find(item => item.id === id);
+        if (!entry) return;
+
+        if (action === 'overwrite') {
+            const outcome = await this.send(entry, 'overwrite');
+            if (outcome.status !== 'synced') {
+                this.showMessage(outcome.error || this.t('attendance.unavailable'), 'error');
+                return;
+            }
+        }
+
+        await this.queue.remove(id);
+        await this.renderQueue();
+    }
+
+    async renderQueue() {
+        const container = document.getElementById('attendanceQueue');
+        let entries = [];
+
+        try {
+            entries = this.userId ? await this.queue.list(this.userId) : [];
+        } catch (error) {
+            this.app.handleError('Failed to read offline queue', error);
+        }
+
+        this.app.setPendingCount(entries.length);
+
+        if (entries.length === 0) {
+            container.innerHTML = `<p class="queue-empty">${this.t('attendance.queueEmpty')}</p>`;
+            return;
+        }
+
+        container.innerHTML = entries.map(entry => `
+            <div class="queue-item ${entry.status}">
+                <div class="queue-summary">
+                    <strong>${this.t('attendance.classOn', {
+                        class: entry.label,
+                        date: this.app.formatDate(entry.date)
+                    })}</strong>
+                    <span class="status-badge">${this.t(`attendance.queue.${entry.status}`)}</span>
+                </div>
+                ${entry.status === 'conflict' ? this.renderConflicts(entry.conflicts) : ''}
+                ${entry.status === 'failed' ? `<p class="queue-error">${entry.error}</p>` : ''}
+                ${entry.status !== 'pending' ? `
+                    <div class="queue-actions">
+                        <button data-resolve="overwrite" data-id="${entry.id}">${this.t('attendance.overwrite')}</button>
+                        <button data-resolve="discard" data-id="${entry.id}">${this.t('attendance.discard')}</button>
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    renderConflicts(conflicts) {
+        return `
+            <ul class="queue-conflicts">
+                ${conflicts.map(conflict => `
+                    <li>${this.t('attendance.conflictRow', {
+                        student: this.app.formatNumber(conflict.student_id),
+                        yours: this.app.translateValue('attendance', conflict.submitted_status),
+                        theirs: this.app.translateValue('attendance', conflict.status),
+                        user: conflict.marked_by || this.t('common.na'),
+                        time: conflict.marked_at ? this.app.formatTime(new Date(conflict.marked_at)) : '--'
+                    })}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    classLabel(section) {
+        return `${this.app.formatNumber(section.class_number)}${section.section}`;
+    }
+
+    showMessage(message, type = '') {
+        const element = document.getElementById('attendanceMessage');
+        element.textContent = message;
+        element.className = `attendance-message ${type}`;
+    }
+
+    notify(message, icon) {
+        if (window.dashboardManager) {
+            window.dashboardManager.createNotificationToast(message, icon);
+        } else {
+            this.showMessage(message);
+        }
+    }
+
+    t(key, vars) {
+        return this.app.t(key, vars);
+    }
+
+    applyLanguage() {
+        this.renderRoster();
+        this.renderQueue();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (window.app) {
+        window.attendanceManager = new AttendanceManager(window.app);
+
+        // Anything queued on an earlier visit goes out as soon as we can
+        window.attendanceManager.syncQueue();
+    }
+});
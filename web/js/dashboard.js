@@ -3,29 +3,13 @@ class DashboardManager {
     constructor(app) {
         this.app = app;
         this.charts = {};
-        this.realTimeUpdates = true;
-        this.updateInterval = 30000; // 30 seconds
-        this.intervalId = null;
         
         this.init();
     }
     
     init() {
-        this.setupRealTimeUpdates();
         this.setupAdvancedCharts();
-        this.setupWebSocket();
-    }
-    
-    setupRealTimeUpdates() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-        }
-        
-        this.intervalId = setInterval(() => {
-            if (this.realTimeUpdates && this.isOnDashboard()) {
-                this.updateDashboardData();
-            }
-        }, this.updateInterval);
+        this.setupEventHandlers();
     }
     
     setupAdvancedCharts() {
@@ -39,29 +23,6 @@ class DashboardManager {
         this.createGeographicChart();
     }
     
-    async updateDashboardData() {
-        try {
-            const timestamp = new Date().toLocaleTimeString();
-            console.log(`🔄 Real-time update at ${timestamp}`);
-            
-            // Update KPIs with animation
-            await this.updateKPIsAnimated();
-            
-            // Update charts
-            await this.updateChartsData();
-            
-            // Update system metrics
-            await this.updateSystemMetrics();
-            
-            // Update last sync time
-            this.updateSyncStatus(timestamp);
-            
-        } catch (error) {
-            console.error('Real-time update failed:', error);
-            this.handleUpdateError(error);
-        }
-    }
-    
     async updateKPIsAnimated() {
         try {
             const stats = await this.app.fetchWithCache('/dashboard/stats', 5000); // 5s cache
@@ -78,6 +39,7 @@ class DashboardManager {
             
             // Animate counter updates
             this.animateNumbers(stats.data);
+            this.app.setDataAsOf(stats.data.data_as_of);
             
         } catch (error) {
             console.error('KPI update failed:', error);
@@ -101,7 +63,9 @@ class DashboardManager {
     }
     
     animateCounter(element, targetValue) {
-        const currentValue = parseInt(element.textContent.replace(/,/g, '')) || 0;
+        // The displayed text may use Odia digits, so the raw value lives in data-value
+        const currentValue = parseInt(element.dataset.value) || 0;
+        element.dataset.value = targetValue;
         const difference = targetValue - currentValue;
         const duration = 1000; // 1 second
         const steps = 60; // 60 FPS
@@ -119,34 +83,10 @@ class DashboardManager {
                 clearInterval(timer);
             }
             
-            element.textContent = Math.round(current).toLocaleString();
+            element.textContent = this.app.formatNumber(Math.round(current));
         }, duration / steps);
     }
     
-    async updateChartsData() {
-        try {
-            const kpiData = await this.app.fetchWithCache('/dashboard/kpis', 10000);
-            
-            // Update enrollment chart
-            if (this.charts.enrollment) {
-                this.updateEnrollmentChart(kpiData.data.enrollment_trend);
-            }
-            
-            // Update attendance chart
-            if (this.charts.attendance) {
-                this.updateAttendanceChart();
-            }
-            
-            // Update district chart
-            if (this.charts.district) {
-                this.updateDistrictChart();
-            }
-            
-        } catch (error) {
-            console.error('Chart update failed:', error);
-        }
-    }
-    
     createPerformanceChart() {
         const ctx = document.createElement('canvas');
         ctx.id = 'performanceChart';
@@ -156,14 +96,14 @@ class DashboardManager {
         if (container) {
             const chartContainer = document.createElement('div');
             chartContainer.className = 'chart-container';
-            chartContainer.innerHTML = '<h3>System Performance</h3>';
+            chartContainer.innerHTML = `<h3 data-i18n="dashboard.performance">${this.app.t('dashboard.performance')}</h3>`;
             chartContainer.appendChild(ctx);
             container.appendChild(chartContainer);
             
             this.charts.performance = new Chart(ctx, {
                 type: 'doughnut',
                 data: {
-                    labels: ['API Response', 'Database', 'Network', 'Available'],
+                    labels: this.performanceLabels(),
                     datasets: [{
                         data: [15, 25, 10, 50],
                         backgroundColor: [
@@ -199,28 +139,21 @@ class DashboardManager {
         if (container) {
             const chartContainer = document.createElement('div');
             chartContainer.className = 'chart-container';
-            chartContainer.innerHTML = '<h3>Daily Attendance (Last 7 Days)</h3>';
+            chartContainer.innerHTML = `<h3 data-i18n="dashboard.dailyAttendance">${this.app.t('dashboard.dailyAttendance')}</h3>`;
             chartContainer.appendChild(ctx);
             container.appendChild(chartContainer);
             
-            // Generate sample data for last 7 days
-            const last7Days = Array.from({ length: 7 }, (_, i) => {
-                const date = new Date();
-                date.setDate(date.getDate() - (6 - i));
-                return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-            });
-            
             this.charts.attendance = new Chart(ctx, {
                 type: 'bar',
                 data: {
-                    labels: last7Days,
+                    labels: this.last7DayLabels(),
                     datasets: [{
-                        label: 'Present',
+                        label: this.app.t('dashboard.present'),
                         data: [42000, 41500, 43000, 42800, 44200, 0, 0], // Weekend = 0
                         backgroundColor: '#10b981',
                         borderRadius: 4
                     }, {
-                        label: 'Absent',
+                        label: this.app.t('dashboard.absent'),
                         data: [8000, 8500, 7000, 7200, 5800, 0, 0],
                         backgroundColor: '#ef4444',
                         borderRadius: 4
@@ -251,7 +184,7 @@ class DashboardManager {
         if (container) {
             const chartContainer = document.createElement('div');
             chartContainer.className = 'chart-container';
-            chartContainer.innerHTML = '<h3>Student Distribution by District</h3>';
+            chartContainer.innerHTML = `<h3 data-i18n="dashboard.studentsByDistrict">${this.app.t('dashboard.studentsByDistrict')}</h3>`;
             chartContainer.appendChild(ctx);
             container.appendChild(chartContainer);
             
@@ -260,7 +193,7 @@ class DashboardManager {
                 data: {
                     labels: ['Khurda', 'Cuttack', 'Puri', 'Balasore', 'Mayurbhanj', 'Ganjam'],
                     datasets: [{
-                        label: 'Students',
+                        label: this.app.t('dashboard.students'),
                         data: [8500, 7200, 6800, 6200, 5900, 8100],
                         borderColor: '#0070f3',
                         backgroundColor: 'rgba(0, 112, 243, 0.1)',
@@ -282,108 +215,133 @@ class DashboardManager {
         }
     }
     
-    updateEnrollmentChart(newData) {
-        if (!this.charts.enrollment || !newData) return;
-        
-        const chart = this.charts.enrollment;
-        
-        // Add smooth animation
-        chart.data.labels = newData.map(item => 
-            new Date(item.month).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
-        );
-        chart.data.datasets[0].data = newData.map(item => item.enrollments);
-        
-        chart.update('smooth');
+    performanceLabels() {
+        return ['apiResponse', 'database', 'network', 'available'].map(key => this.app.t(`dashboard.${key}`));
     }
     
-    updateAttendanceChart() {
-        if (!this.charts.attendance) return;
+    // Sample data for the last 7 days
+    last7DayLabels() {
+        return Array.from({ length: 7 }, (_, i) => {
+            const date = new Date();
+            date.setDate(date.getDate() - (6 - i));
+            return this.app.formatDate(date, { weekday: 'short', month: 'short', day: 'numeric' });
+        });
+    }
+    
+    // Relabel the charts after the language is switched; headings carry data-i18n
+    applyLanguage() {
+        const { performance, attendance, district } = this.charts;
         
-        // Simulate real-time attendance updates
-        const chart = this.charts.attendance;
-        const todayIndex = new Date().getDay(); // 0 = Sunday, 6 = Saturday
+        if (performance) {
+            performance.data.labels = this.performanceLabels();
+            performance.update('none');
+        }
         
-        if (todayIndex >= 1 && todayIndex <= 5) { // Monday to Friday
-            // Add some randomness to simulate real-time updates
-            const basePresent = 42000;
-            const baseAbsent = 8000;
-            
-            chart.data.datasets[0].data[todayIndex - 1] = basePresent + Math.floor(Math.random() * 2000);
-            chart.data.datasets[1].data[todayIndex - 1] = baseAbsent - Math.floor(Math.random() * 1000);
-            
-            chart.update('none'); // No animation for real-time updates
+        if (attendance) {
+            attendance.data.labels = this.last7DayLabels();
+            attendance.data.datasets[0].label = this.app.t('dashboard.present');
+            attendance.data.datasets[1].label = this.app.t('dashboard.absent');
+            attendance.update('none');
+        }
+        
+        if (district) {
+            district.data.datasets[0].label = this.app.t('dashboard.students');
+            district.update('none');
         }
     }
     
-    async updateSystemMetrics() {
-        try {
-            // Simulate system metrics
-            const metrics = {
-                cpuUsage: Math.random() * 30 + 20, // 20-50%
-                memoryUsage: Math.random() * 20 + 60, // 60-80%
-                diskUsage: Math.random() * 10 + 45, // 45-55%
-                networkLatency: Math.random() * 20 + 10 // 10-30ms
-            };
-            
-            this.updatePerformanceChart(metrics);
-            
-        } catch (error) {
-            console.error('System metrics update failed:', error);
+    setupEventHandlers() {
+        this.app.onEvent('enrollment', data => this.onEnrollment(data));
+        this.app.onEvent('attendance', data => this.onAttendance(data));
+        this.app.onEvent('transfer', data => this.onTransfer(data));
+        this.app.onEvent('alert', data => this.onAlert(data));
+    }
+    
+    // School name from an event, in the current language
+    schoolName(data) {
+        return (this.app.lang === 'od' && data.school_name_od) || data.school_name;
+    }
+    
+    // Add to a counter that keeps its raw value in data-value
+    bumpCounter(selector, amount) {
+        const element = document.querySelector(selector);
+        if (element && amount) {
+            this.animateCounter(element, (parseInt(element.dataset.value) || 0) + amount);
         }
     }
     
-    updatePerformanceChart(metrics) {
-        if (!this.charts.performance) return;
-        
-        const chart = this.charts.performance;
-        
-        // Update data based on real metrics
-        chart.data.datasets[0].data = [
-            metrics.networkLatency,
-            metrics.cpuUsage,
-            metrics.memoryUsage,
-            100 - metrics.diskUsage
-        ];
-        
-        chart.update('smooth');
+    // Cached stats predate the event; the next full load must refetch
+    invalidateStats() {
+        this.app.cache.delete('/dashboard/stats');
+        this.app.cache.delete('/dashboard/kpis');
     }
     
-    setupWebSocket() {
-        // In a real implementation, you would connect to a WebSocket server
-        // For demo purposes, we'll simulate WebSocket updates
+    onEnrollment(data) {
+        this.invalidateStats();
+        this.bumpCounter('.kpi-card:nth-child(2) .kpi-value', data.count);
         
-        this.simulateWebSocketUpdates();
+        if (this.isOnDashboard()) {
+            this.createNotificationToast(this.app.t('notify.enrollment', {
+                count: this.app.formatNumber(data.count),
+                school: this.schoolName(data)
+            }));
+        }
     }
     
-    simulateWebSocketUpdates() {
-        // Simulate real-time notifications
-        setInterval(() => {
-            if (this.isOnDashboard() && Math.random() > 0.7) {
-                this.showRealTimeNotification();
+    onAttendance(data) {
+        this.invalidateStats();
+        
+        // en-CA formats the local date as YYYY-MM-DD
+        if (data.date === new Date().toLocaleDateString('en-CA')) {
+            this.bumpCounter('#presentToday', data.delta.present);
+            
+            // Today is the last bar
+            const chart = this.charts.attendance;
+            if (chart) {
+                chart.data.datasets[0].data[6] += data.delta.present;
+                chart.data.datasets[1].data[6] += data.delta.absent;
+                chart.update('none');
             }
-        }, 15000); // Every 15 seconds
+        }
+        
+        if (this.isOnDashboard()) {
+            this.createNotificationToast(this.app.t('notify.attendance', {
+                class: `${this.app.formatNumber(data.class_number)}${data.section}`,
+                school: this.schoolName(data)
+            }));
+        }
     }
     
-    showRealTimeNotification() {
-        const notifications = [
-            'New student enrollment in Khurda district',
-            'Attendance marked for 1,250 students in last 5 minutes',
-            'System performance optimal - 99.9% uptime',
-            '5 new schools added to the system',
-            'Monthly report generated successfully'
-        ];
+    onTransfer(data) {
+        // An accepted transfer can move a student in or out of this jurisdiction
+        if (data.status === 'Accepted') {
+            this.invalidateStats();
+            this.updateKPIsAnimated();
+        }
         
-        const notification = notifications[Math.floor(Math.random() * notifications.length)];
-        this.createNotificationToast(notification);
+        this.createNotificationToast(this.app.t(`notify.transfer${data.status}`, {
+            id: this.app.formatNumber(data.transfer_id)
+        }), '🔁');
     }
     
-    createNotificationToast(message) {
+    onAlert(data) {
+        if (data.kind === 'low_attendance') {
+            this.createNotificationToast(this.app.t('notify.lowAttendance', {
+                class: `${this.app.formatNumber(data.class_number)}${data.section}`,
+                school: this.schoolName(data),
+                percentage: this.app.formatNumber(data.percentage),
+                threshold: this.app.formatNumber(data.threshold)
+            }), '⚠️');
+        }
+    }
+    
+    createNotificationToast(message, icon = '🔔') {
         // Create toast notification element
         const toast = document.createElement('div');
         toast.className = 'notification-toast';
         toast.innerHTML = `
             <div class="toast-content">
-                <span class="toast-icon">🔔</span>
+                <span class="toast-icon">${icon}</span>
                 <span class="toast-message">${message}</span>
                 <button class="toast-close" onclick="this.parentElement.parentElement.remove()">×</button>
             </div>
@@ -447,39 +405,11 @@ class DashboardManager {
         }, 5000);
     }
     
-    updateSyncStatus(timestamp) {
-        const syncElement = document.getElementById('lastSync');
-        if (syncElement) {
-            syncElement.textContent = `Last sync: ${timestamp}`;
-            syncElement.style.color = '#10b981';
-            
-            setTimeout(() => {
-                syncElement.style.color = '#64748b';
-            }, 2000);
-        }
-    }
-    
     isOnDashboard() {
         const activeSection = document.querySelector('.nav-item.active');
         return activeSection && activeSection.dataset.section === 'dashboard';
     }
     
-    handleUpdateError(error) {
-        console.error('Dashboard update error:', error);
-        
-        // Show error indicator
-        const syncElement = document.getElementById('lastSync');
-        if (syncElement) {
-            syncElement.textContent = 'Sync failed - Retrying...';
-            syncElement.style.color = '#ef4444';
-        }
-        
-        // Retry after 10 seconds
-        setTimeout(() => {
-            this.updateDashboardData();
-        }, 10000);
-    }
-    
     // Export dashboard data
     exportDashboardData() {
         const data = {
@@ -515,10 +445,6 @@ class DashboardManager {
     
     // Cleanup method
     destroy() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-        }
-        
         // Destroy all charts
         Object.values(this.charts).forEach(chart => {
             if (chart && typeof chart.destroy === 'function') {
@@ -551,7 +477,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
                 
                 // Add tooltip
-                refreshBtn.title = 'Left-click: Refresh | Right-click: Export Data';
+                refreshBtn.title = window.app.t('header.refreshTip');
             }
         }
     }, 1000);
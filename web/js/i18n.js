@@ -0,0 +1,434 @@
+// UI strings for the portal. Keys are looked up by OdishaSchoolPortal.t();
+// {name} placeholders are filled from the vars passed in. Anything missing
+// from a language falls back to English.
+const I18N = {
+    en: {
+        'app.loading': 'Loading Real-Time School Management System...',
+        'login.title': 'Sign in to EduPortal',
+        'login.username': 'Username',
+        'login.password': 'Password',
+        'login.submit': 'Sign in',
+        'login.failed': 'Login failed',
+        'login.unreachable': 'Unable to reach the server',
+        'login.expired': 'Your session has expired. Please sign in again.',
+
+        'header.live': '🟢 LIVE',
+        'header.lastSync': 'Last sync: {time}',
+        'header.dataAsOf': 'figures as of {time}',
+        'header.offline': '🔴 OFFLINE',
+        'header.pending': '{count} pending',
+        'header.refresh': '🔄 Refresh',
+        'header.refreshTip': 'Left-click: Refresh | Right-click: Export Data',
+        'header.logout': 'Logout',
+        'header.switchLanguage': 'ଓଡ଼ିଆ',
+
+        'nav.dashboard': '🏠 Dashboard',
+        'nav.schools': '🏫 Schools',
+        'nav.students': '👨‍🎓 Students',
+        'nav.teachers': '👩‍🏫 Teachers',
+        'nav.attendance': '📝 Attendance',
+        'nav.analytics': '📊 Analytics',
+
+        'role.student': 'student',
+        'role.parent': 'parent',
+        'role.teacher': 'teacher',
+        'role.headmaster': 'headmaster',
+        'role.block_officer': 'block officer',
+        'role.district_officer': 'district officer',
+        'role.secretary': 'secretary',
+        'role.admin': 'admin',
+
+        'status.Active': 'Active',
+        'status.Inactive': 'Inactive',
+        'status.Closed': 'Closed',
+        'status.Transferred': 'Transferred',
+        'status.Passed': 'Passed',
+        'status.Dropped': 'Dropped',
+        'status.Retired': 'Retired',
+
+        'common.na': 'N/A',
+        'common.search': 'Search',
+        'common.status': 'Status',
+        'common.previous': 'Previous',
+        'common.next': 'Next',
+        'common.total': 'Total: {count}',
+        'common.totalEstimate': 'Total: about {count}',
+        'common.milliseconds': '{count} ms',
+        'common.durationDays': '{count} d',
+        'common.durationHours': '{count} h',
+        'common.durationMinutes': '{count} min',
+
+        'dashboard.title': 'Real-Time Dashboard',
+        'dashboard.subtitle': 'Live data from Odisha education system',
+        'dashboard.enrollmentTrend': 'Enrollment Trend (Last 6 Months)',
+        'dashboard.districtDistribution': 'District Distribution',
+        'dashboard.systemStatus': 'System Status',
+        'dashboard.newEnrollments': 'New Enrollments',
+        'dashboard.performance': 'System Performance',
+        'dashboard.dailyAttendance': 'Daily Attendance (Last 7 Days)',
+        'dashboard.studentsByDistrict': 'Student Distribution by District',
+        'dashboard.present': 'Present',
+        'dashboard.absent': 'Absent',
+        'dashboard.students': 'Students',
+        'dashboard.apiResponse': 'API Response',
+        'dashboard.database': 'Database',
+        'dashboard.network': 'Network',
+        'dashboard.available': 'Available',
+
+        'kpi.totalSchools': 'Total Schools',
+        'kpi.activeStudents': 'Active Students',
+        'kpi.teachingStaff': 'Teaching Staff',
+        'kpi.districtsCovered': 'Districts Covered',
+        'kpi.newSchools': '+{count} new this month',
+        'kpi.newEnrollments': '+{count} this month',
+        'kpi.newAppointments': '+{count} new appointments',
+        'kpi.completeCoverage': 'Complete coverage',
+
+        'system.activeSchools': 'Active Schools',
+        'system.presentToday': 'Present Today',
+        'system.uptime': 'System Uptime',
+        'system.responseTime': 'Response Time',
+
+        'fees.title': 'Fee Collection (Current Year)',
+        'fees.school': 'School',
+        'fees.charged': 'Charged',
+        'fees.collected': 'Collected',
+        'fees.outstanding': 'Outstanding',
+        'fees.overdue': 'Overdue',
+        'fees.collectionPercent': 'Collection %',
+        'fees.collectionRate': 'Collection Rate',
+
+        'filters.allDistricts': 'All Districts',
+        'filters.allBlocks': 'All Blocks',
+        'filters.allSchools': 'All Schools',
+        'filters.allClasses': 'All Classes',
+        'filters.classOption': 'Class {n}',
+
+        'schools.title': 'Schools Management',
+        'schools.subtitle': '8,000+ schools across Odisha',
+        'schools.search': 'Search schools...',
+        'schools.code': 'School Code',
+        'schools.name': 'School Name',
+        'schools.district': 'District',
+        'schools.students': 'Students',
+        'schools.teachers': 'Teachers',
+
+        'students.title': 'Student Records',
+        'students.subtitle': '50,000+ student profiles with live data',
+        'students.search': 'Search students...',
+        'students.admissionNo': 'Admission No.',
+        'students.name': 'Student Name',
+        'students.class': 'Class',
+        'students.school': 'School',
+        'students.guardian': 'Guardian',
+
+        'teachers.title': 'Teaching Staff',
+        'teachers.subtitle': 'Teachers, subjects and postings across schools',
+        'teachers.search': 'Search by name or employee code...',
+        'teachers.subject': 'Subject code (e.g. MATH)',
+        'teachers.allEmploymentTypes': 'All Employment Types',
+        'teachers.employeeCode': 'Employee Code',
+        'teachers.name': 'Name',
+        'teachers.designation': 'Designation',
+        'teachers.subjects': 'Subjects',
+        'teachers.school': 'School',
+        'teachers.type': 'Type',
+
+        'employment.Permanent': 'Permanent',
+        'employment.Contract': 'Contract',
+        'employment.Guest': 'Guest',
+
+        'attendance.title': 'Take Attendance',
+        'attendance.subtitle': 'Mark a class register. Works offline and syncs when you reconnect.',
+        'attendance.schoolId': 'School ID',
+        'attendance.selectClass': 'Select class',
+        'attendance.loadRoster': 'Load Register',
+        'attendance.rollNo': 'Roll No',
+        'attendance.name': 'Name',
+        'attendance.allPresent': 'Mark All Present',
+        'attendance.submit': 'Submit Attendance',
+        'attendance.queueTitle': 'Waiting to Sync',
+        'attendance.syncNow': 'Sync Now',
+        'attendance.queueEmpty': 'Nothing waiting to sync.',
+        'attendance.saved': 'Attendance saved.',
+        'attendance.queued': 'You are offline. Attendance saved on this device and will sync when you reconnect.',
+        'attendance.needsReview': 'Attendance was not saved. Review it under Waiting to Sync.',
+        'attendance.unavailable': 'Not available offline. Open this class once while online.',
+        'attendance.synced': '{count} offline attendance submission(s) synced',
+        'attendance.conflicts': '{count} attendance submission(s) need review',
+        'attendance.classOn': 'Class {class} on {date}',
+        'attendance.overwrite': 'Overwrite',
+        'attendance.discard': 'Discard',
+        'attendance.conflictRow': 'Student #{student}: you marked {yours}, {user} marked {theirs} at {time}',
+        'attendance.queue.pending': 'Pending',
+        'attendance.queue.conflict': 'Conflict',
+        'attendance.queue.failed': 'Failed',
+        'attendance.Present': 'Present',
+        'attendance.Absent': 'Absent',
+        'attendance.Late': 'Late',
+        'attendance.Half': 'Half day',
+
+        'analytics.title': 'Analytics & Insights',
+        'analytics.subtitle': 'Real-time analytics and performance metrics',
+        'analytics.performance': 'System Performance',
+        'analytics.dataQuality': 'Data Quality',
+        'analytics.avgQueryTime': 'Avg Query Time',
+        'analytics.uptime': 'API Uptime',
+        'analytics.cacheHitRatio': 'Cache Hit Ratio',
+        'analytics.activeConnections': 'Active Connections',
+        'analytics.slowQueries': 'Slow Queries',
+        'analytics.databaseSize': 'Database Size',
+        'analytics.studentRecords': 'Students',
+        'analytics.schoolRecords': 'Schools',
+        'analytics.alerts': 'Alerts',
+        'analytics.noAlerts': 'No active alerts',
+        'analytics.trends': 'Trends (last 7 days)',
+        'analytics.noTrends': 'No baselines recorded yet',
+        'analytics.adminOnly': 'System monitoring is available to administrators only.',
+        'analytics.loadFailed': 'Could not load monitoring data',
+        'analytics.priority.HIGH': 'High',
+        'analytics.priority.MEDIUM': 'Medium',
+        'analytics.priority.LOW': 'Low',
+        'analytics.metric.total_students': 'Students',
+        'analytics.metric.avg_query_time_ms': 'Avg query time (ms)',
+        'analytics.metric.database_size_mb': 'Database size (MB)',
+        'analytics.metric.active_connections': 'Active connections',
+
+        'quality.Total Students': 'Total Students',
+        'quality.Missing Phone Numbers': 'Missing Phone Numbers',
+        'quality.Missing Addresses': 'Missing Addresses',
+        'quality.Invalid Birth Dates': 'Invalid Birth Dates',
+        'quality.Duplicate Admissions': 'Duplicate Admissions',
+        'quality.Schools without Contact': 'Schools without Contact',
+        'quality.Overpopulated Schools': 'Overpopulated Schools',
+        'quality.Schools without Teachers': 'Schools without Teachers',
+        'quality.Student Count Drift': 'Student Count Drift',
+        'quality.Teacher Count Drift': 'Teacher Count Drift',
+        'quality.Class Size Drift': 'Class Size Drift',
+        'quality.District School Count Drift': 'District School Count Drift',
+
+        'notify.enrollment': '{count} new enrollment(s) at {school}',
+        'notify.attendance': 'Attendance submitted for Class {class} at {school}',
+        'notify.transferPending': 'Transfer #{id} requested',
+        'notify.transferAccepted': 'Transfer #{id} accepted',
+        'notify.transferRejected': 'Transfer #{id} rejected',
+        'notify.transferCancelled': 'Transfer #{id} cancelled',
+        'notify.lowAttendance': 'Low attendance: Class {class} at {school} is at {percentage}% (below {threshold}%)'
+    },
+
+    od: {
+        'app.loading': 'ରିଅଲ-ଟାଇମ ବିଦ୍ୟାଳୟ ପରିଚାଳନା ବ୍ୟବସ୍ଥା ଲୋଡ଼ ହେଉଛି...',
+        'login.title': 'EduPortalରେ ସାଇନ ଇନ କରନ୍ତୁ',
+        'login.username': 'ଉପଯୋଗକର୍ତ୍ତା ନାମ',
+        'login.password': 'ପାସୱାର୍ଡ',
+        'login.submit': 'ସାଇନ ଇନ',
+        'login.failed': 'ଲଗଇନ ବିଫଳ ହେଲା',
+        'login.unreachable': 'ସର୍ଭର ସହ ସଂଯୋଗ ହୋଇପାରୁନାହିଁ',
+        'login.expired': 'ଆପଣଙ୍କ ସେସନ ସମାପ୍ତ ହୋଇଛି। ଦୟାକରି ପୁଣି ସାଇନ ଇନ କରନ୍ତୁ।',
+
+        'header.live': '🟢 ଲାଇଭ',
+        'header.lastSync': 'ଶେଷ ସିଙ୍କ: {time}',
+        'header.dataAsOf': 'ତଥ୍ୟ {time} ସୁଦ୍ଧା',
+        'header.offline': '🔴 ଅଫଲାଇନ',
+        'header.pending': '{count} ବାକି',
+        'header.refresh': '🔄 ରିଫ୍ରେସ',
+        'header.refreshTip': 'ବାମ କ୍ଲିକ: ରିଫ୍ରେସ | ଡାହାଣ କ୍ଲିକ: ତଥ୍ୟ ରପ୍ତାନି',
+        'header.logout': 'ଲଗଆଉଟ',
+        'header.switchLanguage': 'English',
+
+        'nav.dashboard': '🏠 ଡ୍ୟାସବୋର୍ଡ',
+        'nav.schools': '🏫 ବିଦ୍ୟାଳୟ',
+        'nav.students': '👨‍🎓 ଛାତ୍ରଛାତ୍ରୀ',
+        'nav.teachers': '👩‍🏫 ଶିକ୍ଷକ',
+        'nav.attendance': '📝 ଉପସ୍ଥାନ',
+        'nav.analytics': '📊 ବିଶ୍ଳେଷଣ',
+
+        'role.student': 'ଛାତ୍ର',
+        'role.parent': 'ଅଭିଭାବକ',
+        'role.teacher': 'ଶିକ୍ଷକ',
+        'role.headmaster': 'ପ୍ରଧାନ ଶିକ୍ଷକ',
+        'role.block_officer': 'ବ୍ଲକ ଅଧିକାରୀ',
+        'role.district_officer': 'ଜିଲ୍ଲା ଅଧିକାରୀ',
+        'role.secretary': 'ସଚିବ',
+        'role.admin': 'ପ୍ରଶାସକ',
+
+        'status.Active': 'ସକ୍ରିୟ',
+        'status.Inactive': 'ନିଷ୍କ୍ରିୟ',
+        'status.Closed': 'ବନ୍ଦ',
+        'status.Transferred': 'ସ୍ଥାନାନ୍ତରିତ',
+        'status.Passed': 'ଉତ୍ତୀର୍ଣ୍ଣ',
+        'status.Dropped': 'ପାଠ ଛାଡ଼ିଛନ୍ତି',
+        'status.Retired': 'ଅବସରପ୍ରାପ୍ତ',
+
+        'common.na': 'ଉପଲବ୍ଧ ନାହିଁ',
+        'common.search': 'ଖୋଜନ୍ତୁ',
+        'common.status': 'ସ୍ଥିତି',
+        'common.previous': 'ପୂର୍ବବର୍ତ୍ତୀ',
+        'common.next': 'ପରବର୍ତ୍ତୀ',
+        'common.total': 'ମୋଟ: {count}',
+        'common.totalEstimate': 'ମୋଟ: ପ୍ରାୟ {count}',
+        'common.milliseconds': '{count} ମି.ସେ.',
+        'common.durationDays': '{count} ଦିନ',
+        'common.durationHours': '{count} ଘଣ୍ଟା',
+        'common.durationMinutes': '{count} ମିନିଟ',
+
+        'dashboard.title': 'ରିଅଲ-ଟାଇମ ଡ୍ୟାସବୋର୍ଡ',
+        'dashboard.subtitle': 'ଓଡ଼ିଶା ଶିକ୍ଷା ବ୍ୟବସ୍ଥାର ସିଧାସଳଖ ତଥ୍ୟ',
+        'dashboard.enrollmentTrend': 'ନାମଲେଖା ଧାରା (ଗତ ୬ ମାସ)',
+        'dashboard.districtDistribution': 'ଜିଲ୍ଲାୱାରୀ ବଣ୍ଟନ',
+        'dashboard.systemStatus': 'ସିଷ୍ଟମ ସ୍ଥିତି',
+        'dashboard.newEnrollments': 'ନୂଆ ନାମଲେଖା',
+        'dashboard.performance': 'ସିଷ୍ଟମ କାର୍ଯ୍ୟଦକ୍ଷତା',
+        'dashboard.dailyAttendance': 'ଦୈନିକ ଉପସ୍ଥାନ (ଗତ ୭ ଦିନ)',
+        'dashboard.studentsByDistrict': 'ଜିଲ୍ଲାୱାରୀ ଛାତ୍ରଛାତ୍ରୀ ବଣ୍ଟନ',
+        'dashboard.present': 'ଉପସ୍ଥିତ',
+        'dashboard.absent': 'ଅନୁପସ୍ଥିତ',
+        'dashboard.students': 'ଛାତ୍ରଛାତ୍ରୀ',
+        'dashboard.apiResponse': 'API ପ୍ରତିକ୍ରିୟା',
+        'dashboard.database': 'ଡାଟାବେସ',
+        'dashboard.network': 'ନେଟୱାର୍କ',
+        'dashboard.available': 'ଉପଲବ୍ଧ',
+
+        'kpi.totalSchools': 'ମୋଟ ବିଦ୍ୟାଳୟ',
+        'kpi.activeStudents': 'ସକ୍ରିୟ ଛାତ୍ରଛାତ୍ରୀ',
+        'kpi.teachingStaff': 'ଶିକ୍ଷକ ମଣ୍ଡଳୀ',
+        'kpi.districtsCovered': 'ଆବୃତ ଜିଲ୍ଲା',
+        'kpi.newSchools': 'ଏହି ମାସରେ +{count} ନୂଆ',
+        'kpi.newEnrollments': 'ଏହି ମାସରେ +{count}',
+        'kpi.newAppointments': '+{count} ନୂଆ ନିଯୁକ୍ତି',
+        'kpi.completeCoverage': 'ସମ୍ପୂର୍ଣ୍ଣ ଆବୃତି',
+
+        'system.activeSchools': 'ସକ୍ରିୟ ବିଦ୍ୟାଳୟ',
+        'system.presentToday': 'ଆଜି ଉପସ୍ଥିତ',
+        'system.uptime': 'ସିଷ୍ଟମ ଅପଟାଇମ',
+        'system.responseTime': 'ପ୍ରତିକ୍ରିୟା ସମୟ',
+
+        'fees.title': 'ଦେୟ ସଂଗ୍ରହ (ଚଳିତ ବର୍ଷ)',
+        'fees.school': 'ବିଦ୍ୟାଳୟ',
+        'fees.charged': 'ଧାର୍ଯ୍ୟ',
+        'fees.collected': 'ସଂଗୃହୀତ',
+        'fees.outstanding': 'ବକେୟା',
+        'fees.overdue': 'ମିଆଦ ଉତ୍ତୀର୍ଣ୍ଣ',
+        'fees.collectionPercent': 'ସଂଗ୍ରହ %',
+        'fees.collectionRate': 'ସଂଗ୍ରହ ହାର',
+
+        'filters.allDistricts': 'ସମସ୍ତ ଜିଲ୍ଲା',
+        'filters.allBlocks': 'ସମସ୍ତ ବ୍ଲକ',
+        'filters.allSchools': 'ସମସ୍ତ ବିଦ୍ୟାଳୟ',
+        'filters.allClasses': 'ସମସ୍ତ ଶ୍ରେଣୀ',
+        'filters.classOption': 'ଶ୍ରେଣୀ {n}',
+
+        'schools.title': 'ବିଦ୍ୟାଳୟ ପରିଚାଳନା',
+        'schools.subtitle': 'ଓଡ଼ିଶାର ୮,୦୦୦+ ବିଦ୍ୟାଳୟ',
+        'schools.search': 'ବିଦ୍ୟାଳୟ ଖୋଜନ୍ତୁ...',
+        'schools.code': 'ବିଦ୍ୟାଳୟ କୋଡ଼',
+        'schools.name': 'ବିଦ୍ୟାଳୟର ନାମ',
+        'schools.district': 'ଜିଲ୍ଲା',
+        'schools.students': 'ଛାତ୍ରଛାତ୍ରୀ',
+        'schools.teachers': 'ଶିକ୍ଷକ',
+
+        'students.title': 'ଛାତ୍ରଛାତ୍ରୀ ରେକର୍ଡ',
+        'students.subtitle': '୫୦,୦୦୦+ ଛାତ୍ରଛାତ୍ରୀଙ୍କ ସିଧାସଳଖ ପ୍ରୋଫାଇଲ',
+        'students.search': 'ଛାତ୍ରଛାତ୍ରୀ ଖୋଜନ୍ତୁ...',
+        'students.admissionNo': 'ନାମଲେଖା ନଂ.',
+        'students.name': 'ଛାତ୍ର/ଛାତ୍ରୀଙ୍କ ନାମ',
+        'students.class': 'ଶ୍ରେଣୀ',
+        'students.school': 'ବିଦ୍ୟାଳୟ',
+        'students.guardian': 'ଅଭିଭାବକ',
+
+        'teachers.title': 'ଶିକ୍ଷକ ମଣ୍ଡଳୀ',
+        'teachers.subtitle': 'ବିଦ୍ୟାଳୟଗୁଡ଼ିକରେ ଶିକ୍ଷକ, ବିଷୟ ଓ ନିଯୁକ୍ତି',
+        'teachers.search': 'ନାମ କିମ୍ବା କର୍ମଚାରୀ କୋଡ଼ରେ ଖୋଜନ୍ତୁ...',
+        'teachers.subject': 'ବିଷୟ କୋଡ଼ (ଯଥା MATH)',
+        'teachers.allEmploymentTypes': 'ସମସ୍ତ ନିଯୁକ୍ତି ପ୍ରକାର',
+        'teachers.employeeCode': 'କର୍ମଚାରୀ କୋଡ଼',
+        'teachers.name': 'ନାମ',
+        'teachers.designation': 'ପଦବୀ',
+        'teachers.subjects': 'ବିଷୟ',
+        'teachers.school': 'ବିଦ୍ୟାଳୟ',
+        'teachers.type': 'ପ୍ରକାର',
+
+        'employment.Permanent': 'ସ୍ଥାୟୀ',
+        'employment.Contract': 'ଚୁକ୍ତିଭିତ୍ତିକ',
+        'employment.Guest': 'ଅତିଥି',
+
+        'attendance.title': 'ଉପସ୍ଥାନ ନିଅନ୍ତୁ',
+        'attendance.subtitle': 'ଶ୍ରେଣୀ ହାଜିରା ଖାତା ପୂରଣ କରନ୍ତୁ। ଅଫଲାଇନରେ ମଧ୍ୟ କାମ କରେ ଏବଂ ସଂଯୋଗ ଫେରିଲେ ସିଙ୍କ ହୁଏ।',
+        'attendance.schoolId': 'ବିଦ୍ୟାଳୟ ID',
+        'attendance.selectClass': 'ଶ୍ରେଣୀ ବାଛନ୍ତୁ',
+        'attendance.loadRoster': 'ହାଜିରା ଖାତା ଖୋଲନ୍ତୁ',
+        'attendance.rollNo': 'ରୋଲ ନଂ',
+        'attendance.name': 'ନାମ',
+        'attendance.allPresent': 'ସମସ୍ତଙ୍କୁ ଉପସ୍ଥିତ କରନ୍ତୁ',
+        'attendance.submit': 'ଉପସ୍ଥାନ ଦାଖଲ କରନ୍ତୁ',
+        'attendance.queueTitle': 'ସିଙ୍କ ପାଇଁ ଅପେକ୍ଷାରତ',
+        'attendance.syncNow': 'ଏବେ ସିଙ୍କ କରନ୍ତୁ',
+        'attendance.queueEmpty': 'ସିଙ୍କ ପାଇଁ କିଛି ବାକି ନାହିଁ।',
+        'attendance.saved': 'ଉପସ୍ଥାନ ସଞ୍ଚିତ ହେଲା।',
+        'attendance.queued': 'ଆପଣ ଅଫଲାଇନ ଅଛନ୍ତି। ଉପସ୍ଥାନ ଏହି ଡିଭାଇସରେ ସଞ୍ଚିତ ହେଲା ଏବଂ ସଂଯୋଗ ଫେରିଲେ ସିଙ୍କ ହେବ।',
+        'attendance.needsReview': 'ଉପସ୍ଥାନ ସଞ୍ଚିତ ହୋଇନାହିଁ। ସିଙ୍କ ପାଇଁ ଅପେକ୍ଷାରତ ତାଲିକାରେ ଦେଖନ୍ତୁ।',
+        'attendance.unavailable': 'ଅଫଲାଇନରେ ଉପଲବ୍ଧ ନାହିଁ। ଅନଲାଇନ ଥିବାବେଳେ ଏହି ଶ୍ରେଣୀକୁ ଥରେ ଖୋଲନ୍ତୁ।',
+        'attendance.synced': '{count}ଟି ଅଫଲାଇନ ଉପସ୍ଥାନ ସିଙ୍କ ହେଲା',
+        'attendance.conflicts': '{count}ଟି ଉପସ୍ଥାନ ସମୀକ୍ଷା ଆବଶ୍ୟକ',
+        'attendance.classOn': '{date} ରେ ଶ୍ରେଣୀ {class}',
+        'attendance.overwrite': 'ବଦଳାନ୍ତୁ',
+        'attendance.discard': 'ବାତିଲ କରନ୍ତୁ',
+        'attendance.conflictRow': 'ଛାତ୍ର #{student}: ଆପଣ {yours} ଦେଇଛନ୍ତି, {user} {time} ରେ {theirs} ଦେଇଛନ୍ତି',
+        'attendance.queue.pending': 'ବାକି',
+        'attendance.queue.conflict': 'ବିରୋଧ',
+        'attendance.queue.failed': 'ବିଫଳ',
+        'attendance.Present': 'ଉପସ୍ଥିତ',
+        'attendance.Absent': 'ଅନୁପସ୍ଥିତ',
+        'attendance.Late': 'ବିଳମ୍ବ',
+        'attendance.Half': 'ଅଧା ଦିନ',
+
+        'analytics.title': 'ବିଶ୍ଳେଷଣ ଓ ଅନ୍ତର୍ଦୃଷ୍ଟି',
+        'analytics.subtitle': 'ରିଅଲ-ଟାଇମ ବିଶ୍ଳେଷଣ ଓ କାର୍ଯ୍ୟଦକ୍ଷତା ମାପକ',
+        'analytics.performance': 'ସିଷ୍ଟମ କାର୍ଯ୍ୟଦକ୍ଷତା',
+        'analytics.dataQuality': 'ତଥ୍ୟ ଗୁଣବତ୍ତା',
+        'analytics.avgQueryTime': 'ହାରାହାରି କ୍ୱେରି ସମୟ',
+        'analytics.uptime': 'API ଅପଟାଇମ',
+        'analytics.cacheHitRatio': 'କ୍ୟାଶ ହିଟ ଅନୁପାତ',
+        'analytics.activeConnections': 'ସକ୍ରିୟ ସଂଯୋଗ',
+        'analytics.slowQueries': 'ଧୀର କ୍ୱେରି',
+        'analytics.databaseSize': 'ଡାଟାବେସ ଆକାର',
+        'analytics.studentRecords': 'ଛାତ୍ରଛାତ୍ରୀ',
+        'analytics.schoolRecords': 'ବିଦ୍ୟାଳୟ',
+        'analytics.alerts': 'ସତର୍କତା',
+        'analytics.noAlerts': 'କୌଣସି ସକ୍ରିୟ ସତର୍କତା ନାହିଁ',
+        'analytics.trends': 'ଧାରା (ଗତ ୭ ଦିନ)',
+        'analytics.noTrends': 'ଏପର୍ଯ୍ୟନ୍ତ କୌଣସି ବେସଲାଇନ ରେକର୍ଡ ହୋଇନାହିଁ',
+        'analytics.adminOnly': 'ସିଷ୍ଟମ ମନିଟରିଂ କେବଳ ପ୍ରଶାସକଙ୍କ ପାଇଁ ଉପଲବ୍ଧ।',
+        'analytics.loadFailed': 'ମନିଟରିଂ ତଥ୍ୟ ଲୋଡ ହୋଇପାରିଲା ନାହିଁ',
+        'analytics.priority.HIGH': 'ଉଚ୍ଚ',
+        'analytics.priority.MEDIUM': 'ମଧ୍ୟମ',
+        'analytics.priority.LOW': 'ନିମ୍ନ',
+        'analytics.metric.total_students': 'ଛାତ୍ରଛାତ୍ରୀ',
+        'analytics.metric.avg_query_time_ms': 'ହାରାହାରି କ୍ୱେରି ସମୟ (ମି.ସେ.)',
+        'analytics.metric.database_size_mb': 'ଡାଟାବେସ ଆକାର (MB)',
+        'analytics.metric.active_connections': 'ସକ୍ରିୟ ସଂଯୋଗ',
+
+        'quality.Total Students': 'ମୋଟ ଛାତ୍ରଛାତ୍ରୀ',
+        'quality.Missing Phone Numbers': 'ଫୋନ ନମ୍ବର ନାହିଁ',
+        'quality.Missing Addresses': 'ଠିକଣା ନାହିଁ',
+        'quality.Invalid Birth Dates': 'ଅବୈଧ ଜନ୍ମ ତାରିଖ',
+        'quality.Duplicate Admissions': 'ଦୁଇଥର ଭର୍ତ୍ତି',
+        'quality.Schools without Contact': 'ଯୋଗାଯୋଗ ବିନା ବିଦ୍ୟାଳୟ',
+        'quality.Overpopulated Schools': 'ଅତ୍ୟଧିକ ଛାତ୍ରସଂଖ୍ୟା ଥିବା ବିଦ୍ୟାଳୟ',
+        'quality.Schools without Teachers': 'ଶିକ୍ଷକ ବିନା ବିଦ୍ୟାଳୟ',
+        'quality.Student Count Drift': 'ଛାତ୍ର ଗଣନା ଅସଙ୍ଗତି',
+        'quality.Teacher Count Drift': 'ଶିକ୍ଷକ ଗଣନା ଅସଙ୍ଗତି',
+        'quality.Class Size Drift': 'ଶ୍ରେଣୀ ଆକାର ଅସଙ୍ଗତି',
+        'quality.District School Count Drift': 'ଜିଲ୍ଲା ବିଦ୍ୟାଳୟ ଗଣନା ଅସଙ୍ଗତି',
+
+        'notify.enrollment': '{school}ରେ {count}ଟି ନୂଆ ନାମଲେଖା',
+        'notify.attendance': '{school}ର ଶ୍ରେଣୀ {class} ପାଇଁ ଉପସ୍ଥାନ ଦିଆଗଲା',
+        'notify.transferPending': 'ସ୍ଥାନାନ୍ତର #{id} ପାଇଁ ଅନୁରୋଧ କରାଗଲା',
+        'notify.transferAccepted': 'ସ୍ଥାନାନ୍ତର #{id} ଗୃହୀତ ହେଲା',
+        'notify.transferRejected': 'ସ୍ଥାନାନ୍ତର #{id} ପ୍ରତ୍ୟାଖ୍ୟାତ ହେଲା',
+        'notify.transferCancelled': 'ସ୍ଥାନାନ୍ତର #{id} ବାତିଲ ହେଲା',
+        'notify.lowAttendance': 'କମ ଉପସ୍ଥାନ: {school}ର ଶ୍ରେଣୀ {class}ରେ {percentage}% ({threshold}%ରୁ କମ)'
+    }
+};
+
+window.I18N = I18N;
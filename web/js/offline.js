@@ -0,0 +1,64 @@
+// IndexedDB store for attendance taken while offline. Each entry is one class
+// submission waiting to be replayed against POST /attendance.
+class AttendanceQueue {
+    constructor() {
+        this.dbName = 'eduportal';
+        this.storeName = 'attendanceQueue';
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('user_id', 'user_id');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run fn against the store and resolve with the request's result
+    async run(mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = fn(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // entry = { user_id, school_id, class_id, class_number, section, date, records, label }
+    // status is 'pending' until a sync attempt turns it into 'conflict' or 'failed'
+    add(entry) {
+        return this.run('readwrite', store => store.add({
+            status: 'pending',
+            queued_at: new Date().toISOString(),
+            ...entry
+        }));
+    }
+
+    put(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    }
+
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    // Entries queued by one user, oldest first
+    list(userId) {
+        return this.run('readonly', store => store.index('user_id').getAll(userId));
+    }
+}
+
+window.AttendanceQueue = AttendanceQueue;
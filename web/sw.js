@@ -0,0 +1,98 @@
+// Service worker: keeps the app shell and the last-viewed class rosters
+// available offline so attendance can still be taken without a connection.
+const SHELL_CACHE = 'eduportal-shell-v1';
+const DATA_CACHE = 'eduportal-data-v1';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/i18n.js',
+    'js/offline.js',
+    'js/app.js',
+    'js/dashboard.js',
+    'js/attendance.js',
+    'manifest.json'
+];
+
+// API reads served from the last copy when the network is down
+const OFFLINE_API = [
+    /\/api\/classes\?/,
+    /\/api\/classes\/\d+\/roster/
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => ![SHELL_CACHE, DATA_CACHE].includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Cached rosters belong to the signed-in user; the page clears them on logout
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'logout') {
+        event.waitUntil(caches.delete(DATA_CACHE));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Serve from cache at once and refresh the copy in the background
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (OFFLINE_API.some(pattern => pattern.test(url.pathname + url.search))) {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.includes('/api/')) {
+        // Everything else from the API is live data: never cached
+        return;
+    } else if (url.origin === self.location.origin || request.destination === 'script' ||
+               request.destination === 'style' || request.destination === 'font') {
+        // App shell plus the Chart.js and font CDNs
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});